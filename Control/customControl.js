@@ -18,6 +18,12 @@ export const CustomControl = {
     createElement: function(tagName, nameAttr, options = {}) {
         const element = document.createElement(tagName);
         element.setAttribute('name', nameAttr);
+
+        // The name attribute is used as a class list here, so internal inputs/buttons must not belong to a surrounding <form>
+        // (an empty form attribute matches no form: nothing is submitted, Enter in the search box doesn't submit, buttons don't submit)
+        if (tagName === 'input' || tagName === 'button') {
+            element.setAttribute('form', '');
+        }
         
         // Apply optional properties
         if (options.id) element.id = options.id;
@@ -34,10 +40,57 @@ export const CustomControl = {
                 element.dataset[key] = options.dataset[key];
             });
         }
-        
+
+        CustomControl.syncPartNames(element);
         return element;
     },
 
+    /**
+     * Name attribute values → part names, so the dropdown can be themed with ::part() inside <custom-ddl> (see customDdlElement.js).
+     * Element names give the part and state names (open, selected...) are added next to it: ::part(option selected).
+     */
+    partNames: {
+        'custom-ddl': 'dropdown',
+        'ddl-header': 'header',
+        'ddl-options': 'listbox',
+        'ddl-search': 'search',
+        'ddl-btn': 'button',
+        'ddl-option': 'option',
+        'ddl-parent-label': 'parent',
+        'ddl-child': 'child',
+        'ddl-checkbox': 'checkbox',
+        'ddl-label-text': 'label',
+        'ddl-match': 'match',
+        'ddl-no-results': 'no-results',
+        'ddl-panel-status': 'status',
+        'ddl-error': 'error',
+        'open': 'open',
+        'disabled': 'disabled',
+        'invalid': 'invalid',
+        'ddl-selected': 'selected',
+        'ddl-checked': 'checked',
+        'ddl-active': 'active',
+        'ddl-item-disabled': 'disabled'
+    },
+
+    /**
+     ** syncPartNames(): Sets the part attribute of an element from its name attribute (see partNames)
+     * @param {HTMLElement} element - Element whose name attribute changed
+     */
+    syncPartNames: function (element) {
+        const parts = [];
+        (element.getAttribute('name') || '').split(' ').forEach(nameValue => {
+            const part = CustomControl.partNames[nameValue];
+            if (part && !parts.includes(part)) parts.push(part);
+        });
+
+        if (parts.length > 0) {
+            element.setAttribute('part', parts.join(' '));
+        } else if (element.hasAttribute('part')) {
+            element.removeAttribute('part');
+        }
+    },
+
     /**
      ** nameListAdd(): Gets elements' name attribute and split its parts by spaces, store them in array, if the nameValue is not in the array, add it to the array, and set the name attribute to the array joined by spaces
      * @param {HTMLElement} element - The element to add
@@ -49,6 +102,7 @@ export const CustomControl = {
         if (!classes.includes(nameValue)) {
             classes.push(nameValue);
             element.setAttribute('name', classes.join(' '));
+            CustomControl.syncPartNames(element);
         }
     },
 
@@ -61,6 +115,7 @@ export const CustomControl = {
         const current = element.getAttribute('name') || '';
         const classes = current.split(' ').filter(c => c.length > 0 && c !== nameValue);
         element.setAttribute('name', classes.join(' '));
+        CustomControl.syncPartNames(element);
     },
 
     /**
@@ -143,6 +198,7 @@ export const CustomControl = {
                 // Create the no results message element
                 noResultsMsg = document.createElement('div');
                 noResultsMsg.setAttribute('name', 'ddl-no-results');
+                CustomControl.syncPartNames(noResultsMsg);
                 noResultsMsg.innerText = 'لا يوجد نتائج للبحث';
                 
                 // Insert after search box and buttons, before options
@@ -172,13 +228,152 @@ export const CustomControl = {
             }
         }
     },
+    /**
+     * Per-instance runtime state keyed by container ID (callbacks, last emitted selection, batch depth).
+     * Kept on the object itself so no global variables are needed.
+     */
+    registry: {},
+
+    /**
+     * Names of the event callbacks accepted by initialize().
+     */
+    eventCallbackNames: ['onChange', 'onOpen', 'onClose', 'onSearch', 'onClear', 'onLoad', 'onDataError'],
+
+    /**
+     * Screen reader announcements (live region) and validation messages, per locale option.
+     */
+    messages: {
+        ar: {
+            results: count => `عدد النتائج: ${count}`,
+            noResults: () => 'لا يوجد نتائج للبحث',
+            selectedCount: count => `عدد العناصر المحددة: ${count}`,
+            selectedItem: name => `تم اختيار ${name}`,
+            cleared: () => 'تم مسح التحديد',
+            required: () => 'هذا الحقل مطلوب',
+            minSelected: count => `اختر ${count} عناصر على الأقل`,
+            maxSelected: count => `لا يمكن اختيار أكثر من ${count} عناصر`,
+            invalid: () => 'القيمة غير صالحة'
+        },
+        en: {
+            results: count => count === 1 ? '1 result available' : `${count} results available`,
+            noResults: () => 'No results found',
+            selectedCount: count => count === 1 ? '1 item selected' : `${count} items selected`,
+            selectedItem: name => `${name} selected`,
+            cleared: () => 'Selection cleared',
+            required: () => 'This field is required',
+            minSelected: count => `Select at least ${count} items`,
+            maxSelected: count => `Select no more than ${count} items`,
+            invalid: () => 'Invalid value'
+        }
+    },
+
+    /**
+     * Shared cache of remote data sources, keyed by source (URL string or loader function).
+     * Entries hold the pending/settled promise so dropdowns sharing a source fetch it only once per TTL.
+     */
+    dataSourceCache: new Map(),
+
+    /**
+     ** emitEvent(): Calls the matching on<Event> callback of the instance (if provided) and dispatches a bubbling CustomEvent named "ddl-<event>" on the container element
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string} eventName - Event name (change, open, close, search, clear, load, dataError)
+     * @param {Object} detail - Event payload (previous/value selections and event specific data)
+     */
+    emitEvent: function (containerId, eventName, detail) {
+        const instance = CustomControl.registry[containerId];
+        const payload = Object.assign({ containerId: containerId, type: eventName }, detail);
+        const callbackName = 'on' + eventName.charAt(0).toUpperCase() + eventName.slice(1);
+        const callback = instance ? instance.callbacks[callbackName] : null;
+
+        if (typeof callback === 'function') {
+            try {
+                callback(payload);
+            } catch (err) {
+                console.error(`[CustomControl] ${callbackName} callback failed for '${containerId}':`, err);
+            }
+        }
+
+        const container = instance ? instance.container : document.getElementById(containerId);
+        if (container) {
+            container.dispatchEvent(new CustomEvent(`ddl-${eventName}`, {
+                bubbles: true,
+                detail: payload
+            }));
+        }
+    },
+
+    /**
+     ** isSameSelection(): Compares two getDDLData() results by their selected items
+     * @param {Object} first - First getDDLData() result
+     * @param {Object} second - Second getDDLData() result
+     * @returns {boolean} True if both results hold the same selection
+     */
+    isSameSelection: function (first, second) {
+        // Item references are left out: they hold whole subtrees and lazy loading fills them in without changing the selection
+        const withoutItems = (key, value) => key === 'item' ? undefined : value;
+        return JSON.stringify(first.selected, withoutItems) === JSON.stringify(second.selected, withoutItems);
+    },
+
+    /**
+     ** notifySelectionChange(): Compares the current selection with the last emitted one and emits a "change" event if they differ (skipped while a batch is running)
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string} source - What caused the change (user, api, selectAll, clearAll, clear, search, reset, loadChildren, setData, addItems, removeItems, updateItem, select)
+     */
+    notifySelectionChange: function (containerId, source) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || instance.batchDepth > 0) return;
+
+        const value = CustomControl.readDDLData(containerId);
+        if (instance.lastValue && CustomControl.isSameSelection(instance.lastValue, value)) return;
+
+        // Listeners get the valueFormat shape, read now (compressed depends on the current rows)
+        const previous = instance.lastOutput;
+        instance.lastValue = value;
+        instance.lastOutput = CustomControl.formatDDLData(containerId, value);
+        CustomControl.syncFormInputs(containerId, value);
+        CustomControl.refreshValidity(containerId, value);
+        CustomControl.announceSelection(containerId, value);
+        CustomControl.emitEvent(containerId, 'change', {
+            previous: previous,
+            value: instance.lastOutput,
+            source: source
+        });
+    },
+
+    /**
+     ** runBatch(): Runs a mutation that may touch many checkboxes and emits a single "change" event when it finishes
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string} source - What caused the change
+     * @param {Function} mutate - Function that applies the selection changes
+     * @returns {*} Return value of mutate()
+     */
+    runBatch: function (containerId, source, mutate) {
+        const instance = CustomControl.registry[containerId];
+        if (instance) instance.batchDepth++;
+
+        let result;
+        try {
+            result = mutate();
+        } finally {
+            if (instance) instance.batchDepth--;
+        }
+
+        CustomControl.notifySelectionChange(containerId, source);
+        return result;
+    },
+
     /**
      * Initialize the dropdown inside a container.
      * This method is considered as API for the user to initialize the dropdown.
      * @param {Object} params - Configuration object
      * @param {string} params.containerId - ID of the container element where dropdown will be rendered
+     * @param {HTMLElement} [params.container] - Container element to render in instead of looking containerId up in the document
+     *        (containers inside a shadow root); containerId still names the instance. Without containerId the container's id is
+     *        used (one is generated when it has none, see handle.containerId)
      * @param {string} [params.placeholder="اختر..."] - Placeholder text shown before selection
      * @param {Array}  params.data - Hierarchical JSON data [{id, name, children:[]}]
+     * @param {string} [params.dataFormat='tree'] - 'tree' (nested children) or 'flat' (one list, items linked by parentId)
+     * @param {Object} [params.fieldMap] - Keys (or accessor functions) to read {id, label, children, parentId, disabled} from
      * @param {Object} [params.flags] - Optional feature toggles (STRICT boolean values only)
      *        Example: {
      *           hasSearch: true,        // ONLY literal true or false
@@ -190,18 +385,63 @@ export const CustomControl = {
      *        STRICT TYPE SAFETY:
      *        Valid: true, false, undefined (defaults to false)
      *        Invalid: 1, 0, "yes", "", [], {}, null, etc. (all default to false with warning)
+     * @param {Function} [params.onChange] - Called with {previous, value, source} whenever the selection changes
+     * @param {Function} [params.onOpen] - Called with {value} when the dropdown opens
+     * @param {Function} [params.onClose] - Called with {value} when the dropdown closes
+     * @param {Function} [params.onSearch] - Called with {term, previousTerm, resultCount, matches, value} after every search
+     * @param {Function} [params.onClear] - Called with {previous, value} when all selections are cleared
+     * @param {Function} [params.onLoad] - Called with {value} after setData() or a loaded dataSource rendered new data (the value param is applied by then)
+     *        Every callback also has a bubbling CustomEvent twin dispatched on the container ("ddl-change", "ddl-open", ...)
+     *        with the same payload in event.detail. previous/value have the same shape getDDLData() returns.
+     * @param {Function} [params.onDataError] - Called with the validateData() report {valid, errors, warnings, rendered} when data has issues ("ddl-dataError" event)
+     * @param {boolean} [params.strict=false] - Don't render data with errors (the panel shows an error row instead of options)
+     * @param {string|Function} [params.dataSource] - URL of a JSON array or () => Promise<Array>. The dropdown shows a loading
+     *        state until the data arrives and an error row with a retry button if it fails
+     * @param {number} [params.cacheTTL=0] - Cache the dataSource result for this many milliseconds (shared by every dropdown using the same source)
+     * @param {Function} [params.remoteSearch] - (term, {signal}) => Promise<Array> returning the options matching term.
+     *        Enables the search box; results replace the rendered options and selected options stay selected
+     * @param {number} [params.searchDebounce=300] - Milliseconds to wait after typing before calling remoteSearch
+     * @param {number} [params.minSearchLength=2] - Minimum term length for remoteSearch (shorter terms show a hint)
+     * @param {string} [params.formName] - Submit the selected IDs with the surrounding <form> under this field name
+     * @param {string} [params.formFormat="multiple"] - How IDs are submitted: "multiple" (repeated fields), "comma" (one comma-joined field) or "json" (one JSON array field)
+     * @param {Object} [params.validation] - Validation rules {required, minSelected, maxSelected, validator(value)}
+     * @param {boolean|Array|Function} [params.searchNormalization=true] - Search text normalization: true (default steps), false (case only), an array of step names / functions, or a custom normalizer function(text)
+     * @param {Array} [params.searchFields] - Extra item fields searched besides the name: keys ("code", "aliases") or accessor functions (item => value)
+     * @param {string} [params.searchMode="contains"] - "contains" (substring, original order) or "fuzzy" (tolerates typos, ranks results by relevance)
+     * @param {Array|Object} [params.value] - Initial selection (any setDDLData() input), applied without a change event once the data is rendered
+     * @param {string} [params.valueFormat="tree"] - Shape of getDDLData() / event values: "tree", "leaves", "checked", "compressed" or "paths" (see formatDDLData())
+     * @param {string} [params.cascade="all"] - Multi-select tree parent/child policy: "all" (tri-state), "any" (parent checked when any child is),
+     *        "independent" (no propagation) or "downOnly" (parent to children only)
+     * @param {string} [params.locale="ar"] - Language of screen reader announcements ("ar" or "en")
+     * @param {number} [params.virtualRowHeight=40] - Row height in px for flags.hasVirtualScroll (every row has the same height)
+     * @param {Function} [params.loadChildren] - (node) => Promise<Array> loading children of tree view parents marked
+     *        with hasChildren: true on first expand. Loaded children are stored in node.children.
+     * @returns {Object|null} Instance handle (see createInstanceHandle()) or null if the container was not found
      */
     initialize: function (params) {
         //* Validation: Ensure container exists
-        const container = document.getElementById(params.containerId);
+        const container = params.container instanceof HTMLElement ? params.container : document.getElementById(params.containerId);
         if (!container) {
             console.error(`[CustomControl] Container with ID '${params.containerId}' not found.`);
-            return;
+            return null;
+        }
+
+        //* A container given without containerId names the instance by its own id (a unique one is generated if it has none)
+        if (!params.containerId) {
+            if (!container.id) {
+                container.id = CustomControl.createUniqueContainerId('ddl');
+            }
+            params = Object.assign({}, params, { containerId: container.id });
+        }
+
+        //* Re-initializing the same container: tear the previous instance down first (listeners + original content)
+        if (CustomControl.registry[params.containerId]) {
+            CustomControl.destroy(params.containerId);
         }
 
         //* Validate flag types for better developer experience - STRICT boolean validation
         if (params.flags) {
-            const flagNames = ['hasSearch', 'hasMultiSelect', 'hasTreeView', 'hasSelectAllBtn', 'hasClearAllBtn'];
+            const flagNames = ['hasSearch', 'hasMultiSelect', 'hasTreeView', 'hasSelectAllBtn', 'hasClearAllBtn', 'hasVirtualScroll'];
             flagNames.forEach(flagName => {
                 const flagValue = params.flags[flagName];
                 if (flagValue !== undefined && flagValue !== true && flagValue !== false) {
@@ -222,2001 +462,7383 @@ export const CustomControl = {
             containerId: params.containerId,
             placeholder: params.placeholder || "اختر...",
             data: params.data || [],
+            dataFormat: CustomControl.dataFormats.includes(params.dataFormat) ? params.dataFormat : 'tree',
+            fieldMap: CustomControl.normalizeFieldMap(params.fieldMap),
+            dataSource: (typeof params.dataSource === 'string' || typeof params.dataSource === 'function') ? params.dataSource : null,
+            cacheTTL: Number(params.cacheTTL) > 0 ? Number(params.cacheTTL) : 0,
+            remoteSearch: typeof params.remoteSearch === 'function' ? params.remoteSearch : null,
+            searchDebounce: Number(params.searchDebounce) >= 0 && params.searchDebounce !== null && params.searchDebounce !== undefined ? Number(params.searchDebounce) : 300,
+            minSearchLength: Number(params.minSearchLength) >= 1 ? Math.floor(Number(params.minSearchLength)) : 2,
+            loadChildren: typeof params.loadChildren === 'function' ? params.loadChildren : null,
             flags: {
                 hasSearch: getStrictBoolean(params.flags?.hasSearch),
                 hasMultiSelect: getStrictBoolean(params.flags?.hasMultiSelect),
                 hasTreeView: getStrictBoolean(params.flags?.hasTreeView),
                 hasSelectAllBtn: getStrictBoolean(params.flags?.hasSelectAllBtn),
-                hasClearAllBtn: getStrictBoolean(params.flags?.hasClearAllBtn)
+                hasClearAllBtn: getStrictBoolean(params.flags?.hasClearAllBtn),
+                hasVirtualScroll: getStrictBoolean(params.flags?.hasVirtualScroll)
                 //! Only literal true/false accepted - all other values default to false
+            },
+            formName: typeof params.formName === 'string' && params.formName.trim() !== '' ? params.formName.trim() : null,
+            formFormat: CustomControl.formFormats.includes(params.formFormat) ? params.formFormat : 'multiple',
+            value: params.value !== undefined && params.value !== null ? params.value : null, // restored by form reset (see addFormResetListener())
+            validation: CustomControl.normalizeValidation(params.validation),
+            normalizeSearchText: CustomControl.createSearchNormalizer(params.searchNormalization),
+            searchMode: params.searchMode === 'fuzzy' ? 'fuzzy' : 'contains',
+            cascade: CustomControl.cascadeModes.includes(params.cascade) ? params.cascade : 'all',
+            valueFormat: CustomControl.valueFormats.includes(params.valueFormat) ? params.valueFormat : 'tree',
+            searchFields: CustomControl.normalizeSearchFields(params.searchFields),
+            locale: params.locale === 'en' ? 'en' : 'ar',
+            strict: params.strict === true,
+            virtualRowHeight: Number(params.virtualRowHeight) > 0 ? Number(params.virtualRowHeight) : CustomControl.virtualDefaults.rowHeight
+        };
+
+        if (params.dataSource !== undefined && !settings.dataSource) {
+            console.warn(`[CustomControl] 'dataSource' must be a URL string or a function returning a Promise, received: ${typeof params.dataSource}. Ignoring it.`);
+        }
+
+        if (params.remoteSearch !== undefined && !settings.remoteSearch) {
+            console.warn(`[CustomControl] 'remoteSearch' must be a function returning a Promise, received: ${typeof params.remoteSearch}. Ignoring it.`);
+        }
+        if (settings.remoteSearch) {
+            settings.flags.hasSearch = true; // remote search needs the search box
+        }
+
+        if (params.searchMode !== undefined && params.searchMode !== 'contains' && params.searchMode !== 'fuzzy') {
+            console.warn(`[CustomControl] 'searchMode' must be 'contains' or 'fuzzy', received: ${JSON.stringify(params.searchMode)}. Defaulting to 'contains'.`);
+        }
+
+        if (params.valueFormat !== undefined && !CustomControl.valueFormats.includes(params.valueFormat)) {
+            console.warn(`[CustomControl] 'valueFormat' must be one of ${CustomControl.valueFormats.join(', ')}, received: ${JSON.stringify(params.valueFormat)}. Defaulting to 'tree'.`);
+        }
+
+        if (params.cascade !== undefined && !CustomControl.cascadeModes.includes(params.cascade)) {
+            console.warn(`[CustomControl] 'cascade' must be one of ${CustomControl.cascadeModes.join(', ')}, received: ${JSON.stringify(params.cascade)}. Defaulting to 'all'.`);
+        }
+
+        if (params.dataFormat !== undefined && !CustomControl.dataFormats.includes(params.dataFormat)) {
+            console.warn(`[CustomControl] 'dataFormat' must be one of ${CustomControl.dataFormats.join(', ')}, received: ${JSON.stringify(params.dataFormat)}. Defaulting to 'tree'.`);
+        }
+
+        if (params.strict !== undefined && params.strict !== true && params.strict !== false) {
+            console.warn(`[CustomControl] 'strict' must be literal true or false, received: ${typeof params.strict} (${JSON.stringify(params.strict)}). Defaulting to false.`);
+        }
+
+        if (params.formFormat !== undefined && !CustomControl.formFormats.includes(params.formFormat)) {
+            console.warn(`[CustomControl] 'formFormat' must be one of ${CustomControl.formFormats.join(', ')}, received: ${JSON.stringify(params.formFormat)}. Defaulting to 'multiple'.`);
+        }
+
+        if (params.loadChildren !== undefined && typeof params.loadChildren !== 'function') {
+            console.warn(`[CustomControl] 'loadChildren' must be a function returning a Promise, received: ${typeof params.loadChildren}. Ignoring it.`);
+        }
+
+        //* Virtual scroll renders from an in-memory model, which lazy children and remote results don't feed
+        if (settings.flags.hasVirtualScroll) {
+            ['remoteSearch', 'loadChildren'].forEach(optionName => {
+                if (settings[optionName]) {
+                    console.warn(`[CustomControl] '${optionName}' is not supported with hasVirtualScroll. Ignoring it.`);
+                    settings[optionName] = null;
+                }
+            });
+        }
+
+        //* Collect event callbacks (non-function values are ignored with warning)
+        const callbacks = {};
+        CustomControl.eventCallbackNames.forEach(callbackName => {
+            const callback = params[callbackName];
+            if (callback === undefined) return;
+            if (typeof callback !== 'function') {
+                console.warn(`[CustomControl] '${callbackName}' must be a function, received: ${typeof callback}. Ignoring it.`);
+                return;
             }
+            callbacks[callbackName] = callback;
+        });
+
+        //* Register instance state before rendering so handlers can reach it
+        const instance = {
+            settings: settings,
+            callbacks: callbacks,
+            batchDepth: 0,
+            lastValue: null, // tree format, compared to detect changes
+            lastOutput: null, // lastValue in the valueFormat shape (previous of the next change event)
+            lastSearchTerm: '', // term of the last search event (its previousTerm)
+            disabled: false,
+            container: container,
+            originalContent: Array.from(container.childNodes),
+            ddlWrapper: null,
+            listeners: [],
+            loadToken: 0,
+            remoteSearch: { timer: null, controller: null },
+            virtual: null,
+            activeRow: null,
+            typeAhead: null,
+            validationShown: false,
+            initialValue: params.value, // params.value until it is applied (see applyInitialValue())
+            enhancement: null, // enhance(): the native select kept in sync
+            items: new Map(), // data model: String(id) → data item (see indexItems())
+            rowItems: new WeakMap(), // rendered row → data item it shows
+            rowIdCounter: 0, // numbers row element IDs (see generateId())
+            mappedNodes: new WeakMap(), // original item → node built from it by fieldMap / dataFormat (see mapItem())
+            handle: CustomControl.createInstanceHandle(settings.containerId)
         };
+        CustomControl.registry[settings.containerId] = instance;
 
         //* Create base DOM structure
         CustomControl.renderBase(container, settings);
+
+        //* Remember initial selection so the first change event has a previous value
+        instance.lastValue = CustomControl.readDDLData(settings.containerId);
+        instance.lastOutput = CustomControl.formatDDLData(settings.containerId, instance.lastValue);
+
+        //* Remote data: render the loading state now and options once the data arrives (the initial value waits for them)
+        if (settings.dataSource) {
+            CustomControl.loadDataSource(settings.containerId);
+        } else {
+            CustomControl.applyInitialValue(settings.containerId);
+        }
+
+        return instance.handle;
     },
 
     /**
-     * Clear container content.
-     * @param {HTMLElement} container - Target container
+     * Get the instance handle of an initialized dropdown.
+     * This method is considered as API for the user to reach a dropdown by its container ID.
+     * @param {string} containerId - The specific dropdown container ID
+     * @returns {Object|null} Instance handle or null if no dropdown is registered for this container
      */
-    clearContainer: function (container) {
-        container.innerHTML = "";
+    getInstance: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        return instance ? instance.handle : null;
     },
 
     /**
-     * Create main dropdown wrapper element.
-     * @param {string} containerId - Container ID for this instance
-     * @returns {HTMLElement} Dropdown wrapper element
+     * Get the handles of all initialized dropdowns.
+     * This method is considered as API for the user to iterate over every dropdown on the page.
+     * @returns {Array<Object>} Array of instance handles
      */
-    createDropdownWrapper: function (containerId) {
-        return CustomControl.createElement('div', 'custom-ddl', {
-            id: `${containerId}_ddl`
-        });
+    instances: function () {
+        return Object.keys(CustomControl.registry).map(containerId => CustomControl.registry[containerId].handle);
     },
 
     /**
-     * Create dropdown header with placeholder text.
-     * @param {string} placeholder - Placeholder text to display
-     * @returns {HTMLElement} Header element
+     ** applyInitialValue(): Selects the value param once, like the selected options of a native select: without a change event
+     * (form inputs and validity still follow it)
+     * @param {string} containerId - Container ID for this dropdown instance
      */
-    createHeader: function (placeholder) {
-        return CustomControl.createElement('div', 'ddl-header', {
-            innerText: placeholder
-        });
+    applyInitialValue: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || instance.initialValue === undefined) return;
+
+        const value = instance.initialValue;
+        instance.initialValue = undefined;
+
+        instance.batchDepth++;
+        try {
+            CustomControl.setDDLData(containerId, value);
+        } finally {
+            instance.batchDepth--;
+        }
+
+        instance.lastValue = CustomControl.readDDLData(containerId);
+        instance.lastOutput = CustomControl.formatDDLData(containerId, instance.lastValue);
+        CustomControl.syncFormInputs(containerId, instance.lastValue);
+        CustomControl.refreshValidity(containerId, instance.lastValue);
     },
 
     /**
-     * Create options container element.
-     * @returns {HTMLElement} Options container element
+     ** createInstanceHandle(): Builds the object returned by initialize(). Every method delegates to the static API with the bound container ID, so both styles stay interchangeable
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {Object} Instance handle
      */
-    createOptionsContainer: function () {
-        return CustomControl.createElement('div', 'ddl-options hidden');
+    createInstanceHandle: function (containerId) {
+        return {
+            containerId: containerId,
+            getValue: function (valueFormat) {
+                return CustomControl.getDDLData(containerId, valueFormat);
+            },
+            setValue: function (selections, valueFormat) {
+                return CustomControl.setDDLData(containerId, selections, valueFormat);
+            },
+            getItem: function (id) {
+                return CustomControl.getItem(containerId, id);
+            },
+            open: function () {
+                return CustomControl.open(containerId);
+            },
+            close: function () {
+                return CustomControl.close(containerId);
+            },
+            clear: function () {
+                CustomControl.clearAllSelections(containerId);
+            },
+            search: function (searchTerm) {
+                return CustomControl.search(containerId, searchTerm);
+            },
+            setData: function (data, options) {
+                return CustomControl.setData(containerId, data, options);
+            },
+            addItems: function (parentId, items) {
+                return CustomControl.addItems(containerId, parentId, items);
+            },
+            removeItems: function (ids) {
+                return CustomControl.removeItems(containerId, ids);
+            },
+            updateItem: function (id, patch) {
+                return CustomControl.updateItem(containerId, id, patch);
+            },
+            enable: function () {
+                return CustomControl.enable(containerId);
+            },
+            disable: function () {
+                return CustomControl.disable(containerId);
+            },
+            isDisabled: function () {
+                const instance = CustomControl.registry[containerId];
+                return !!(instance && instance.disabled);
+            },
+            reload: function () {
+                return CustomControl.reload(containerId);
+            },
+            isValid: function () {
+                return CustomControl.isValid(containerId);
+            },
+            validate: function () {
+                return CustomControl.validate(containerId);
+            },
+            destroy: function () {
+                return CustomControl.destroy(containerId);
+            }
+        };
     },
 
     /**
-     * Create multi-select navigation icon.
-     * @param {string} containerId - Container ID for this instance
-     * @returns {HTMLElement} Navigation icon element
+     ** getRegisteredInstance(): Returns the registry entry of a dropdown, or logs a warning and returns null when it doesn't exist
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {Object|null} Registry entry or null
      */
-    createMultiNavIcon: function (containerId) {
-        const navIcon = CustomControl.createElement('div', 'ddl-multi-nav-icon', {
-            innerHTML: "↓",
-            title: "الانتقال إلى التحديد التالي",
-            dataset: { containerId: containerId }
-        });
-        
-        // Add click event listener
-        navIcon.addEventListener('click', function(e) {
-            e.stopPropagation();
-            const containerId = e.currentTarget.dataset.containerId;
-            CustomControl.navigateToNextSelection(containerId);
-        });
-        
-        return navIcon;
+    getRegisteredInstance: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance) {
+            console.warn(`[CustomControl] No dropdown is initialized in container '${containerId}'.`);
+            return null;
+        }
+        return instance;
     },
 
     /**
-     * Create Select All button if enabled.
-     * @param {boolean} hasSelectAllBtn - Whether to create the button
-     * @param {string} containerId - Container ID for this instance
-     * @returns {HTMLElement|null} Select All button element or null
+     ** getDropdownWrapper(): Returns the dropdown wrapper element (custom-ddl) of an instance, from the registry if registered, otherwise by its generated element ID
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {HTMLElement|null} Dropdown wrapper element or null
      */
-    createSelectAllButton: function (hasSelectAllBtn, containerId) {
-        if (!hasSelectAllBtn) {
-            return null;
+    getDropdownWrapper: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        if (instance && instance.ddlWrapper) {
+            return instance.ddlWrapper;
         }
-        
-        const btnSelectAll = CustomControl.createElement('button', 'ddl-btn select-all', {
-            innerText: "تحديد الكل",
-            dataset: { containerId: containerId }
-        });
-        
-        // Add event listener for Select All functionality
-        btnSelectAll.addEventListener('click', function(e) {
-            e.stopPropagation();
-            const containerId = e.currentTarget.dataset.containerId;
-            CustomControl.toggleAllSelections(containerId, true);
-        });
-        
-        return btnSelectAll;
+        return document.getElementById(`${containerId}_ddl`);
     },
 
     /**
-     * Create Clear All button if enabled.
-     * @param {boolean} hasClearAllBtn - Whether to create the button
-     * @param {string} containerId - Container ID for this instance
-     * @returns {HTMLElement|null} Clear All button element or null
+     ** addManagedListener(): Adds an event listener and records it in the instance registry so destroy() and re-renders can remove it again
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {EventTarget} target - Element (or document) to listen on
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     * @param {Object|boolean} [options] - addEventListener options
      */
-    createClearAllButton: function (hasClearAllBtn, containerId) {
-        if (!hasClearAllBtn) {
-            return null;
+    addManagedListener: function (containerId, target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+
+        const instance = CustomControl.registry[containerId];
+        if (instance) {
+            instance.listeners.push({ target: target, type: type, handler: handler, options: options });
         }
-        
-        const btnClearAll = CustomControl.createElement('button', 'ddl-btn clear-all', {
-            innerText: "مسح الكل",
-            dataset: { containerId: containerId }
-        });
-        
-        // Add event listener for Clear All functionality
-        btnClearAll.addEventListener('click', function(e) {
-            e.stopPropagation();
-            const containerId = e.currentTarget.dataset.containerId;
-            CustomControl.toggleAllSelections(containerId, false);
-        });
-        
-        return btnClearAll;
     },
 
     /**
-     * Create search input box if enabled.
-     * @param {boolean} hasSearch - Whether to create the search box
-     * @param {string} containerId - Container ID for this instance
-     * @returns {HTMLElement|null} Search input element or null
+     ** removeManagedListeners(): Removes every listener recorded by addManagedListener() for an instance
+     * @param {string} containerId - Container ID for this dropdown instance
      */
-        createSearchBox: function (hasSearch, containerId) {
-        if (!hasSearch) {
-            return null;
-        }
-        
-        const searchBox = CustomControl.createElement('input', 'ddl-search', {
-            type: 'text',
-            placeholder: "بحث...",
-            dataset: { containerId: containerId }
+    removeManagedListeners: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance) return;
+
+        instance.listeners.forEach(listener => {
+            listener.target.removeEventListener(listener.type, listener.handler, listener.options);
         });
-        
-        // Add event listener for search functionality
-        searchBox.addEventListener('input', function(e) {
-            const containerId = e.currentTarget.dataset.containerId;
-            const searchTerm = e.currentTarget.value.trim();
-            CustomControl.handleSearch(containerId, searchTerm);
+        instance.listeners = [];
+    },
+
+    /**
+     ** removeManagedListenersWithin(): Removes the recorded listeners of elements inside a subtree that is about to be dropped
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} rootElement - Root of the subtree
+     */
+    removeManagedListenersWithin: function (containerId, rootElement) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance) return;
+
+        instance.listeners = instance.listeners.filter(listener => {
+            if (!rootElement.contains(listener.target)) return true;
+            listener.target.removeEventListener(listener.type, listener.handler, listener.options);
+            return false;
         });
-        
-        return searchBox;
     },
 
     /**
-     * Create button container for action buttons.
-     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
-     * @param {boolean} hasSelectAllBtn - Whether to show select all button
-     * @param {boolean} hasClearAllBtn - Whether to show clear all button
-     * @param {string} containerId - Container ID for this instance
-     * @returns {HTMLElement|null} Button container element or null
+     * Open a dropdown by container ID (other open dropdowns are closed first).
+     * @param {string} containerId - The specific dropdown container ID
+     * @returns {boolean} True if the dropdown was opened, false otherwise
      */
-    createButtonContainer: function (hasMultiSelect, hasSelectAllBtn, hasClearAllBtn, containerId) {
-        const showSelectAll = hasMultiSelect && hasSelectAllBtn;
-        const showClearAll = hasMultiSelect && hasClearAllBtn;
+    open: function (containerId) {
+        const instance = CustomControl.getRegisteredInstance(containerId);
+        if (!instance || instance.disabled) return false;
 
-        // Only create container if at least one button should be shown
-        if (!showSelectAll && !showClearAll) {
-            return null;
-        }
+        const ddlWrapper = CustomControl.getDropdownWrapper(containerId);
+        const optionsContainer = CustomControl.getByName(ddlWrapper, 'ddl-options');
+        if (!optionsContainer) return false;
 
-        const buttonContainer = document.createElement("div");
-        buttonContainer.setAttribute('name', 'ddl-button-container');
+        CustomControl.closeAllOtherDropdowns(ddlWrapper);
+        CustomControl.openDropdown(ddlWrapper, optionsContainer);
+        return true;
+    },
 
-        if (showSelectAll) {
-            const selectAllBtn = CustomControl.createSelectAllButton(hasSelectAllBtn, containerId);
-            buttonContainer.appendChild(selectAllBtn);
-        }
+    /**
+     * Close a dropdown by container ID.
+     * @param {string} containerId - The specific dropdown container ID
+     * @returns {boolean} True if the dropdown was found, false otherwise
+     */
+    close: function (containerId) {
+        const instance = CustomControl.getRegisteredInstance(containerId);
+        if (!instance) return false;
 
-        if (showClearAll) {
-            const clearAllBtn = CustomControl.createClearAllButton(hasClearAllBtn, containerId);
-            buttonContainer.appendChild(clearAllBtn);
-        }
+        const ddlWrapper = CustomControl.getDropdownWrapper(containerId);
+        const optionsContainer = CustomControl.getByName(ddlWrapper, 'ddl-options');
+        if (!optionsContainer) return false;
 
-        return buttonContainer;
+        CustomControl.closeDropdown(ddlWrapper, optionsContainer);
+        return true;
     },
 
     /**
-     * Add action buttons and search box to options container.
-     * @param {HTMLElement} optionsContainer - Options container element
-     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
-     * @param {boolean} hasSelectAllBtn - Whether to show select all button
-     * @param {boolean} hasClearAllBtn - Whether to show clear all button
-     * @param {boolean} hasSearch - Whether to show search box
-     * @param {string} containerId - Container ID for this instance
+     * Check the validation rules of a dropdown without showing anything.
+     * @param {string} containerId - The specific dropdown container ID
+     * @returns {boolean} True if the selection satisfies the rules (or there are none)
      */
-    populateOptionsContainer: function (optionsContainer, hasMultiSelect, hasSelectAllBtn, hasClearAllBtn, hasSearch, containerId) {
-        // Only show buttons if multiSelect is enabled
-        const showSelectAll = hasMultiSelect && hasSelectAllBtn;
-        const showClearAll = hasMultiSelect && hasClearAllBtn;
-        
-        if (showSelectAll || showClearAll) {
-            const buttonContainer = CustomControl.createButtonContainer(hasMultiSelect, hasSelectAllBtn, hasClearAllBtn, containerId);
-            optionsContainer.appendChild(buttonContainer);
-        }
-
-        // Add search box if enabled
-        if (hasSearch) {
-            const searchBox = CustomControl.createSearchBox(hasSearch, containerId);
-            optionsContainer.appendChild(searchBox);
-        }
+    isValid: function (containerId) {
+        return CustomControl.getValidationError(containerId) === null;
     },
 
     /**
-     * Generate element ID.
-     * Format: containerId-parentId[-childId]
-     * 
-     * @param {string} containerId - The control's container ID
-     * @param {string|number} parentId - Parent ID from JSON
-     * @param {string|number} [childId] - Child ID from JSON (optional)
-     * @returns {string} Element ID
+     * Check the validation rules of a dropdown and show the result (inline error, invalid state).
+     * From then on the error follows every change.
+     * @param {string} containerId - The specific dropdown container ID
+     * @returns {boolean} True if the selection satisfies the rules (or there are none)
      */
-    generateId: function (containerId, parentId, childId) {
-        return childId 
-            ? `${containerId}-${parentId}-${childId}`
-            : `${containerId}-${parentId}`;
+    validate: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || !instance.settings.validation) return true;
+
+        instance.validationShown = true;
+        const message = CustomControl.getValidationError(containerId);
+        CustomControl.showValidationError(containerId, message);
+        return message === null;
     },
 
     /**
-     * Add placeholder option that clears all selections when clicked.
-     * If Clear All button exists, placeholder is visible but disabled to avoid redundancy.
-     * @param {HTMLElement} optionsContainer - Options container element
-     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
-     * @param {boolean} hasClearAllBtn - Whether clear all button is enabled
-     * @param {string} placeholder - Placeholder text
-     * @param {string} containerId - Container ID for this instance
+     * Apply a search term programmatically (the search box is updated too when it exists).
+     * @param {string} containerId - The specific dropdown container ID
+     * @param {string} searchTerm - Term to filter by (empty string clears the search)
+     * @returns {boolean} True if the search was applied, false otherwise
      */
-    addPlaceholderOption: function (optionsContainer, hasMultiSelect, hasClearAllBtn, placeholder, containerId) {
-        // Check if Clear All button is enabled - if so, make placeholder disabled
-        const shouldDisable = hasMultiSelect && hasClearAllBtn;
-        
-        const placeholderDiv = CustomControl.createElement('div', 'ddl-placeholder-option', {
-            innerText: placeholder,
-            dataset: { containerId: containerId }
-        });
-        
-        if (shouldDisable) {
-            // Disable placeholder when Clear All button exists
-            CustomControl.nameListAdd(placeholderDiv, 'ddl-disabled');
-        } else {
-            // Enable placeholder with click functionality
-            placeholderDiv.addEventListener('click', function(e) {
-                e.stopPropagation();
-                const containerId = e.currentTarget.dataset.containerId;
-                CustomControl.clearAllSelections(containerId);
-                
-                // Close dropdown after clearing
-                const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-                const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
-                if (dropdownContainer && optionsContainer) {
-                    CustomControl.closeDropdown(dropdownContainer, optionsContainer);
-                }
-            });
+    search: function (containerId, searchTerm) {
+        const instance = CustomControl.getRegisteredInstance(containerId);
+        if (!instance) return false;
+
+        const term = String(searchTerm || '').trim();
+        const searchBox = CustomControl.getByName(CustomControl.getDropdownWrapper(containerId), 'ddl-search');
+        if (searchBox) {
+            searchBox.value = term;
         }
-        
-        optionsContainer.appendChild(placeholderDiv);
-    },
 
+        CustomControl.applySearchTerm(containerId, term);
+        return true;
+    },
 
     /**
-     * Create parent element structure with unique ID.
-     * @param {Object} parent - Parent data object
-     * @param {string} containerId - Container ID for this instance
-     * @returns {Object} Object containing parentDiv and parentLabel
+     * Replace the options of a dropdown and re-render it with the same settings.
+     * Current selection is cleared, so a change event is emitted if something was selected,
+     * unless options.preserveSelection keeps the selected IDs that still exist in the new data.
+     * The value param still waiting for data (dataSource) is applied, then the "load" event is emitted.
+     * To change a few options without re-rendering, use addItems(), removeItems() or updateItem().
+     * @param {string} containerId - The specific dropdown container ID
+     * @param {Array} data - Hierarchical JSON data [{id, name, children:[]}]
+     * @param {Object} [options] - { preserveSelection: true } to select the same IDs again after the re-render
+     * @returns {boolean} True if the data was applied, false otherwise
      */
-    createParentElement: function(parent, containerId) {
-        const parentDiv = CustomControl.createElement('div', 'ddl-parent');
-        const parentLabel = CustomControl.createElement('div', 'ddl-parent-label', {
-            id: CustomControl.generateId(containerId, parent.id),
-            dataset: { id: parent.id }
+    setData: function (containerId, data, options = {}) {
+        const instance = CustomControl.getRegisteredInstance(containerId);
+        if (!instance) return false;
+
+        if (!Array.isArray(data)) {
+            console.warn(`[CustomControl] setData for '${containerId}' expects an array, received: ${typeof data}.`);
+            return false;
+        }
+
+        const wasOpen = !!instance.ddlWrapper && CustomControl.nameListContains(instance.ddlWrapper, 'open');
+        const previousIds = options && options.preserveSelection === true
+            ? CustomControl.toSelectionIds(CustomControl.readDDLData(containerId))
+            : [];
+
+        instance.settings.data = data;
+        CustomControl.runBatch(containerId, 'setData', function () {
+            CustomControl.renderBase(instance.container, instance.settings);
+
+            // IDs missing from the new data are dropped from the selection
+            const keptIds = previousIds.filter(id => instance.items.has(id));
+            if (keptIds.length > 0) {
+                CustomControl.setDDLData(containerId, keptIds, 'checked');
+            }
         });
 
-        return { parentDiv, parentLabel };
+        // Re-apply disabled state on the freshly rendered wrapper
+        if (instance.disabled) {
+            CustomControl.setDisabledState(containerId, true);
+        } else if (wasOpen) {
+            // Keep the panel open across the re-render (no open event, it never closed for the user)
+            CustomControl.nameListAdd(instance.ddlWrapper, 'open');
+            CustomControl.setHeaderExpanded(instance.ddlWrapper, true);
+            CustomControl.nameListRemove(CustomControl.getByName(instance.ddlWrapper, 'ddl-options'), 'hidden');
+            CustomControl.updateMultiNavIconVisibility(containerId);
+        }
+
+        // The initial value is applied silently, so the load event is what tells listeners (e.g. <custom-ddl>) about it
+        CustomControl.applyInitialValue(containerId);
+        CustomControl.emitEvent(containerId, 'load', {
+            value: CustomControl.getDDLData(containerId)
+        });
+        return true;
     },
 
     /**
-     * Setup parent content (checkbox + text or just text).
-     * @param {HTMLElement} parentLabel - Parent label element
-     * @param {Object} parent - Parent data object
-     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * Add data items to a dropdown without re-rendering it, under a parent (at any depth) or at the top level.
+     * The items are appended to the parent's children (or to data) and only the new rows are rendered, so selection,
+     * expansion and an active search are kept. Children added under a checked parent are checked too, like loaded lazy children.
+     * Items have the shape of data (fieldMap and dataFormat apply; flat items may also link to each other through parentId).
+     * @param {string} containerId - The specific dropdown container ID
+     * @param {string|number|null} parentId - ID of the parent item, or null for top level items
+     * @param {Array} items - Data items [{id, name, children?}]
+     * @returns {boolean} True if the items were added, false otherwise
      */
-    setupParentContent: function(parentLabel, parent, hasMultiSelect) {
-        if (hasMultiSelect) {
-            const parentCheckbox = CustomControl.createElement('input', 'ddl-checkbox parent-checkbox', {
-                type: 'checkbox',
-                id: `${parentLabel.id}-checkbox`,
-                dataset: { parentId: parent.id }
-            });
+    addItems: function (containerId, parentId, items) {
+        const instance = CustomControl.getRegisteredInstance(containerId);
+        if (!instance) return false;
 
-            const parentText = CustomControl.createElement('span', 'ddl-label-text', {
-                innerText: parent.name
-            });
+        if (!Array.isArray(items)) {
+            console.warn(`[CustomControl] addItems for '${containerId}' expects an array, received: ${typeof items}.`);
+            return false;
+        }
 
-            parentLabel.appendChild(parentCheckbox);
-            parentLabel.appendChild(parentText);
+        const isTopLevel = parentId === null || parentId === undefined;
+        const parent = isTopLevel ? null : CustomControl.getIndexedItem(containerId, parentId);
+        if (!isTopLevel && !parent) {
+            console.warn(`[CustomControl] addItems: no item with ID '${parentId}' in '${containerId}'.`);
+            return false;
+        }
+        const nodes = CustomControl.mapData(containerId, items, isTopLevel ? null : parentId);
+
+        // New arrays instead of push(), so the arrays passed in data are left as they are
+        if (isTopLevel) {
+            instance.settings.data = instance.settings.data.concat(nodes);
         } else {
-            // Single selection - use consistent span structure
-            const parentText = CustomControl.createElement('span', 'ddl-label-text', {
-                innerText: parent.name
-            });
-            parentLabel.appendChild(parentText);
+            parent.children = (Array.isArray(parent.children) ? parent.children : []).concat(nodes);
         }
+        CustomControl.indexItems(containerId, nodes);
+
+        CustomControl.runBatch(containerId, 'addItems', function () {
+            if (!instance.virtual) {
+                if (isTopLevel) {
+                    CustomControl.appendTopLevelItems(containerId, nodes);
+                } else {
+                    CustomControl.getItemRows(containerId, parent).forEach(row => {
+                        CustomControl.appendChildItems(containerId, row, nodes);
+                    });
+                }
+            }
+            CustomControl.refreshAfterDataChange(containerId);
+        });
+        return true;
     },
 
     /**
-     * Create a single child element with proper setup.
-     * @param {Object} child - Child data object
-     * @param {Object} parent - Parent data object
-     * @param {string} containerId - Container ID for this instance
-     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
-     * @returns {HTMLElement} Child element
+     * Remove data items (with their descendants) from a dropdown without re-rendering it.
+     * Removed items leave the selection; a parent that loses its last child is shown as a leaf.
+     * @param {string} containerId - The specific dropdown container ID
+     * @param {Array<string|number>|string|number} ids - IDs of the items to remove
+     * @returns {boolean} True if at least one item was removed, false otherwise
      */
-    createChildElement: function(child, parent, containerId, hasMultiSelect) {
-        const childDiv = CustomControl.createElement('div', 'ddl-child', {
-            id: CustomControl.generateId(containerId, parent.id, child.id),
-            dataset: { 
-                id: child.id, 
-                parentId: parent.id 
+    removeItems: function (containerId, ids) {
+        const instance = CustomControl.getRegisteredInstance(containerId);
+        if (!instance) return false;
+
+        const items = [];
+        (Array.isArray(ids) ? ids : [ids]).forEach(id => {
+            const item = CustomControl.getIndexedItem(containerId, id);
+            if (item) {
+                items.push(item);
+            } else {
+                console.warn(`[CustomControl] removeItems: no item with ID '${id}' in '${containerId}'.`);
+            }
+        });
+        if (items.length === 0) return false;
+
+        items.forEach(item => {
+            const owner = CustomControl.findItemOwner(containerId, item);
+            if (owner) {
+                // A new array without the item instead of splice(), so the arrays passed in data are left as they are
+                const siblings = owner.siblings.filter(sibling => sibling !== item);
+                if (owner.owner) {
+                    owner.owner.children = siblings;
+                } else {
+                    instance.settings.data = siblings;
+                }
             }
+            CustomControl.unindexItem(containerId, item);
         });
 
-        CustomControl.setupChildContent(childDiv, child, parent, hasMultiSelect);
-        
-        return childDiv;
+        CustomControl.runBatch(containerId, 'removeItems', function () {
+            if (!instance.virtual) {
+                items.forEach(item => {
+                    CustomControl.getItemRows(containerId, item).forEach(row => {
+                        CustomControl.removeItemRow(containerId, row);
+                    });
+                });
+            }
+            CustomControl.refreshAfterDataChange(containerId);
+        });
+        return true;
     },
 
     /**
-     * Setup child content (checkbox + text or just text with click handler).
-     * @param {HTMLElement} childDiv - Child element
-     * @param {Object} child - Child data object
-     * @param {Object} parent - Parent data object
-     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * Change the fields of a data item (name, id, children, extra fields) and re-render only its rows.
+     * The item object itself is updated, so getItem() and the item of results reflect the patch. With fieldMap the patch uses
+     * the keys of the original item; a flat item keeps its parent (remove it and add it again to move it).
+     * @param {string} containerId - The specific dropdown container ID
+     * @param {string|number} id - ID of the item to update
+     * @param {Object} patch - Fields to assign to the item
+     * @returns {boolean} True if the item was updated, false otherwise
      */
-    setupChildContent: function(childDiv, child, parent, hasMultiSelect) {
-        if (hasMultiSelect) {
-            const childCheckbox = CustomControl.createElement('input', 'ddl-checkbox child-checkbox', {
-                type: 'checkbox',
-                id: `${childDiv.id}-checkbox`,
-                dataset: { 
-                    childId: child.id,
-                    parentId: parent.id 
-                }
-            });
+    updateItem: function (containerId, id, patch) {
+        const instance = CustomControl.getRegisteredInstance(containerId);
+        if (!instance) return false;
 
-            const childText = CustomControl.createElement('span', 'ddl-label-text', {
-                innerText: child.name
-            });
+        const item = CustomControl.getIndexedItem(containerId, id);
+        if (!item) {
+            console.warn(`[CustomControl] updateItem: no item with ID '${id}' in '${containerId}'.`);
+            return false;
+        }
+        if (!patch || typeof patch !== 'object') {
+            console.warn(`[CustomControl] updateItem for '${containerId}' expects a patch object, received: ${patch === null ? 'null' : typeof patch}.`);
+            return false;
+        }
 
-            childDiv.appendChild(childCheckbox);
-            childDiv.appendChild(childText);
+        // Forget the old ID and children, then index the patched item again (children kept in the patch come back)
+        CustomControl.unindexItem(containerId, item);
+        if (CustomControl.isMappedData(instance.settings)) {
+            // Mapped data: patch the original and read its fields again (flat lists keep the children linked to the item)
+            const original = CustomControl.getOriginalItem(item);
+            Object.assign(original, patch);
+            CustomControl.mapItem(containerId, original, instance.settings.dataFormat === 'flat' ? 'keep' : 'tree');
         } else {
-            // Single selection - use consistent span structure
-            const childText = CustomControl.createElement('span', 'ddl-label-text', {
-                innerText: child.name
-            });
-            childDiv.appendChild(childText);
-            
-            CustomControl.nameListAdd(childDiv, "ddl-option");
-            childDiv.addEventListener("click", function(e) {
-                e.stopPropagation();
-                const dropdownContainer = e.currentTarget.closest('[name~="custom-ddl"]');
-                const containerId = dropdownContainer ? dropdownContainer.id.replace('_ddl', '') : null;
-                if (containerId) {
-                    CustomControl.handleSingleSelection(e.currentTarget, containerId);
-                }
-            });
+            Object.assign(item, patch);
         }
-    },
-
-    /**
-     * Create children container and populate with child elements.
-     * @param {Object} parent - Parent data object
-     * @param {string} containerId - Container ID for this instance
-     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
-     * @returns {HTMLElement} Children container element
-     */
-    createChildrenSection: function(parent, containerId, hasMultiSelect) {
-        const childrenContainer = CustomControl.createElement('div', 'ddl-children');
+        CustomControl.indexItems(containerId, [item]);
 
-        parent.children.forEach(child => {
-            const childDiv = CustomControl.createChildElement(child, parent, containerId, hasMultiSelect);
-            childrenContainer.appendChild(childDiv);
+        CustomControl.runBatch(containerId, 'updateItem', function () {
+            if (!instance.virtual) {
+                CustomControl.getItemRows(containerId, item).forEach(row => {
+                    CustomControl.replaceItemRow(containerId, row);
+                });
+            }
+            CustomControl.refreshAfterDataChange(containerId);
         });
-
-        return childrenContainer;
+        return true;
     },
 
     /**
-     * Add expand/collapse behavior to tree view parents.
-     * @param {HTMLElement} parentLabel - Parent label element
-     * @param {HTMLElement} childrenContainer - Children container element
-     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * Fetch the dataSource of a dropdown again, bypassing the cache. Selected IDs that are still in the new data stay selected.
+     * @param {string} containerId - The specific dropdown container ID
+     * @returns {Promise<boolean>} Resolves true when the new data was rendered, false otherwise
      */
-    addTreeViewBehavior: function(parentLabel, childrenContainer, hasMultiSelect) {
-        const toggleChildren = function () {
-            CustomControl.nameListToggle(childrenContainer, "hidden");
-            const isNowVisible = !CustomControl.nameListContains(childrenContainer, "hidden");
-            
-            if (isNowVisible) {
-                CustomControl.nameListAdd(parentLabel, "expanded");    // Arrow UP ▲
-            } else {
-                CustomControl.nameListRemove(parentLabel, "expanded"); // Arrow DOWN ▼
-            }
-        };
+    reload: function (containerId) {
+        const instance = CustomControl.getRegisteredInstance(containerId);
+        if (!instance) return Promise.resolve(false);
 
-        if (hasMultiSelect) {
-            // When checkboxes exist, only text should expand/collapse
-            const parentTextElement = CustomControl.getByName(parentLabel, 'ddl-label-text');
-            if (parentTextElement) {
-                parentTextElement.addEventListener("click", function (e) {
-                    e.stopPropagation(); // Prevent checkbox events
-                    toggleChildren();
-                });
-            }
-        } else {
-            // When no checkboxes, whole label can be clicked
-            parentLabel.addEventListener("click", function () {
-                toggleChildren();
-            });
+        if (!instance.settings.dataSource) {
+            console.warn(`[CustomControl] Dropdown '${containerId}' has no dataSource to reload.`);
+            return Promise.resolve(false);
         }
+        return CustomControl.loadDataSource(containerId, { bypassCache: true });
     },
 
     /**
-     * Add single selection handlers to parent elements.
-     * @param {HTMLElement} parentLabel - Parent label element
-     * @param {Object} parent - Parent data object
-     * @param {boolean} hasTreeView - Whether tree view is enabled
+     ** loadDataSource(): Loads the dataSource of an instance and renders it, showing loading and error states meanwhile
+     * Only the latest request of an instance is applied; results arriving after destroy() or a newer request are dropped.
+     * The selection is kept across loads (IDs missing from the new data are dropped).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} [options] - { bypassCache: true } to ignore a cached result
+     * @returns {Promise<boolean>} Resolves true when the data was rendered, false otherwise
      */
-    addSingleSelectionHandlers: function(parentLabel, parent, hasTreeView) {
-        const hasChildren = parent.children && parent.children.length > 0;
-        
-        // In single selection:
-        // - Tree view with children: Parents are NOT selectable (only for organization)
-        // - Tree view without children OR no tree view: Parents ARE selectable
-        if (!hasTreeView || !hasChildren) {
-            CustomControl.nameListAdd(parentLabel, "ddl-option");
-            
-            parentLabel.addEventListener("click", function(e) {
-                e.stopPropagation();
-                const dropdownContainer = e.currentTarget.closest('[name~="custom-ddl"]');
-                const containerId = dropdownContainer ? dropdownContainer.id.replace('_ddl', '') : null;
-                if (containerId) {
-                    CustomControl.handleSingleSelection(e.currentTarget, containerId);
+    loadDataSource: function (containerId, options = {}) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || !instance.settings.dataSource) return Promise.resolve(false);
+
+        const token = ++instance.loadToken;
+        const isStale = function () {
+            return CustomControl.registry[containerId] !== instance || instance.loadToken !== token;
+        };
+
+        CustomControl.setDataSourceState(containerId, 'loading');
+
+        return CustomControl.fetchDataSource(instance.settings.dataSource, instance.settings.cacheTTL, options.bypassCache === true)
+            .then(data => {
+                if (isStale()) return false;
+                if (!Array.isArray(data)) {
+                    throw new Error(`dataSource must resolve to an array, received: ${typeof data}`);
                 }
+
+                CustomControl.setDataSourceState(containerId, 'loaded');
+                // Reload / retry keep the selected IDs that are still in the new data
+                return CustomControl.setData(containerId, data, { preserveSelection: true });
+            })
+            .catch(err => {
+                if (isStale()) return false;
+                console.error(`[CustomControl] dataSource failed for '${containerId}':`, err);
+
+                CustomControl.setDataSourceState(containerId, 'error');
+                return false;
             });
-        }
     },
 
     /**
-     * Render dropdown options (orchestrator method).
-     * @param {Array} data - Hierarchical data [{id, name, children:[]}]
-     * @param {HTMLElement} optionsContainer - Target options container
-     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
-     * @param {boolean} hasTreeView - Whether tree view is enabled
-     * @param {boolean} hasClearAllBtn - Whether clear all button is enabled
-     * @param {string} placeholder - Placeholder text
-     * @param {string} containerId - Container ID for this instance
+     ** fetchDataSource(): Resolves the data of a source (URL fetched as JSON, or loader function called), going through the TTL cache
+     * Pending requests are cached too, so dropdowns initialized together share one request. Failed requests are never cached.
+     * Each caller receives its own copy of cached data, so lazy loading in one dropdown doesn't leak into another.
+     * @param {string|Function} source - URL or () => Promise<Array>
+     * @param {number} cacheTTL - Cache lifetime in milliseconds (0 disables caching)
+     * @param {boolean} bypassCache - Ignore (and replace) a cached entry
+     * @returns {Promise<Array>} Resolved data
      */
-    renderOptions: function (data, optionsContainer, hasMultiSelect, hasTreeView, hasClearAllBtn, placeholder, containerId) {
-        // Add placeholder option
-        CustomControl.addPlaceholderOption(optionsContainer, hasMultiSelect, hasClearAllBtn, placeholder, containerId);
+    fetchDataSource: function (source, cacheTTL, bypassCache) {
+        const request = function () {
+            return Promise.resolve().then(() => {
+                if (typeof source === 'function') {
+                    return source();
+                }
+                return fetch(source).then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load '${source}' (HTTP ${response.status})`);
+                    }
+                    return response.json();
+                });
+            });
+        };
 
-        // Process each parent
-        data.forEach(parent => {
-            // Create parent structure
-            const { parentDiv, parentLabel } = CustomControl.createParentElement(parent, containerId);
-            CustomControl.setupParentContent(parentLabel, parent, hasMultiSelect);
-            parentDiv.appendChild(parentLabel);
-
-            // Handle tree view children
-            if (hasTreeView && parent.children && parent.children.length > 0) {
-                // Mark parent as having children for arrow styling and set as expanded by default
-                CustomControl.nameListAdd(parentLabel, "has-children");
-                CustomControl.nameListAdd(parentLabel, "expanded"); // expanded by default
-                
-                // Create children section
-                const childrenContainer = CustomControl.createChildrenSection(parent, containerId, hasMultiSelect);
-                parentDiv.appendChild(childrenContainer);
+        if (!cacheTTL) {
+            return request();
+        }
 
-                // Add expand/collapse behavior
-                CustomControl.addTreeViewBehavior(parentLabel, childrenContainer, hasMultiSelect);
-            }
+        const cache = CustomControl.dataSourceCache;
+        let entry = cache.get(source);
+        if (bypassCache || !entry || entry.expiresAt <= Date.now()) {
+            entry = { promise: request(), expiresAt: Date.now() + cacheTTL };
+            cache.set(source, entry);
 
-            // Add single selection handlers if needed
-            if (!hasMultiSelect) {
-                CustomControl.addSingleSelectionHandlers(parentLabel, parent, hasTreeView);
-            }
+            const cachedEntry = entry;
+            cachedEntry.promise.catch(() => {
+                if (cache.get(source) === cachedEntry) {
+                    cache.delete(source);
+                }
+            });
+        }
 
-            optionsContainer.appendChild(parentDiv);
-        });
+        return entry.promise.then(data => Array.isArray(data) ? structuredClone(data) : data);
     },
 
     /**
-     * Handle single selection - clear previous selections and select clicked option.
-     * @param {HTMLElement} selectedElement - The clicked element to select
-     * @param {string} containerId - Container ID for this dropdown instance
+     * Clear cached dataSource results.
+     * @param {string|Function} [source] - Source to forget; clears every cached source when omitted
      */
-    handleSingleSelection: function (selectedElement, containerId) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
-
-        // Clear all previous selections in this dropdown instance
-        const allOptions = CustomControl.getAllByName(dropdownContainer, 'ddl-option');
-        allOptions.forEach(option => {
-            CustomControl.nameListRemove(option, 'ddl-selected');
-        });
-
-        // Select the clicked option
-        CustomControl.nameListAdd(selectedElement, 'ddl-selected');
-
-        // Update dropdown header
-        CustomControl.updateDropdownHeader(containerId);
+    clearDataSourceCache: function (source) {
+        if (source === undefined) {
+            CustomControl.dataSourceCache.clear();
+        } else {
+            CustomControl.dataSourceCache.delete(source);
+        }
+    },
 
-        // Close dropdown after selection
-        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
-        if (optionsContainer) {
-            CustomControl.closeDropdown(dropdownContainer, optionsContainer);
+    /**
+     ** setDataSourceState(): Reflects the dataSource state on the dropdown (loading: spinner in the header and a loading row, error: error row with retry button)
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string} state - 'loading', 'loaded' or 'error'
+     */
+    setDataSourceState: function (containerId, state) {
+        const ddlWrapper = CustomControl.getDropdownWrapper(containerId);
+        if (!ddlWrapper) return;
+
+        const header = CustomControl.getByName(ddlWrapper, 'ddl-header');
+        ddlWrapper.classList.toggle('loading', state === 'loading');
+
+        if (state === 'loading') {
+            header.innerText = 'جاري التحميل...';
+            CustomControl.setPanelStatus(containerId, { type: 'loading', text: 'جاري التحميل...' });
+        } else if (state === 'error') {
+            CustomControl.updateDropdownHeader(containerId);
+            CustomControl.setPanelStatus(containerId, {
+                type: 'error',
+                text: 'تعذر تحميل البيانات',
+                onRetry: function () {
+                    CustomControl.loadDataSource(containerId);
+                }
+            });
+        } else {
+            CustomControl.setPanelStatus(containerId, null);
         }
     },
 
     /**
-     * Get selected data from a dropdown by container ID.
-     * This method is considered as API for the user to get the selected data from the dropdown.
-     * @param {string} containerId - The specific dropdown container ID
-     * @returns {Object} Object containing selected data and metadata
+     ** setPanelStatus(): Shows a single status row at the top of the options panel (below search/buttons), replacing the previous one
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object|null} status - { type: 'loading'|'error'|'hint', text, onRetry? } or null to remove the row
      */
-    getDDLData: function (containerId) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) {
-            console.warn(`[CustomControl] Container with ID '${containerId}' not found.`);
-            return { selected: [], hasData: false, selectionType: null };
+    setPanelStatus: function (containerId, status) {
+        const ddlWrapper = CustomControl.getDropdownWrapper(containerId);
+        if (!ddlWrapper) return;
+
+        const optionsContainer = CustomControl.getByName(ddlWrapper, 'ddl-options');
+        const previousStatus = CustomControl.getByName(optionsContainer, 'ddl-panel-status');
+        if (previousStatus) {
+            CustomControl.removeManagedListenersWithin(containerId, previousStatus);
+            previousStatus.remove();
         }
+        if (!status) return;
 
-        // Determine dropdown configuration
-        const checkboxElement = CustomControl.getByName(dropdownContainer, 'ddl-checkbox');
-        const childrenElement = CustomControl.getByName(dropdownContainer, 'ddl-children');
-        const hasMultiSelect = !!checkboxElement;
-        const hasTreeView = !!childrenElement;
-        const data = CustomControl.extractDataFromDOM(dropdownContainer);
+        const rowNames = { loading: 'ddl-loading-row', error: 'ddl-load-error', hint: 'ddl-search-hint' };
+        const statusRow = CustomControl.createElement('div', `ddl-panel-status ${rowNames[status.type]}`);
 
-        let selectedData = [];
-        let selectionType = 'single';
+        if (status.type === 'error') {
+            statusRow.appendChild(CustomControl.createElement('span', 'ddl-load-error-text', {
+                innerText: status.text
+            }));
 
-        if (hasMultiSelect) {
-            selectionType = hasTreeView ? 'multi-tree' : 'multi-flat';
-            
-            if (hasTreeView) {
-                // Multi-select tree view: get detailed parent-child relationships
-                selectedData = CustomControl.getTreeViewSelectedData(dropdownContainer, data);
-            } else {
-                // Multi-select flat view: get selected parent items
-                selectedData = CustomControl.getFlatSelectedData(dropdownContainer, data);
+            if (status.onRetry) {
+                const retryBtn = CustomControl.createElement('button', 'ddl-retry-btn', {
+                    type: 'button',
+                    innerText: 'إعادة المحاولة'
+                });
+                CustomControl.addManagedListener(containerId, retryBtn, 'click', function (e) {
+                    e.stopPropagation();
+                    status.onRetry();
+                });
+                statusRow.appendChild(retryBtn);
             }
         } else {
-            // Single selection: get the selected item
-            selectionType = hasTreeView ? 'single-tree' : 'single-flat';
-            const selectedItem = CustomControl.getSingleSelectedData(dropdownContainer, data);
-            if (selectedItem) {
-                selectedData = [selectedItem];
-            }
+            statusRow.innerText = status.text;
         }
 
-        return {
-            selected: selectedData,
-            hasData: selectedData.length > 0,
-            selectionType: selectionType,
-            containerId: containerId
-        };
+        // Same spot as the no results message: after the search box / buttons, before the options
+        const anchor = CustomControl.getByName(optionsContainer, 'ddl-search')
+            || CustomControl.getByName(optionsContainer, 'ddl-button-container');
+        optionsContainer.insertBefore(statusRow, anchor ? anchor.nextSibling : optionsContainer.firstChild);
     },
 
     /**
-     * Set selected data for a dropdown by container ID.
+     * Enable a previously disabled dropdown.
      * @param {string} containerId - The specific dropdown container ID
-     * @param {Object} selections - Object containing parents and children arrays
-     * @param {Array<string|number>} [selections.parents] - Array of parent IDs to select
-     * @param {Array<string|number>} [selections.children] - Array of child IDs to select
-     * @returns {boolean} True if selections were set successfully, false otherwise
-     * 
-     * @example
-     * // Multi-select tree view
-     * CustomControl.setDDLData("DDLcontainer0004", {
-     *   parents: ["1", "3"],
-     *   children: ["301", "302", "501"]
-     * });
-     * 
-     * // Single-select (only first parent or first child will be selected)
-     * CustomControl.setDDLData("DDLcontainer0001", {
-     *   parents: ["3"]
-     * });
+     * @returns {boolean} True if the dropdown was found, false otherwise
      */
-    setDDLData: function (containerId, selections = {}) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) {
-            console.warn(`[CustomControl] Container with ID '${containerId}' not found.`);
-            return false;
-        }
+    enable: function (containerId) {
+        return CustomControl.setDisabledState(containerId, false);
+    },
 
-        // Determine dropdown configuration
-        const checkboxElement = CustomControl.getByName(dropdownContainer, 'ddl-checkbox');
-        const childrenElement = CustomControl.getByName(dropdownContainer, 'ddl-children');
-        const hasMultiSelect = !!checkboxElement;
-        const hasTreeView = !!childrenElement;
+    /**
+     * Disable a dropdown (it closes and ignores clicks until enabled again).
+     * @param {string} containerId - The specific dropdown container ID
+     * @returns {boolean} True if the dropdown was found, false otherwise
+     */
+    disable: function (containerId) {
+        return CustomControl.setDisabledState(containerId, true);
+    },
 
-        // Convert all IDs to strings for consistent comparison
-        const parentIds = (selections.parents || []).map(id => String(id));
-        const childIds = (selections.children || []).map(id => String(id));
+    /**
+     ** setDisabledState(): Stores disabled state in the registry and reflects it on the wrapper name attribute (closing the dropdown when disabling)
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {boolean} isDisabled - Whether the dropdown should be disabled
+     * @returns {boolean} True if the dropdown was found, false otherwise
+     */
+    setDisabledState: function (containerId, isDisabled) {
+        const instance = CustomControl.getRegisteredInstance(containerId);
+        if (!instance) return false;
 
-        if (hasMultiSelect) {
-            // Multi-select mode: set checkboxes
-            if (hasTreeView) {
-                CustomControl.setTreeViewMultiSelections(dropdownContainer, parentIds, childIds);
-            } else {
-                CustomControl.setFlatMultiSelections(dropdownContainer, parentIds);
-            }
+        if (isDisabled) {
+            CustomControl.close(containerId);
+            CustomControl.nameListAdd(instance.ddlWrapper, 'disabled');
         } else {
-            // Single-select mode: set single selection (prefer parent over child)
-            const targetId = parentIds[0] || childIds[0];
-            CustomControl.setSingleSelection(dropdownContainer, targetId, hasTreeView);
+            CustomControl.nameListRemove(instance.ddlWrapper, 'disabled');
         }
 
-        // Update dropdown header
-        CustomControl.updateDropdownHeader(containerId);
+        // Disabled dropdowns are skipped by Tab
+        const header = CustomControl.getByName(instance.ddlWrapper, 'ddl-header');
+        if (header) {
+            header.tabIndex = isDisabled ? -1 : 0;
+            header.setAttribute('aria-disabled', String(isDisabled));
+        }
+
+        instance.disabled = isDisabled;
 
-        console.log(`[CustomControl] setDDLData executed for ${containerId} with selections:`, selections);
+        // Like a disabled native control, a disabled dropdown submits nothing
+        CustomControl.syncFormInputs(containerId);
         return true;
     },
 
     /**
-     * Update navigation icon visibility based on multi-select selections.
-     * @param {string} containerId - Container ID for this dropdown instance
+     * Tear a dropdown down: remove every listener it registered (including the document click listener),
+     * restore the container to the content it had before initialize() and forget the instance.
+     * This method is considered as API for the user to clean up before re-rendering or removing a container.
+     * @param {string} containerId - The specific dropdown container ID
+     * @returns {boolean} True if the dropdown was destroyed, false otherwise
      */
-    updateMultiNavIconVisibility: function (containerId) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
+    destroy: function (containerId) {
+        const instance = CustomControl.getRegisteredInstance(containerId);
+        if (!instance) return false;
+
+        CustomControl.close(containerId);
+        CustomControl.cancelRemoteSearch(containerId);
+        CustomControl.removeManagedListeners(containerId);
+
+        // Put back whatever the container held before initialize()
+        CustomControl.clearContainer(instance.container);
+        instance.originalContent.forEach(node => {
+            instance.container.appendChild(node);
+        });
 
-        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
-        const navIcon = CustomControl.getByName(optionsContainer, 'ddl-multi-nav-icon');
-        if (!navIcon) return;
+        // Enhanced select: show the select again
+        if (instance.enhancement) {
+            CustomControl.releaseEnhancedSelect(instance);
+        }
 
-        // Check if this is multi-select mode
-        const checkboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox');
-        const hasMultiSelect = checkboxes.length > 0;
-        
-        // Check if dropdown is open
-        const isDropdownOpen = CustomControl.nameListContains(dropdownContainer, 'open');
-        
-        if (!hasMultiSelect || !isDropdownOpen) {
-            CustomControl.nameListRemove(navIcon, 'ddl-visible');
-            return;
+        delete CustomControl.registry[containerId];
+        return true;
+    },
+
+    /**
+     ** Progressive enhancement.
+     * enhance() renders a dropdown in place of a native <select>. The select stays in the DOM, hidden, and keeps the value
+     * for forms: its options and optgroups become the data and the selection is synced both ways.
+     */
+
+    /**
+     * Enhanced <select> elements → container ID of their dropdown.
+     */
+    enhancedSelects: new WeakMap(),
+
+    /**
+     * Render a dropdown in place of a native <select> or <select multiple>.
+     * Options become items and optgroups become parents (tree view); disabled and selected options keep their state, a first
+     * option with an empty value becomes the placeholder and a required select makes the dropdown required.
+     * Choices made in the dropdown are written to the select with "input" and "change" events, so form submission and
+     * existing handlers keep working; "change" events on the select, form resets and changes to its options flow back.
+     * This method is considered as API for the user to upgrade existing pages without changing their markup.
+     * @param {HTMLSelectElement} selectElement - Select to enhance
+     * @param {Object} [flags] - Feature flags as in initialize(); hasMultiSelect follows the multiple attribute and hasTreeView
+     *        defaults to true when the select has optgroups (without tree view optgroups are left out and their options listed)
+     * @param {Object} [options] - Other initialize() params (placeholder, cascade, callbacks...); data comes from the select
+     * @returns {Object|null} Instance handle (the same one when the select is already enhanced), or null for anything but a select
+     */
+    enhance: function (selectElement, flags = {}, options = {}) {
+        if (!selectElement || selectElement.tagName !== 'SELECT') {
+            console.error(`[CustomControl] enhance() expects a <select> element, received: ${selectElement && selectElement.tagName ? selectElement.tagName.toLowerCase() : typeof selectElement}.`);
+            return null;
         }
 
-        // Count selections
-        const selectedCount = CustomControl.getMultiSelectSelectionCount(containerId);
-        
-        // Show icon if there are multiple selections (2 or more) AND dropdown is open
-        if (selectedCount >= 2) {
-            CustomControl.nameListAdd(navIcon, 'ddl-visible');
-        } else {
-            CustomControl.nameListRemove(navIcon, 'ddl-visible');
+        const enhancedId = CustomControl.enhancedSelects.get(selectElement);
+        if (enhancedId && CustomControl.registry[enhancedId]) {
+            return CustomControl.registry[enhancedId].handle;
+        }
+
+        flags = flags || {};
+        if (flags.hasMultiSelect !== undefined && flags.hasMultiSelect !== selectElement.multiple) {
+            console.warn(`[CustomControl] enhance(): hasMultiSelect follows the multiple attribute of the select (${selectElement.multiple}). Ignoring the flag.`);
+        }
+        const enhanceFlags = Object.assign({ hasTreeView: !!selectElement.querySelector('optgroup') }, flags, {
+            hasMultiSelect: selectElement.multiple
+        });
+
+        // The dropdown gets its own container right after the select
+        const container = document.createElement('div');
+        container.id = CustomControl.createUniqueContainerId(`${selectElement.id || selectElement.name || 'select'}_enhanced`);
+        selectElement.insertAdjacentElement('afterend', container);
+
+        const placeholderOption = CustomControl.getSelectPlaceholderOption(selectElement);
+        const params = Object.assign({}, options, {
+            containerId: container.id,
+            data: CustomControl.readSelectData(selectElement, enhanceFlags.hasTreeView === true),
+            dataSource: undefined,
+            dataFormat: undefined,
+            fieldMap: undefined,
+            formName: undefined, // the select submits the value
+            flags: enhanceFlags
+        });
+        if (!options || options.placeholder === undefined) {
+            params.placeholder = placeholderOption ? placeholderOption.label : undefined;
+        }
+        if (selectElement.required) {
+            params.validation = Object.assign({ required: true }, options && options.validation);
+        }
+
+        const handle = CustomControl.initialize(params);
+        if (!handle) {
+            container.remove();
+            return null;
+        }
+
+        const containerId = container.id;
+        const enhancement = {
+            select: selectElement,
+            hidden: selectElement.hidden,
+            required: selectElement.required,
+            syncing: false,
+            observer: null,
+            listeners: []
+        };
+        CustomControl.registry[containerId].enhancement = enhancement;
+        CustomControl.enhancedSelects.set(selectElement, containerId);
+
+        // Hidden selects still submit; the required check moves to the dropdown, which can show its error
+        selectElement.hidden = true;
+        selectElement.required = false;
+
+        CustomControl.readSelectSelection(containerId);
+        if (selectElement.disabled) {
+            CustomControl.disable(containerId);
+        }
+
+        const listen = function (target, type, handler) {
+            target.addEventListener(type, handler);
+            enhancement.listeners.push({ target, type, handler });
+        };
+
+        // Dropdown → select (values that came from the select, or a form reset that restores it natively, aren't written back)
+        listen(container, 'ddl-change', function (e) {
+            if (e.detail.containerId !== containerId || e.detail.source === 'select' || e.detail.source === 'reset') return;
+            CustomControl.writeSelectSelection(containerId);
+        });
+
+        // Select → dropdown
+        listen(selectElement, 'change', function () {
+            if (!enhancement.syncing) CustomControl.readSelectSelection(containerId);
+        });
+        if (selectElement.form) {
+            listen(selectElement.form, 'reset', function () {
+                // The select is reset after the event
+                setTimeout(() => CustomControl.readSelectSelection(containerId), 0);
+            });
         }
+
+        // Options added, removed or changed by other scripts
+        enhancement.observer = new MutationObserver(function () {
+            CustomControl.refreshEnhancedSelect(containerId);
+        });
+        enhancement.observer.observe(selectElement, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['disabled', 'label', 'selected', 'value']
+        });
+
+        return handle;
     },
 
     /**
-     * Get the count of selected items in multi-select mode.
-     * @param {string} containerId - Container ID for this dropdown instance
-     * @returns {number} Number of selected items
+     * Build a container ID from base that isn't used in the document or the registry yet (base, base2, base3...).
+     * @param {string} base - Preferred ID
+     * @returns {string} Container ID
      */
-    getMultiSelectSelectionCount: function (containerId) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return 0;
+    createUniqueContainerId: function (base) {
+        let containerId = base;
+        for (let index = 2; document.getElementById(containerId) || CustomControl.registry[containerId]; index++) {
+            containerId = `${base}${index}`;
+        }
+        return containerId;
+    },
 
-        const checkboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox');
-        const checkedCheckboxes = checkboxes.filter(checkbox => checkbox.checked);
-        
-        return checkedCheckboxes.length;
+    /**
+     * Get the option of a select that stands for "nothing selected": a first option with an empty value.
+     * @param {HTMLSelectElement} selectElement - Select element
+     * @returns {HTMLOptionElement|null} Placeholder option or null
+     */
+    getSelectPlaceholderOption: function (selectElement) {
+        const firstOption = selectElement.options[0];
+        return firstOption && firstOption.parentElement === selectElement && firstOption.value === '' ? firstOption : null;
     },
 
     /**
-     * Navigate to the next selected element in multi-select mode.
-     * @param {string} containerId - Container ID for this dropdown instance
+     ** readSelectData(): Reads the options and optgroups of a select into data items
+     * Options are {id: value, name: label, disabled?}; optgroups are parents with their options as children (options of a
+     * disabled optgroup are disabled too), or are left out with their options listed in place without tree view.
+     * @param {HTMLSelectElement} selectElement - Select element
+     * @param {boolean} hasTreeView - Whether optgroups become parents
+     * @returns {Array} Data items
      */
-    navigateToNextSelection: function (containerId) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
+    readSelectData: function (selectElement, hasTreeView) {
+        const placeholderOption = CustomControl.getSelectPlaceholderOption(selectElement);
+        const readOption = function (option, isGroupDisabled) {
+            const item = { id: option.value, name: option.label };
+            if (option.disabled || isGroupDisabled) item.disabled = true;
+            return item;
+        };
 
-        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
-        if (!optionsContainer) return;
+        const data = [];
+        Array.from(selectElement.children).forEach((element, index) => {
+            if (element.tagName === 'OPTION') {
+                if (element !== placeholderOption) data.push(readOption(element, false));
+                return;
+            }
+            if (element.tagName !== 'OPTGROUP') return;
+
+            const children = Array.from(element.children)
+                .filter(child => child.tagName === 'OPTION')
+                .map(option => readOption(option, element.disabled));
+            if (!hasTreeView) {
+                data.push(...children);
+            } else if (children.length > 0) {
+                const group = { id: `optgroup-${index}`, name: element.label, children: children };
+                if (element.disabled) group.disabled = true;
+                data.push(group);
+            }
+        });
+        return data;
+    },
 
-        // Check if this is tree view mode
-        const hasTreeView = CustomControl.getByName(dropdownContainer, 'ddl-children') !== null;
-        
-        if (hasTreeView) {
-            CustomControl.navigateToNextTreeViewSelection(containerId, optionsContainer);
-        } else {
-            CustomControl.navigateToNextFlatSelection(containerId, optionsContainer);
-        }
+    /**
+     ** readSelectSelection(): Selects the options that are selected in the enhanced select (source "select")
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    readSelectSelection: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || !instance.enhancement) return;
+
+        const selectElement = instance.enhancement.select;
+        const placeholderOption = CustomControl.getSelectPlaceholderOption(selectElement);
+        const ids = Array.from(selectElement.options)
+            .filter(option => option.selected && option !== placeholderOption)
+            .map(option => option.value);
+
+        CustomControl.runBatch(containerId, 'select', function () {
+            if (ids.length > 0) {
+                CustomControl.setDDLData(containerId, ids, 'leaves');
+            } else {
+                CustomControl.clearAllSelections(containerId);
+            }
+        });
     },
 
     /**
-     * Navigate to next selection in tree view mode (optimized for parents with selected children).
+     ** writeSelectSelection(): Selects the options of the dropdown's value in the enhanced select and fires "input" and "change" on it
      * @param {string} containerId - Container ID for this dropdown instance
-     * @param {HTMLElement} optionsContainer - Options container element
      */
-    navigateToNextTreeViewSelection: function (containerId, optionsContainer) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
+    writeSelectSelection: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || !instance.enhancement) return;
 
-        // Get parents with selected children (optimization for tree view)
-        const parentsWithSelectedChildren = CustomControl.getParentsWithSelectedChildren(containerId);
-        
-        if (parentsWithSelectedChildren.length === 0) return;
+        const enhancement = instance.enhancement;
+        const selectElement = enhancement.select;
+        const ids = new Set(CustomControl.getDDLData(containerId, 'leaves').selected.map(id => String(id)));
+        const placeholderOption = CustomControl.getSelectPlaceholderOption(selectElement);
 
-        // Get current scroll position
-        const currentScrollTop = optionsContainer.scrollTop;
-        const optionsRect = optionsContainer.getBoundingClientRect();
-        
-        // Find the next selected parent below current scroll position
-        let nextTarget = null;
-        
-        for (let parent of parentsWithSelectedChildren) {
-            const parentRect = parent.getBoundingClientRect();
-            // Check if parent is below the current visible area
-            if (parentRect.top > optionsRect.bottom) {
-                nextTarget = parent;
-                break;
+        Array.from(selectElement.options).forEach(option => {
+            option.selected = option !== placeholderOption && ids.has(option.value);
+        });
+        if (!selectElement.multiple && ids.size === 0) {
+            // Nothing selected: back to the placeholder, or to no option at all
+            if (placeholderOption) {
+                placeholderOption.selected = true;
+            } else {
+                selectElement.selectedIndex = -1;
             }
         }
-        
-        // If no parent is below, wrap to the first one
-        if (!nextTarget && parentsWithSelectedChildren.length > 0) {
-            nextTarget = parentsWithSelectedChildren[0];
-        }
-        
-        if (nextTarget) {
-            CustomControl.scrollToElement(nextTarget);
-            CustomControl.highlightNavigationTarget(nextTarget);
+
+        enhancement.syncing = true;
+        try {
+            selectElement.dispatchEvent(new Event('input', { bubbles: true }));
+            selectElement.dispatchEvent(new Event('change', { bubbles: true }));
+        } finally {
+            enhancement.syncing = false;
         }
     },
 
     /**
-     * Navigate to next selection in flat view mode.
+     ** refreshEnhancedSelect(): Reads the options and disabled state of an enhanced select again after other scripts changed them
      * @param {string} containerId - Container ID for this dropdown instance
-     * @param {HTMLElement} optionsContainer - Options container element
      */
-    navigateToNextFlatSelection: function (containerId, optionsContainer) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
+    refreshEnhancedSelect: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || !instance.enhancement) return;
+
+        const selectElement = instance.enhancement.select;
+        CustomControl.runBatch(containerId, 'select', function () {
+            CustomControl.setData(containerId, CustomControl.readSelectData(selectElement, instance.settings.flags.hasTreeView));
+            CustomControl.readSelectSelection(containerId);
+        });
 
-        const checkedCheckboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox').filter(cb => cb.checked);
-        
-        if (checkedCheckboxes.length === 0) return;
-
-        // Get current scroll position
-        const optionsRect = optionsContainer.getBoundingClientRect();
-        
-        // Find the next selected element below current scroll position
-        let nextTarget = null;
-        
-        for (let checkbox of checkedCheckboxes) {
-            const targetElement = checkbox.closest('[name~="ddl-parent-label"]');
-            if (targetElement) {
-                const elementRect = targetElement.getBoundingClientRect();
-                // Check if element is below the current visible area
-                if (elementRect.top > optionsRect.bottom) {
-                    nextTarget = targetElement;
-                    break;
-                }
-            }
-        }
-        
-        // If no element is below, wrap to the first selected one
-        if (!nextTarget && checkedCheckboxes.length > 0) {
-            nextTarget = checkedCheckboxes[0].closest('[name~="ddl-parent-label"]');
-        }
-        
-        if (nextTarget) {
-            CustomControl.scrollToElement(nextTarget);
-            CustomControl.highlightNavigationTarget(nextTarget);
-        }
-    },
+        if (selectElement.disabled !== instance.disabled) {
+            CustomControl.setDisabledState(containerId, selectElement.disabled);
+        }
+    },
 
     /**
-     * Get parents that have selected children (for tree view navigation optimization).
-     * @param {string} containerId - Container ID for this dropdown instance
-     * @returns {Array} Array of parent elements with selected children
+     * Undo enhance() when its dropdown is destroyed: the select is shown again with its own required check, and the container goes away.
+     * @param {Object} instance - Registry entry of the dropdown
      */
-    getParentsWithSelectedChildren: function (containerId) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return [];
-
-        const parentElements = CustomControl.getAllByName(dropdownContainer, 'ddl-parent');
-        const parentsWithSelectedChildren = [];
-        
-        parentElements.forEach(parentElement => {
-            const parentLabel = CustomControl.getByName(parentElement, 'ddl-parent-label');
-            if (!parentLabel) return;
-
-            const parentId = parentLabel.dataset.id;
-            
-            // Check if parent is selected OR has selected children
-            const parentCheckbox = dropdownContainer.querySelector(`[name*="parent-checkbox"][data-parent-id="${parentId}"]`);
-            const childCheckboxes = dropdownContainer.querySelectorAll(`[name*="child-checkbox"][data-parent-id="${parentId}"]`);
-            
-            const parentSelected = parentCheckbox && parentCheckbox.checked;
-            const hasSelectedChildren = Array.from(childCheckboxes).some(cb => cb.checked);
-            
-            if (parentSelected || hasSelectedChildren) {
-                parentsWithSelectedChildren.push(parentLabel);
-            }
+    releaseEnhancedSelect: function (instance) {
+        const enhancement = instance.enhancement;
+        enhancement.observer.disconnect();
+        enhancement.listeners.forEach(({ target, type, handler }) => {
+            target.removeEventListener(type, handler);
         });
-        
-        return parentsWithSelectedChildren;
+
+        enhancement.select.hidden = enhancement.hidden;
+        enhancement.select.required = enhancement.required;
+        instance.container.remove();
+        CustomControl.enhancedSelects.delete(enhancement.select);
     },
 
     /**
-     * Scroll to a specific element smoothly.
-     * @param {HTMLElement} element - Element to scroll to
+     ** Declarative initialization.
+     * autoInit() initializes every element marked with data-ddl from its data-ddl-* attributes, so pages can declare
+     * dropdowns in HTML instead of one initialize() call each.
      */
-    scrollToElement: function (element) {
-        if (!element) return;
-        
-        element.scrollIntoView({
-            behavior: 'smooth',
-            block: 'nearest',
-            inline: 'nearest'
-        });
-    },
 
     /**
-     * Add visual highlighting to navigation target.
-     * @param {HTMLElement} element - Element to highlight
+     * Tokens of data-ddl-flags → flag names.
      */
-    highlightNavigationTarget: function (element) {
-        if (!element) return;
-        
-        // Remove existing highlights
-        const allHighlighted = document.querySelectorAll('[name*="ddl-nav-highlight"]');
-        allHighlighted.forEach(el => {
-            CustomControl.nameListRemove(el, 'ddl-nav-highlight');
-        });
-        
-        // Add highlight to current target
-        CustomControl.nameListAdd(element, 'ddl-nav-highlight');
-        
-        // Remove highlight after 2 seconds
-        setTimeout(() => {
-            CustomControl.nameListRemove(element, 'ddl-nav-highlight');
-        }, 2000);
+    autoInitFlags: {
+        'search': 'hasSearch',
+        'multi': 'hasMultiSelect',
+        'tree': 'hasTreeView',
+        'select-all': 'hasSelectAllBtn',
+        'clear-all': 'hasClearAllBtn',
+        'virtual': 'hasVirtualScroll'
     },
 
     /**
-     * Update dropdown header to show selected items based on current selections.
-     * @param {string} containerId - The specific dropdown container ID
+     * Containers initialized by autoInit() (destroyed by its observer when they leave the page).
      */
-    updateDropdownHeader: function (containerId) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
-
-        const header = CustomControl.getByName(dropdownContainer, 'ddl-header');
-        if (!header) return;
+    autoInitContainers: new WeakSet(),
 
-        // Get selected data
-        const ddlData = CustomControl.getDDLData(containerId);
-        let displayText = "";
+    /**
+     * Roots observed by autoInit() → their MutationObserver.
+     */
+    autoInitObservers: new WeakMap(),
 
-        if (ddlData.hasData) {
-            if (ddlData.selectionType === 'multi-tree') {
-                // Tree view format: Parent ← child1, child2
-                displayText = ddlData.selected.map(item => {
-                    if (item.children && item.children.length > 0) {
-                        const childNames = item.children.map(child => child.name).join(", ");
-                        return `${item.name} ← ${childNames}`;
-                    } else {
-                        return item.name;
-                    }
-                }).join("\n");
-            } else if (ddlData.selectionType === 'multi-flat') {
-                // Flat multi-select format: option1, option2, option3
-                displayText = ddlData.selected.map(item => item.name).join(", ");
-            } else if (ddlData.selectionType === 'single-tree') {
-                // Single tree selection: Parent ← Child or just Parent
-                const item = ddlData.selected[0];
-                if (item.parent && item.parent.name) {
-                    displayText = `${item.parent.name} ← ${item.name}`;
-                } else {
-                    displayText = item.name;
-                }
-            } else {
-                // Single flat selection: option1
-                displayText = ddlData.selected[0].name;
-            }
+    /**
+     * Initialize every element with a data-ddl attribute inside root (root included), reading its params from data-ddl-* attributes:
+     * data-ddl-placeholder, data-ddl-flags ("search multi tree select-all clear-all virtual"), data-ddl-src (dataSource URL),
+     * data-ddl-data (inline JSON, or "#id" of a <script type="application/json">), data-ddl-value (initial selection: comma
+     * separated IDs or JSON), data-ddl-cache-ttl and data-ddl-name (formName). Elements without an ID get one.
+     * Elements that already hold a dropdown are skipped, so calling it again only initializes new elements.
+     * This method is considered as API for the user to declare dropdowns in HTML.
+     * @param {Document|Element} [root=document] - Where to look for data-ddl elements
+     * @param {Object} [options] - { observe: true } to also initialize data-ddl elements added to root later and destroy
+     *        removed ones (see stopAutoInit()), { defaults } with initialize() params shared by every dropdown (attributes win)
+     * @returns {Array<Object>} Instance handles of the dropdowns found
+     */
+    autoInit: function (root = document, options = {}) {
+        if (!root || typeof root.querySelectorAll !== 'function') {
+            console.error('[CustomControl] autoInit() expects a document or an element.');
+            return [];
         }
+        options = options || {};
 
-        // Get the original placeholder from data attribute (stored during creation)
-        const originalPlaceholder = header.dataset.placeholder;
-        if (!originalPlaceholder) {
-            // Store original placeholder on first use
-            header.dataset.placeholder = header.innerText;
-        }
+        const handles = CustomControl.findAutoInitElements(root)
+            .map(element => CustomControl.initializeFromElement(element, options.defaults))
+            .filter(Boolean);
 
-        // Show selected items if any, otherwise show placeholder
-        if (displayText && displayText.trim() !== "") {
-            // Convert newlines to commas for better header display and ellipsis behavior
-            const headerText = displayText.replace(/\n/g, ', ');
-            header.innerText = headerText;
-            CustomControl.nameListAdd(header, 'has-selections');
-        } else {
-            header.innerText = header.dataset.placeholder;
-            CustomControl.nameListRemove(header, 'has-selections');
+        if (options.observe === true && !CustomControl.autoInitObservers.has(root)) {
+            const observer = new MutationObserver(function (mutations) {
+                CustomControl.handleAutoInitMutations(mutations, options.defaults);
+            });
+            observer.observe(root, { childList: true, subtree: true });
+            CustomControl.autoInitObservers.set(root, observer);
         }
-        
-        // Update navigation icon visibility after header update
-        CustomControl.updateMultiNavIconVisibility(containerId);
+        return handles;
     },
 
     /**
-     * Set selections for tree view multi-select dropdowns.
-     * @param {HTMLElement} dropdownContainer - Dropdown container element
-     * @param {Array<string>} parentIds - Array of parent IDs to select
-     * @param {Array<string>} childIds - Array of child IDs to select
+     * Stop watching a root observed by autoInit(); its dropdowns stay initialized.
+     * This method is considered as API for the user to turn the autoInit() observer off.
+     * @param {Document|Element} [root=document] - Root passed to autoInit()
+     * @returns {boolean} True if root was observed, false otherwise
      */
-    setTreeViewMultiSelections: function (dropdownContainer, parentIds, childIds) {
-        // Clear all existing selections
-        const allCheckboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox');
-        allCheckboxes.forEach(checkbox => {
-            checkbox.checked = false;
-            checkbox.indeterminate = false;
-        });
+    stopAutoInit: function (root = document) {
+        const observer = CustomControl.autoInitObservers.get(root);
+        if (!observer) return false;
 
-        // Set parent selections
-        parentIds.forEach(parentId => {
-            const parentCheckbox = dropdownContainer.querySelector(`[name*="parent-checkbox"][data-parent-id="${parentId}"]`);
-            if (parentCheckbox) {
-                parentCheckbox.checked = true;
-                // Trigger change event to update parent-child relationships
-                parentCheckbox.dispatchEvent(new Event('change', { bubbles: true }));
-            }
-        });
+        observer.disconnect();
+        CustomControl.autoInitObservers.delete(root);
+        return true;
+    },
 
-        // Set child selections
-        childIds.forEach(childId => {
-            const childCheckbox = dropdownContainer.querySelector(`[name*="child-checkbox"][data-child-id="${childId}"]`);
-            if (childCheckbox) {
-                childCheckbox.checked = true;
-                // Trigger change event to update parent-child relationships
-                childCheckbox.dispatchEvent(new Event('change', { bubbles: true }));
-            }
-        });
+    /**
+     * Get the data-ddl elements of a node: the node itself and its descendants.
+     * @param {Node} node - Document, element or any other node
+     * @returns {Array<Element>} data-ddl elements in document order
+     */
+    findAutoInitElements: function (node) {
+        if (!node || typeof node.querySelectorAll !== 'function') return [];
+
+        const elements = Array.from(node.querySelectorAll('[data-ddl]'));
+        if (node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('data-ddl')) {
+            elements.unshift(node);
+        }
+        return elements;
     },
 
     /**
-     * Set selections for flat multi-select dropdowns.
-     * @param {HTMLElement} dropdownContainer - Dropdown container element
-     * @param {Array<string>} parentIds - Array of parent IDs to select (child IDs are ignored in flat mode)
+     ** handleAutoInitMutations(): Initializes data-ddl elements added under an observed root and destroys dropdowns whose container left the page
+     * Moved elements are still connected when the mutations are handled, so they keep their dropdown.
+     * @param {Array<MutationRecord>} mutations - Mutations reported by the observer
+     * @param {Object} [defaults] - Shared initialize() params given to autoInit()
      */
-    setFlatMultiSelections: function (dropdownContainer, parentIds) {
-        // Clear all existing selections
-        const allCheckboxes = CustomControl.getAllByName(dropdownContainer, 'parent-checkbox');
-        allCheckboxes.forEach(checkbox => {
-            checkbox.checked = false;
-            // Update highlighting for parent element
-            const parentElement = checkbox.closest('[name~="ddl-parent-label"]');
-            if (parentElement) {
-                CustomControl.updateCheckboxHighlight(parentElement, false);
+    handleAutoInitMutations: function (mutations, defaults) {
+        let hasRemovedElements = false;
+        mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+                if (!node.isConnected) return;
+                CustomControl.findAutoInitElements(node).forEach(element => {
+                    CustomControl.initializeFromElement(element, defaults);
+                });
+            });
+            if (Array.from(mutation.removedNodes).some(node => node.nodeType === Node.ELEMENT_NODE)) {
+                hasRemovedElements = true;
             }
         });
+        if (!hasRemovedElements) return;
 
-        // Set selections based on parent IDs (only parent IDs are valid in flat mode)
-        parentIds.forEach(parentId => {
-            const parentCheckbox = dropdownContainer.querySelector(`[name*="parent-checkbox"][data-parent-id="${parentId}"]`);
-            if (parentCheckbox) {
-                parentCheckbox.checked = true;
-                // Update highlighting for parent element
-                const parentElement = parentCheckbox.closest('[name~="ddl-parent-label"]');
-                if (parentElement) {
-                    CustomControl.updateCheckboxHighlight(parentElement, true);
-                }
+        Object.keys(CustomControl.registry).forEach(containerId => {
+            const container = CustomControl.registry[containerId].container;
+            if (CustomControl.autoInitContainers.has(container) && !container.isConnected) {
+                CustomControl.destroy(containerId);
+                CustomControl.autoInitContainers.delete(container);
             }
         });
     },
 
     /**
-     * Set selection for single-select dropdowns.
-     * @param {HTMLElement} dropdownContainer - Dropdown container element
-     * @param {string} targetId - ID to select
-     * @param {boolean} hasTreeView - Whether dropdown has tree view
+     ** initializeFromElement(): Initializes a data-ddl element from its attributes (giving it an ID when it has none)
+     * @param {Element} element - data-ddl element
+     * @param {Object} [defaults] - Shared initialize() params (attributes win)
+     * @returns {Object|null} Instance handle (the existing one when the element already holds a dropdown), or null
      */
-    setSingleSelection: function (dropdownContainer, targetId, hasTreeView) {
-        if (!targetId) return;
-
-        // Clear all existing selections
-        const allOptions = CustomControl.getAllByName(dropdownContainer, 'ddl-option');
-        allOptions.forEach(option => {
-            CustomControl.nameListRemove(option, 'ddl-selected');
-        });
-
-        // Try to find target element by ID
-        let targetElement = null;
-
-        // First try parent elements
-        const parentElements = dropdownContainer.querySelectorAll(`[name*="ddl-parent-label"][data-id="${targetId}"]`);
-        if (parentElements.length > 0) {
-            targetElement = Array.from(parentElements).find(el => 
-                CustomControl.nameListContains(el, 'ddl-option')
-            );
+    initializeFromElement: function (element, defaults) {
+        const existing = element.id ? CustomControl.registry[element.id] : null;
+        if (existing && existing.container === element) {
+            return existing.handle;
         }
 
-        // If not found in parents, try children
-        if (!targetElement) {
-            const childElements = dropdownContainer.querySelectorAll(`[name*="ddl-child"][data-id="${targetId}"]`);
-            if (childElements.length > 0) {
-                targetElement = Array.from(childElements).find(el => 
-                    CustomControl.nameListContains(el, 'ddl-option')
-                );
-            }
+        if (!element.id) {
+            element.id = CustomControl.createUniqueContainerId('ddl-auto');
         }
+        const params = Object.assign({}, defaults, CustomControl.readDeclaredParams(element), { containerId: element.id });
 
-        // Set selection if target found
-        if (targetElement) {
-            CustomControl.nameListAdd(targetElement, 'ddl-selected');
-        } else {
-            console.warn(`[CustomControl] Could not find selectable element with ID '${targetId}' in single-select dropdown`);
+        const handle = CustomControl.initialize(params);
+        if (handle) {
+            CustomControl.autoInitContainers.add(element);
         }
+        return handle;
     },
 
     /**
-     ** Extract data structure from DOM elements.
-     * @param {HTMLElement} dropdownContainer - Dropdown container element
-     * @returns {Array} Data structure reconstructed from DOM
+     ** readDeclaredParams(): Reads the initialize() params declared in the attributes of an element
+     * Attributes are prefix + placeholder, flags, src, data, value, cache-ttl and name (data-ddl-* for autoInit(), unprefixed
+     * for <custom-ddl>). Invalid attribute values are reported and left out.
+     * @param {Element} element - Element with the attributes
+     * @param {string} [prefix='data-ddl-'] - Attribute name prefix
+     * @returns {Object} initialize() params (without containerId)
      */
-    extractDataFromDOM: function (dropdownContainer) {
-        const data = [];
-        const parentElements = CustomControl.getAllByName(dropdownContainer, 'ddl-parent');
+    readDeclaredParams: function (element, prefix = 'data-ddl-') {
+        const read = name => element.getAttribute(prefix + name);
+        const label = element.id ? `'${element.id}'` : `a <${element.tagName.toLowerCase()}> element`;
+        const params = {};
 
-        parentElements.forEach(parentElement => {
-            const parentLabel = CustomControl.getByName(parentElement, 'ddl-parent-label');
-            if (!parentLabel) return;
+        if (read('placeholder') !== null) {
+            params.placeholder = read('placeholder');
+        }
 
-            const parentId = parentLabel.dataset.id;
-            // Check if multiSelect mode (has ddl-label-text span) or single select mode (direct text)
-            const parentTextSpan = CustomControl.getByName(parentLabel, 'ddl-label-text');
-            const parentName = parentTextSpan ? parentTextSpan.textContent.trim() : parentLabel.textContent.trim();
+        if (read('flags') !== null) {
+            params.flags = {};
+            read('flags').split(/[\s,]+/).filter(Boolean).forEach(token => {
+                const flagName = CustomControl.autoInitFlags[token.toLowerCase()];
+                if (flagName) {
+                    params.flags[flagName] = true;
+                } else {
+                    console.warn(`[CustomControl] Unknown flag '${token}' in ${prefix}flags of ${label}. Expected: ${Object.keys(CustomControl.autoInitFlags).join(', ')}.`);
+                }
+            });
+        }
 
-            const parent = {
-                id: parentId,
-                name: parentName,
-                children: []
-            };
+        if (read('src')) {
+            params.dataSource = read('src');
+        }
 
-            const childElements = CustomControl.getAllByName(parentElement, 'ddl-child');
-            childElements.forEach(childElement => {
-                const childId = childElement.dataset.id;
-                // Check if multiSelect mode (has ddl-label-text span) or single select mode (direct text)
-                const childTextSpan = CustomControl.getByName(childElement, 'ddl-label-text');
-                const childName = childTextSpan ? childTextSpan.textContent.trim() : childElement.textContent.trim();
+        if (read('data') !== null) {
+            const reference = read('data').trim();
+            try {
+                if (reference.startsWith('#')) {
+                    const script = document.getElementById(reference.slice(1));
+                    if (!script || script.tagName !== 'SCRIPT') {
+                        throw new Error(`no <script type="application/json"> with ID '${reference.slice(1)}'`);
+                    }
+                    params.data = JSON.parse(script.textContent);
+                } else {
+                    params.data = JSON.parse(reference);
+                }
+            } catch (err) {
+                console.error(`[CustomControl] ${prefix}data of ${label} could not be read:`, err.message);
+            }
+        }
 
-                parent.children.push({
-                    id: childId,
-                    name: childName
-                });
-            });
+        if (read('value') !== null) {
+            const value = read('value').trim();
+            if (value.startsWith('[') || value.startsWith('{')) {
+                try {
+                    params.value = JSON.parse(value);
+                } catch (err) {
+                    console.error(`[CustomControl] ${prefix}value of ${label} could not be read:`, err.message);
+                }
+            } else {
+                params.value = value.split(',').map(id => id.trim()).filter(Boolean);
+            }
+        }
 
-            data.push(parent);
-        });
+        if (read('cache-ttl') !== null) {
+            params.cacheTTL = Number(read('cache-ttl'));
+        }
 
-        return data;
+        if (read('name')) {
+            params.formName = read('name');
+        }
+        return params;
     },
 
     /**
-     ** Get selected data for tree view multi-select dropdowns.
-     * @param {HTMLElement} dropdownContainer - Dropdown container element
-     * @param {Array} data - Hierarchical data for this dropdown
-     * @returns {Array} Array of selected parent objects with their selected children
+     * Clear container content.
+     * @param {HTMLElement} container - Target container
      */
-    getTreeViewSelectedData: function (dropdownContainer, data) {
-        const selectedData = [];
-
-        data.forEach(parent => {
-            const parentCheckbox = dropdownContainer.querySelector(`[name*="parent-checkbox"][data-parent-id="${parent.id}"]`);
-            const childCheckboxes = dropdownContainer.querySelectorAll(`[name*="child-checkbox"][data-parent-id="${parent.id}"]`);
-            
-            const checkedChildren = Array.from(childCheckboxes).filter(cb => cb.checked);
-            const hasChildren = parent.children && parent.children.length > 0;
-
-            if (parentCheckbox && parentCheckbox.checked) {
-                // Parent is checked
-                const parentData = {
-                    id: parent.id,
-                    name: parent.name,
-                    children: []
-                };
-
-                if (hasChildren && checkedChildren.length > 0) {
-                    // Add selected children
-                    checkedChildren.forEach(cb => {
-                        const childId = cb.dataset.childId;
-                        const child = parent.children.find(c => c.id == childId);
-                        if (child) {
-                            parentData.children.push({
-                                id: child.id,
-                                name: child.name
-                            });
-                        }
-                    });
-                }
+    clearContainer: function (container) {
+        container.innerHTML = "";
+    },
 
-                selectedData.push(parentData);
-            } else if (checkedChildren.length > 0) {
-                // Parent not checked, but some children are checked
-                const parentData = {
-                    id: parent.id,
-                    name: parent.name,
-                    children: []
+    /**
+     * Create main dropdown wrapper element.
+     * @param {string} containerId - Container ID for this instance
+     * @returns {HTMLElement} Dropdown wrapper element
+     */
+    createDropdownWrapper: function (containerId) {
+        const ddlWrapper = CustomControl.createElement('div', 'custom-ddl', {
+            id: `${containerId}_ddl`
+        });
+        CustomControl.wrapperContainers.set(ddlWrapper, containerId);
+        return ddlWrapper;
+    },
+
+    /**
+     * Create dropdown header with placeholder text.
+     * @param {string} placeholder - Placeholder text to display
+     * @returns {HTMLElement} Header element
+     */
+    createHeader: function (placeholder) {
+        const header = CustomControl.createElement('div', 'ddl-header', {
+            innerText: placeholder
+        });
+        header.tabIndex = 0; // reachable with Tab for keyboard navigation
+        header.setAttribute('role', 'combobox');
+        header.setAttribute('aria-expanded', 'false');
+        return header;
+    },
+
+    /**
+     * Create options container element.
+     * @returns {HTMLElement} Options container element
+     */
+    createOptionsContainer: function () {
+        return CustomControl.createElement('div', 'ddl-options hidden');
+    },
+
+    /**
+     * Create multi-select navigation icon.
+     * @param {string} containerId - Container ID for this instance
+     * @returns {HTMLElement} Navigation icon element
+     */
+    createMultiNavIcon: function (containerId) {
+        const navIcon = CustomControl.createElement('div', 'ddl-multi-nav-icon', {
+            innerHTML: "↓",
+            title: "الانتقال إلى التحديد التالي",
+            dataset: { containerId: containerId }
+        });
+        
+        // Add click event listener
+        CustomControl.addManagedListener(containerId, navIcon, 'click', function(e) {
+            e.stopPropagation();
+            const containerId = e.currentTarget.dataset.containerId;
+            CustomControl.navigateToNextSelection(containerId);
+        });
+        
+        return navIcon;
+    },
+
+    /**
+     * Create Select All button if enabled.
+     * @param {boolean} hasSelectAllBtn - Whether to create the button
+     * @param {string} containerId - Container ID for this instance
+     * @returns {HTMLElement|null} Select All button element or null
+     */
+    createSelectAllButton: function (hasSelectAllBtn, containerId) {
+        if (!hasSelectAllBtn) {
+            return null;
+        }
+        
+        const btnSelectAll = CustomControl.createElement('button', 'ddl-btn select-all', {
+            type: 'button',
+            innerText: "تحديد الكل",
+            dataset: { containerId: containerId }
+        });
+        
+        // Add event listener for Select All functionality
+        CustomControl.addManagedListener(containerId, btnSelectAll, 'click', function(e) {
+            e.stopPropagation();
+            const containerId = e.currentTarget.dataset.containerId;
+            CustomControl.toggleAllSelections(containerId, true);
+        });
+        
+        return btnSelectAll;
+    },
+
+    /**
+     * Create Clear All button if enabled.
+     * @param {boolean} hasClearAllBtn - Whether to create the button
+     * @param {string} containerId - Container ID for this instance
+     * @returns {HTMLElement|null} Clear All button element or null
+     */
+    createClearAllButton: function (hasClearAllBtn, containerId) {
+        if (!hasClearAllBtn) {
+            return null;
+        }
+        
+        const btnClearAll = CustomControl.createElement('button', 'ddl-btn clear-all', {
+            type: 'button',
+            innerText: "مسح الكل",
+            dataset: { containerId: containerId }
+        });
+        
+        // Add event listener for Clear All functionality
+        CustomControl.addManagedListener(containerId, btnClearAll, 'click', function(e) {
+            e.stopPropagation();
+            const containerId = e.currentTarget.dataset.containerId;
+            CustomControl.toggleAllSelections(containerId, false);
+        });
+        
+        return btnClearAll;
+    },
+
+    /**
+     * Create search input box if enabled.
+     * @param {boolean} hasSearch - Whether to create the search box
+     * @param {string} containerId - Container ID for this instance
+     * @returns {HTMLElement|null} Search input element or null
+     */
+        createSearchBox: function (hasSearch, containerId) {
+        if (!hasSearch) {
+            return null;
+        }
+        
+        const searchBox = CustomControl.createElement('input', 'ddl-search', {
+            type: 'text',
+            placeholder: "بحث...",
+            dataset: { containerId: containerId }
+        });
+        
+        // Add event listener for search functionality
+        CustomControl.addManagedListener(containerId, searchBox, 'input', function(e) {
+            const containerId = e.currentTarget.dataset.containerId;
+            const searchTerm = e.currentTarget.value.trim();
+            CustomControl.applySearchTerm(containerId, searchTerm);
+        });
+        
+        return searchBox;
+    },
+
+    /**
+     * Create button container for action buttons.
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * @param {boolean} hasSelectAllBtn - Whether to show select all button
+     * @param {boolean} hasClearAllBtn - Whether to show clear all button
+     * @param {string} containerId - Container ID for this instance
+     * @returns {HTMLElement|null} Button container element or null
+     */
+    createButtonContainer: function (hasMultiSelect, hasSelectAllBtn, hasClearAllBtn, containerId) {
+        const showSelectAll = hasMultiSelect && hasSelectAllBtn;
+        const showClearAll = hasMultiSelect && hasClearAllBtn;
+
+        // Only create container if at least one button should be shown
+        if (!showSelectAll && !showClearAll) {
+            return null;
+        }
+
+        const buttonContainer = document.createElement("div");
+        buttonContainer.setAttribute('name', 'ddl-button-container');
+
+        if (showSelectAll) {
+            const selectAllBtn = CustomControl.createSelectAllButton(hasSelectAllBtn, containerId);
+            buttonContainer.appendChild(selectAllBtn);
+        }
+
+        if (showClearAll) {
+            const clearAllBtn = CustomControl.createClearAllButton(hasClearAllBtn, containerId);
+            buttonContainer.appendChild(clearAllBtn);
+        }
+
+        return buttonContainer;
+    },
+
+    /**
+     * Add action buttons and search box to options container.
+     * @param {HTMLElement} optionsContainer - Options container element
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * @param {boolean} hasSelectAllBtn - Whether to show select all button
+     * @param {boolean} hasClearAllBtn - Whether to show clear all button
+     * @param {boolean} hasSearch - Whether to show search box
+     * @param {string} containerId - Container ID for this instance
+     */
+    populateOptionsContainer: function (optionsContainer, hasMultiSelect, hasSelectAllBtn, hasClearAllBtn, hasSearch, containerId) {
+        // Only show buttons if multiSelect is enabled
+        const showSelectAll = hasMultiSelect && hasSelectAllBtn;
+        const showClearAll = hasMultiSelect && hasClearAllBtn;
+        
+        if (showSelectAll || showClearAll) {
+            const buttonContainer = CustomControl.createButtonContainer(hasMultiSelect, hasSelectAllBtn, hasClearAllBtn, containerId);
+            optionsContainer.appendChild(buttonContainer);
+        }
+
+        // Add search box if enabled
+        if (hasSearch) {
+            const searchBox = CustomControl.createSearchBox(hasSearch, containerId);
+            optionsContainer.appendChild(searchBox);
+        }
+    },
+
+    /**
+     * Generate a row element ID.
+     * Format: containerId_ddl-row-N, numbered per instance. Data IDs are not part of element IDs (rows carry them in
+     * data attributes), so any ID string is safe and dropdowns sharing data IDs never collide.
+     * @param {string} containerId - The control's container ID
+     * @returns {string} Element ID
+     */
+    generateId: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        const index = instance ? ++instance.rowIdCounter : 0;
+        return `${containerId}_ddl-row-${index}`;
+    },
+
+    /**
+     ** dataSelector(): Builds an attribute selector matching a data ID exactly, whatever characters it contains (quotes, backslashes...)
+     * @param {string} attribute - Attribute name (data-id, data-parent-id...)
+     * @param {string|number} value - Attribute value
+     * @returns {string} Selector like [data-id="SA-01"]
+     */
+    dataSelector: function (attribute, value) {
+        const escaped = String(value)
+            .replace(/["\\]/g, '\\$&')
+            .replace(/[\n\r\f]/g, character => `\\${character.charCodeAt(0).toString(16)} `);
+        return `[${attribute}="${escaped}"]`;
+    },
+
+    /**
+     * Add placeholder option that clears all selections when clicked.
+     * If Clear All button exists, placeholder is visible but disabled to avoid redundancy.
+     * @param {HTMLElement} optionsContainer - Options container element
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * @param {boolean} hasClearAllBtn - Whether clear all button is enabled
+     * @param {string} placeholder - Placeholder text
+     * @param {string} containerId - Container ID for this instance
+     */
+    addPlaceholderOption: function (optionsContainer, hasMultiSelect, hasClearAllBtn, placeholder, containerId) {
+        // Check if Clear All button is enabled - if so, make placeholder disabled
+        const shouldDisable = hasMultiSelect && hasClearAllBtn;
+        
+        const placeholderDiv = CustomControl.createElement('div', 'ddl-placeholder-option', {
+            innerText: placeholder,
+            dataset: { containerId: containerId }
+        });
+        
+        if (shouldDisable) {
+            // Disable placeholder when Clear All button exists
+            CustomControl.nameListAdd(placeholderDiv, 'ddl-disabled');
+        } else {
+            // Enable placeholder with click functionality
+            CustomControl.addManagedListener(containerId, placeholderDiv, 'click', function(e) {
+                e.stopPropagation();
+                const containerId = e.currentTarget.dataset.containerId;
+                CustomControl.clearAllSelections(containerId);
+                
+                // Close dropdown after clearing
+                const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+                const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
+                if (dropdownContainer && optionsContainer) {
+                    CustomControl.closeDropdown(dropdownContainer, optionsContainer, true);
+                }
+            });
+        }
+        
+        optionsContainer.appendChild(placeholderDiv);
+    },
+
+
+    /**
+     * Create parent element structure with unique ID.
+     * Nested parents (level > 0) also keep a reference to the parent they belong to.
+     * @param {Object} parent - Parent data object
+     * @param {string} containerId - Container ID for this instance
+     * @param {number} [level=0] - Nesting level (0 for top level items)
+     * @param {Object} [ownerParent=null] - Data object this parent is nested in
+     * @returns {Object} Object containing parentDiv and parentLabel
+     */
+    createParentElement: function(parent, containerId, level = 0, ownerParent = null) {
+        const parentDiv = CustomControl.createElement('div', 'ddl-parent', {
+            dataset: { level: level }
+        });
+        const dataset = { id: parent.id, level: level };
+        if (ownerParent) {
+            dataset.parentId = ownerParent.id;
+        }
+        const parentLabel = CustomControl.createElement('div', 'ddl-parent-label', {
+            id: CustomControl.generateId(containerId),
+            dataset: dataset
+        });
+        CustomControl.setIndentLevel(parentLabel, level);
+
+        return { parentDiv, parentLabel };
+    },
+
+    /**
+     * Setup parent content (checkbox + text or just text).
+     * @param {HTMLElement} parentLabel - Parent label element
+     * @param {Object} parent - Parent data object
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     */
+    setupParentContent: function(parentLabel, parent, hasMultiSelect) {
+        if (hasMultiSelect) {
+            const parentCheckbox = CustomControl.createElement('input', 'ddl-checkbox parent-checkbox', {
+                type: 'checkbox',
+                id: `${parentLabel.id}-checkbox`,
+                dataset: { parentId: parent.id }
+            });
+            CustomControl.hideRowCheckbox(parentCheckbox);
+
+            const parentText = CustomControl.createElement('span', 'ddl-label-text', {
+                innerText: parent.name
+            });
+
+            parentLabel.appendChild(parentCheckbox);
+            parentLabel.appendChild(parentText);
+        } else {
+            // Single selection - use consistent span structure
+            const parentText = CustomControl.createElement('span', 'ddl-label-text', {
+                innerText: parent.name
+            });
+            parentLabel.appendChild(parentText);
+        }
+    },
+
+    /**
+     * Create a single child element with proper setup.
+     * @param {Object} child - Child data object
+     * @param {Object} parent - Parent data object
+     * @param {string} containerId - Container ID for this instance
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * @param {number} [level=1] - Nesting level of the child
+     * @returns {HTMLElement} Child element
+     */
+    createChildElement: function(child, parent, containerId, hasMultiSelect, level = 1) {
+        const childDiv = CustomControl.createElement('div', 'ddl-child', {
+            id: CustomControl.generateId(containerId),
+            dataset: { 
+                id: child.id, 
+                parentId: parent.id,
+                level: level
+            }
+        });
+        CustomControl.setIndentLevel(childDiv, level);
+        childDiv.setAttribute('role', 'treeitem'); // children are only rendered in tree view
+        childDiv.setAttribute('aria-level', level + 1);
+        CustomControl.rememberRowItem(containerId, childDiv, child);
+
+        CustomControl.setupChildContent(childDiv, child, parent, hasMultiSelect, containerId);
+        if (CustomControl.isItemDisabled(child)) {
+            CustomControl.markRowDisabled(childDiv);
+        }
+        
+        return childDiv;
+    },
+
+    /**
+     * Setup child content (checkbox + text or just text with click handler).
+     * @param {HTMLElement} childDiv - Child element
+     * @param {Object} child - Child data object
+     * @param {Object} parent - Parent data object
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * @param {string} containerId - Container ID for this instance
+     */
+    setupChildContent: function(childDiv, child, parent, hasMultiSelect, containerId) {
+        if (hasMultiSelect) {
+            const childCheckbox = CustomControl.createElement('input', 'ddl-checkbox child-checkbox', {
+                type: 'checkbox',
+                id: `${childDiv.id}-checkbox`,
+                dataset: { 
+                    childId: child.id,
+                    parentId: parent.id 
+                }
+            });
+            CustomControl.hideRowCheckbox(childCheckbox);
+
+            const childText = CustomControl.createElement('span', 'ddl-label-text', {
+                innerText: child.name
+            });
+
+            childDiv.appendChild(childCheckbox);
+            childDiv.appendChild(childText);
+        } else {
+            // Single selection - use consistent span structure
+            const childText = CustomControl.createElement('span', 'ddl-label-text', {
+                innerText: child.name
+            });
+            childDiv.appendChild(childText);
+            
+            CustomControl.nameListAdd(childDiv, "ddl-option");
+            if (CustomControl.isItemDisabled(child)) return; // shown (and kept if selected through the API), but not clickable
+            CustomControl.addManagedListener(containerId, childDiv, "click", function(e) {
+                e.stopPropagation();
+                const containerId = CustomControl.extractContainerIdFromElement(e.currentTarget);
+                if (containerId) {
+                    CustomControl.handleSingleSelection(e.currentTarget, containerId);
+                }
+            });
+        }
+    },
+
+    /**
+     * Create children container and populate it. Children that have their own children
+     * are rendered as nested parents, so the tree can be any depth.
+     * @param {Object} parent - Parent data object
+     * @param {string} containerId - Container ID for this instance
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * @param {number} [level=1] - Nesting level of the children
+     * @returns {HTMLElement} Children container element
+     */
+    createChildrenSection: function(parent, containerId, hasMultiSelect, level = 1) {
+        const childrenContainer = CustomControl.createElement('div', 'ddl-children');
+
+        CustomControl.appendChildNodes(childrenContainer, parent, containerId, hasMultiSelect, level);
+
+        return childrenContainer;
+    },
+
+    /**
+     * Append the rows of parent.children to a children container (nested parents or leaf children).
+     * @param {HTMLElement} childrenContainer - Target children container
+     * @param {Object} parent - Parent data object
+     * @param {string} containerId - Container ID for this instance
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * @param {number} level - Nesting level of the children
+     */
+    appendChildNodes: function(childrenContainer, parent, containerId, hasMultiSelect, level) {
+        parent.children.forEach(child => {
+            if (CustomControl.hasChildItems(child) || CustomControl.isLazyParent(child, containerId)) {
+                const nestedParentDiv = CustomControl.createParentNode(child, containerId, hasMultiSelect, true, level, parent);
+                childrenContainer.appendChild(nestedParentDiv);
+            } else {
+                const childDiv = CustomControl.createChildElement(child, parent, containerId, hasMultiSelect, level);
+                childrenContainer.appendChild(childDiv);
+            }
+        });
+    },
+
+    /**
+     * Check whether a data item has child items.
+     * @param {Object} item - Data object
+     * @returns {boolean} True if item.children is a non-empty array
+     */
+    hasChildItems: function(item) {
+        return Array.isArray(item.children) && item.children.length > 0;
+    },
+
+    /**
+     * Check whether a data item is a parent whose children are loaded on demand
+     * (hasChildren: true hint, no children yet, and a loadChildren option on the instance).
+     * @param {Object} item - Data object
+     * @param {string} containerId - Container ID for this instance
+     * @returns {boolean} True if children should be loaded lazily
+     */
+    isLazyParent: function(item, containerId) {
+        const instance = CustomControl.registry[containerId];
+        return item.hasChildren === true
+            && !CustomControl.hasChildItems(item)
+            && !!instance
+            && typeof instance.settings.loadChildren === 'function';
+    },
+
+    /**
+     * Store nesting level on a row so CSS can indent it (any depth, no per-level selectors).
+     * @param {HTMLElement} element - Parent label or child element
+     * @param {number} level - Nesting level
+     */
+    setIndentLevel: function(element, level) {
+        element.style.setProperty('--ddl-level', level);
+    },
+
+    /**
+     * Add expand/collapse behavior to tree view parents.
+     * @param {HTMLElement} parentLabel - Parent label element
+     * @param {HTMLElement} childrenContainer - Children container element
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * @param {string} containerId - Container ID for this instance
+     * @param {Object} [lazyParent=null] - Parent data object whose children are loaded on first expand
+     */
+    addTreeViewBehavior: function(parentLabel, childrenContainer, hasMultiSelect, containerId, lazyParent = null) {
+        const toggleChildren = function () {
+            CustomControl.nameListToggle(childrenContainer, "hidden");
+            const isNowVisible = !CustomControl.nameListContains(childrenContainer, "hidden");
+            
+            parentLabel.setAttribute('aria-expanded', String(isNowVisible));
+
+            if (isNowVisible) {
+                CustomControl.nameListAdd(parentLabel, "expanded");    // Arrow UP ▲
+
+                // First expand of a lazy parent: fetch its children
+                if (lazyParent && !childrenContainer.dataset.loadState) {
+                    CustomControl.loadLazyChildren(containerId, lazyParent, parentLabel, childrenContainer, hasMultiSelect);
+                }
+            } else {
+                CustomControl.nameListRemove(parentLabel, "expanded"); // Arrow DOWN ▼
+            }
+        };
+
+        if (hasMultiSelect) {
+            // When checkboxes exist, only text should expand/collapse
+            const parentTextElement = CustomControl.getByName(parentLabel, 'ddl-label-text');
+            if (parentTextElement) {
+                CustomControl.addManagedListener(containerId, parentTextElement, "click", function (e) {
+                    e.stopPropagation(); // Prevent checkbox events
+                    toggleChildren();
+                });
+            }
+        } else {
+            // When no checkboxes, whole label can be clicked
+            CustomControl.addManagedListener(containerId, parentLabel, "click", function () {
+                toggleChildren();
+            });
+        }
+    },
+
+    /**
+     * Load the children of a lazy parent through the loadChildren option and render them in place.
+     * While loading, the parent shows a spinner; on failure an error row with a retry button is shown.
+     * Loaded children are stored on the parent data object, inherit a checked parent state and respect an active search.
+     * @param {string} containerId - Container ID for this instance
+     * @param {Object} parent - Parent data object (receives the loaded children)
+     * @param {HTMLElement} parentLabel - Parent label element
+     * @param {HTMLElement} childrenContainer - Children container element to fill
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * @returns {Promise<boolean>} Resolves true when children were rendered, false otherwise
+     */
+    loadLazyChildren: function(containerId, parent, parentLabel, childrenContainer, hasMultiSelect) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || typeof instance.settings.loadChildren !== 'function') {
+            return Promise.resolve(false);
+        }
+
+        // Loading state (drops the error row of a previous attempt)
+        childrenContainer.dataset.loadState = 'loading';
+        childrenContainer.setAttribute('aria-busy', 'true');
+        CustomControl.nameListAdd(parentLabel, 'ddl-loading');
+        CustomControl.removeManagedListenersWithin(containerId, childrenContainer);
+        childrenContainer.innerHTML = '';
+        childrenContainer.appendChild(CustomControl.createElement('div', 'ddl-loading-row', {
+            innerText: 'جاري التحميل...'
+        }));
+
+        // Stale result: the dropdown was destroyed or re-rendered while loading
+        const isStale = function () {
+            return CustomControl.registry[containerId] !== instance || !instance.ddlWrapper.contains(childrenContainer);
+        };
+
+        return Promise.resolve()
+            .then(() => instance.settings.loadChildren(CustomControl.getOriginalItem(parent)))
+            .then(children => {
+                if (isStale()) return false;
+                if (!Array.isArray(children)) {
+                    throw new Error(`loadChildren must resolve to an array, received: ${typeof children}`);
+                }
+
+                parent.children = CustomControl.mapData(containerId, children, parent.id);
+                CustomControl.indexItems(containerId, parent.children);
+
+                // Render loaded children one level below the parent
+                const level = Number(parentLabel.dataset.level || 0) + 1;
+                childrenContainer.innerHTML = '';
+                CustomControl.appendChildNodes(childrenContainer, parent, containerId, hasMultiSelect, level);
+                if (hasMultiSelect) {
+                    CustomControl.addCheckboxEventListeners(childrenContainer, containerId);
+                }
+
+                childrenContainer.dataset.loadState = 'loaded';
+                childrenContainer.removeAttribute('aria-busy');
+                CustomControl.nameListRemove(parentLabel, 'ddl-loading');
+
+                CustomControl.integrateLoadedChildren(containerId, parentLabel, childrenContainer);
+                return true;
+            })
+            .catch(err => {
+                if (isStale()) return false;
+                console.error(`[CustomControl] loadChildren failed for parent '${parent.id}' in '${containerId}':`, err);
+
+                childrenContainer.dataset.loadState = 'error';
+                childrenContainer.removeAttribute('aria-busy');
+                CustomControl.nameListRemove(parentLabel, 'ddl-loading');
+                CustomControl.showLazyLoadError(containerId, parent, parentLabel, childrenContainer, hasMultiSelect);
+                return false;
+            });
+    },
+
+    /**
+     * Plug freshly loaded children into the current state: checked parents check their new children,
+     * an active search is re-applied, and the header/change event reflect the new descendants.
+     * @param {string} containerId - Container ID for this instance
+     * @param {HTMLElement} parentLabel - Parent label element
+     * @param {HTMLElement} childrenContainer - Children container that was filled
+     */
+    integrateLoadedChildren: function(containerId, parentLabel, childrenContainer) {
+        const parentCheckbox = CustomControl.getRowCheckbox(parentLabel);
+        if (parentCheckbox && parentCheckbox.checked && CustomControl.cascadesDown(CustomControl.getCascade(containerId))) {
+            CustomControl.getDescendantRows(parentLabel.parentElement).forEach(row => {
+                const checkbox = CustomControl.getRowCheckbox(row);
+                if (checkbox) {
+                    checkbox.checked = true;
+                    CustomControl.updateCheckboxHighlight(row, true);
+                }
+            });
+        }
+
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        const searchBox = CustomControl.getByName(dropdownContainer, 'ddl-search');
+        if (searchBox && searchBox.value.trim() !== '' && !CustomControl.registry[containerId].settings.remoteSearch) {
+            // Re-run the search so new children are filtered like the rest (remote results are already filtered)
+            CustomControl.handleSearch(containerId, searchBox.value.trim());
+        }
+
+        CustomControl.updateDropdownHeader(containerId);
+        CustomControl.notifySelectionChange(containerId, 'loadChildren');
+    },
+
+    /**
+     * Replace the content of a lazy children container with an error row and a retry button.
+     * @param {string} containerId - Container ID for this instance
+     * @param {Object} parent - Parent data object
+     * @param {HTMLElement} parentLabel - Parent label element
+     * @param {HTMLElement} childrenContainer - Children container element
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     */
+    showLazyLoadError: function(containerId, parent, parentLabel, childrenContainer, hasMultiSelect) {
+        const errorRow = CustomControl.createElement('div', 'ddl-load-error');
+        const errorText = CustomControl.createElement('span', 'ddl-load-error-text', {
+            innerText: 'تعذر تحميل العناصر'
+        });
+        const retryBtn = CustomControl.createElement('button', 'ddl-retry-btn', {
+            type: 'button',
+            innerText: 'إعادة المحاولة'
+        });
+
+        CustomControl.addManagedListener(containerId, retryBtn, 'click', function(e) {
+            e.stopPropagation();
+            CustomControl.loadLazyChildren(containerId, parent, parentLabel, childrenContainer, hasMultiSelect);
+        });
+
+        errorRow.appendChild(errorText);
+        errorRow.appendChild(retryBtn);
+        childrenContainer.innerHTML = '';
+        childrenContainer.appendChild(errorRow);
+    },
+
+    /**
+     * Add single selection handlers to parent elements.
+     * @param {HTMLElement} parentLabel - Parent label element
+     * @param {Object} parent - Parent data object
+     * @param {boolean} hasTreeView - Whether tree view is enabled
+     * @param {string} containerId - Container ID for this instance
+     */
+    addSingleSelectionHandlers: function(parentLabel, parent, hasTreeView, containerId) {
+        const hasChildren = CustomControl.hasChildItems(parent) || CustomControl.isLazyParent(parent, containerId);
+        
+        // In single selection:
+        // - Tree view with children: Parents are NOT selectable (only for organization)
+        // - Tree view without children OR no tree view: Parents ARE selectable
+        if (!hasTreeView || !hasChildren) {
+            CustomControl.nameListAdd(parentLabel, "ddl-option");
+            if (CustomControl.isItemDisabled(parent)) return; // shown (and kept if selected through the API), but not clickable
+            
+            CustomControl.addManagedListener(containerId, parentLabel, "click", function(e) {
+                e.stopPropagation();
+                const containerId = CustomControl.extractContainerIdFromElement(e.currentTarget);
+                if (containerId) {
+                    CustomControl.handleSingleSelection(e.currentTarget, containerId);
+                }
+            });
+        }
+    },
+
+    /**
+     * Create a complete parent node (label, children section and behaviors) at any nesting level.
+     * @param {Object} parent - Parent data object
+     * @param {string} containerId - Container ID for this instance
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * @param {boolean} hasTreeView - Whether tree view is enabled
+     * @param {number} [level=0] - Nesting level (0 for top level items)
+     * @param {Object} [ownerParent=null] - Data object this parent is nested in
+     * @returns {HTMLElement} Parent element (ddl-parent)
+     */
+    createParentNode: function (parent, containerId, hasMultiSelect, hasTreeView, level = 0, ownerParent = null) {
+        // Create parent structure
+        const { parentDiv, parentLabel } = CustomControl.createParentElement(parent, containerId, level, ownerParent);
+        CustomControl.rememberRowItem(containerId, parentLabel, parent);
+        CustomControl.setupParentContent(parentLabel, parent, hasMultiSelect);
+        if (CustomControl.isItemDisabled(parent)) {
+            CustomControl.markRowDisabled(parentLabel);
+        }
+        parentDiv.appendChild(parentLabel);
+
+        parentLabel.setAttribute('role', hasTreeView ? 'treeitem' : 'option');
+        if (hasTreeView) {
+            parentLabel.setAttribute('aria-level', level + 1);
+        }
+
+        // Handle tree view children
+        if (hasTreeView && CustomControl.hasChildItems(parent)) {
+            // Mark parent as having children for arrow styling and set as expanded by default
+            CustomControl.nameListAdd(parentLabel, "has-children");
+            CustomControl.nameListAdd(parentLabel, "expanded"); // expanded by default
+            
+            parentLabel.setAttribute('aria-expanded', 'true');
+
+            // Create children section (recurses for nested parents)
+            const childrenContainer = CustomControl.createChildrenSection(parent, containerId, hasMultiSelect, level + 1);
+            childrenContainer.setAttribute('role', 'group');
+            parentDiv.appendChild(childrenContainer);
+
+            // Add expand/collapse behavior
+            CustomControl.addTreeViewBehavior(parentLabel, childrenContainer, hasMultiSelect, containerId);
+        } else if (hasTreeView && CustomControl.isLazyParent(parent, containerId)) {
+            // Lazy parent: show the arrow now, collapsed, and load children on first expand
+            CustomControl.nameListAdd(parentLabel, "has-children");
+
+            parentLabel.setAttribute('aria-expanded', 'false');
+
+            const childrenContainer = CustomControl.createElement('div', 'ddl-children hidden');
+            childrenContainer.setAttribute('role', 'group');
+            parentDiv.appendChild(childrenContainer);
+
+            CustomControl.addTreeViewBehavior(parentLabel, childrenContainer, hasMultiSelect, containerId, parent);
+        }
+
+        // Add single selection handlers if needed
+        if (!hasMultiSelect) {
+            CustomControl.addSingleSelectionHandlers(parentLabel, parent, hasTreeView, containerId);
+        }
+
+        return parentDiv;
+    },
+
+    /**
+     * Render dropdown options (orchestrator method).
+     * @param {Array} data - Hierarchical data [{id, name, children:[]}], children can be nested to any depth
+     * @param {HTMLElement} optionsContainer - Target options container
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * @param {boolean} hasTreeView - Whether tree view is enabled
+     * @param {boolean} hasClearAllBtn - Whether clear all button is enabled
+     * @param {string} placeholder - Placeholder text
+     * @param {string} containerId - Container ID for this instance
+     */
+    renderOptions: function (data, optionsContainer, hasMultiSelect, hasTreeView, hasClearAllBtn, placeholder, containerId) {
+        // Add placeholder option
+        CustomControl.addPlaceholderOption(optionsContainer, hasMultiSelect, hasClearAllBtn, placeholder, containerId);
+
+        // Process each top level parent
+        data.forEach(parent => {
+            const parentDiv = CustomControl.createParentNode(parent, containerId, hasMultiSelect, hasTreeView);
+            optionsContainer.appendChild(parentDiv);
+        });
+    },
+
+    /**
+     ** Tree navigation helpers (work at any nesting depth).
+     * A "row" is the element that carries the option text/checkbox: ddl-parent-label for parents, ddl-child for leaves.
+     * A "node element" is the element that is hidden/shown by search: ddl-parent for parents, ddl-child for leaves.
+     */
+
+    /**
+     * Get the node element (the one search hides) of a row.
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @returns {HTMLElement} ddl-parent or ddl-child element
+     */
+    getRowNodeElement: function (row) {
+        return CustomControl.nameListContains(row, 'ddl-parent-label') ? row.parentElement : row;
+    },
+
+    /**
+     * Get the direct child rows of a parent element.
+     * @param {HTMLElement} parentElement - ddl-parent element
+     * @returns {HTMLElement[]} Direct child rows (ddl-parent-label of nested parents and ddl-child leaves)
+     */
+    getChildRows: function (parentElement) {
+        const childrenContainer = CustomControl.getByName(parentElement, 'ddl-children');
+        if (!childrenContainer || childrenContainer.parentElement !== parentElement) return [];
+
+        return Array.from(childrenContainer.children).map(nodeElement => {
+            if (CustomControl.nameListContains(nodeElement, 'ddl-parent')) {
+                return CustomControl.getByName(nodeElement, 'ddl-parent-label');
+            }
+            // Skip helper rows (lazy loading / error rows)
+            return CustomControl.nameListContains(nodeElement, 'ddl-child') ? nodeElement : null;
+        }).filter(row => !!row);
+    },
+
+    /**
+     * Get the parent element a row is nested in.
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @returns {HTMLElement|null} Owning ddl-parent element or null for top level rows
+     */
+    getOwnerParentElement: function (row) {
+        const childrenContainer = CustomControl.getRowNodeElement(row).parentElement;
+        if (!childrenContainer || !CustomControl.nameListContains(childrenContainer, 'ddl-children')) return null;
+        return childrenContainer.parentElement;
+    },
+
+    /**
+     * Get the checkbox of a row (multi-select only).
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @returns {HTMLInputElement|null} Checkbox or null
+     */
+    getRowCheckbox: function (row) {
+        return CustomControl.getByName(row, 'ddl-checkbox') || null;
+    },
+
+    /**
+     * Check whether a data item is disabled (disabled field, see fieldMap).
+     * @param {Object} item - Data item
+     * @returns {boolean} True for disabled items
+     */
+    isItemDisabled: function (item) {
+        return !!item.disabled;
+    },
+
+    /**
+     ** markRowDisabled(): Renders a row of a disabled item: its checkbox can't be toggled and cascades / Select All leave it as it is
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     */
+    markRowDisabled: function (row) {
+        CustomControl.nameListAdd(row, 'ddl-item-disabled');
+        row.setAttribute('aria-disabled', 'true');
+        const checkbox = CustomControl.getRowCheckbox(row);
+        if (checkbox) checkbox.disabled = true;
+    },
+
+    /**
+     * Check whether a row shows a disabled item.
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @returns {boolean} True for disabled rows
+     */
+    isRowDisabled: function (row) {
+        return CustomControl.nameListContains(row, 'ddl-item-disabled');
+    },
+
+    /**
+     ** Data model.
+     * The dropdown keeps the data items it was given: instance.items indexes them by ID and every rendered row points to the
+     * item it shows, so results return the original objects (with their ID types) instead of what the DOM holds.
+     * Mapped data (fieldMap, flat dataFormat) is indexed and rendered as nodes that lead back to their originals.
+     */
+
+    /**
+     * Copies of data items made for rendering (pinned selections, merged remote results) → the data item they stand for.
+     */
+    itemSources: new WeakMap(),
+
+    /**
+     * Add data items (and their loaded descendants) to the ID index of an instance.
+     * IDs can repeat across levels; the first item indexed for an ID is kept unless overwrite is set.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Array} items - Data items
+     * @param {boolean} [overwrite=false] - Replace items already indexed under the same ID (fresh remote results)
+     */
+    indexItems: function (containerId, items, overwrite = false) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || !Array.isArray(items)) return;
+
+        const visit = function (item) {
+            if (!item || typeof item !== 'object') return;
+            const source = CustomControl.getSourceItem(item);
+            const key = String(source.id);
+            if (overwrite || !instance.items.has(key)) {
+                instance.items.set(key, source);
+            }
+            if (CustomControl.hasChildItems(item)) item.children.forEach(visit);
+        };
+        items.forEach(visit);
+    },
+
+    /**
+     * Copy a data item for rendering, remembering the original it stands for.
+     * @param {Object} item - Data item (or a copy of one)
+     * @param {Object} overrides - Properties to replace in the copy (e.g. children)
+     * @returns {Object} Copy
+     */
+    copyItem: function (item, overrides) {
+        const copy = Object.assign({}, item, overrides);
+        CustomControl.itemSources.set(copy, CustomControl.getSourceItem(item));
+        return copy;
+    },
+
+    /**
+     * Get the data item behind a rendering copy.
+     * @param {Object} item - Data item or copy
+     * @returns {Object} Data item
+     */
+    getSourceItem: function (item) {
+        return CustomControl.itemSources.get(item) || item;
+    },
+
+    /**
+     * Remember the data item a row was rendered from (results, searchFields).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @param {Object} item - Data item
+     */
+    rememberRowItem: function (containerId, row, item) {
+        const instance = CustomControl.registry[containerId];
+        if (instance) {
+            instance.rowItems.set(row, CustomControl.getSourceItem(item));
+        }
+    },
+
+    /**
+     * Get the data item of a rendered row.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @returns {Object|null} Data item or null
+     */
+    getRowItem: function (containerId, row) {
+        const instance = CustomControl.registry[containerId];
+        return instance ? instance.rowItems.get(row) || null : null;
+    },
+
+    /**
+     * Get a data item of a dropdown by its ID (the original object passed in data, dataSource, loadChildren or remoteSearch results).
+     * This method is considered as API for the user to look items up without keeping their own index.
+     * @param {string} containerId - The specific dropdown container ID
+     * @param {string|number} id - Item ID (1 and "1" find the same item)
+     * @returns {Object|null} Data item or null
+     */
+    getItem: function (containerId, id) {
+        const item = CustomControl.getIndexedItem(containerId, id);
+        return item ? CustomControl.getOriginalItem(item) : null;
+    },
+
+    /**
+     * Get the indexed data item of an ID as the dropdown renders it (the node for mapped data, see mapItem()).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string|number} id - Item ID
+     * @returns {Object|null} Data item or null
+     */
+    getIndexedItem: function (containerId, id) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance) return null;
+        return instance.items.get(String(id)) || null;
+    },
+
+    /**
+     * Build the {id, name, item} entry of a result from a rendered row (the DOM is only read as a fallback).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @returns {Object} Result entry
+     */
+    createResultEntry: function (containerId, row) {
+        const item = CustomControl.getRowItem(containerId, row);
+        return item
+            ? { id: item.id, name: item.name, item: CustomControl.getOriginalItem(item) }
+            : { id: row.dataset.id, name: CustomControl.getRowText(row), item: null };
+    },
+
+    /**
+     * Get the display text of a row.
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @returns {string} Trimmed text
+     */
+    getRowText: function (row) {
+        const textSpan = CustomControl.getByName(row, 'ddl-label-text');
+        return textSpan ? textSpan.textContent.trim() : row.textContent.trim();
+    },
+
+    /**
+     * Check whether a row is visible in the current search (neither it nor an ancestor is filtered out).
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @returns {boolean} True if visible
+     */
+    isRowVisible: function (row) {
+        return !CustomControl.getRowNodeElement(row).closest('[name~="ddl-hidden"]');
+    },
+
+    /**
+     * Get the path (ancestors + the row itself) of a row as {id, name} objects, from the top level down.
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @param {string} containerId - Container ID for this dropdown instance (IDs and names come from its data items)
+     * @returns {Array<Object>} Path entries
+     */
+    getRowPath: function (row, containerId) {
+        const toStep = function (pathRow) {
+            const entry = CustomControl.createResultEntry(containerId, pathRow);
+            return { id: entry.id, name: entry.name };
+        };
+        const path = [toStep(row)];
+        let ownerParent = CustomControl.getOwnerParentElement(row);
+
+        while (ownerParent) {
+            const ownerLabel = CustomControl.getByName(ownerParent, 'ddl-parent-label');
+            path.unshift(toStep(ownerLabel));
+            ownerParent = CustomControl.getOwnerParentElement(ownerLabel);
+        }
+
+        return path;
+    },
+
+    /**
+     ** Data mutation.
+     * addItems() and removeItems() replace the array the items are listed in (data or the parent's children) with a new one,
+     * so the arrays of the caller are never modified; updateItem() patches the item object itself. Only the rows that show them are patched:
+     * new rows are rendered next to the existing ones and a changed item's rows are rendered again with their previous
+     * checked / collapsed / selected state, so the rest of the dropdown is left as it is.
+     */
+
+    /**
+     * Find the array a data item is listed in: the data option or the children of its parent.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} item - Data item
+     * @returns {{owner: Object|null, siblings: Array}|null} Parent item (null at the top level) and the array, or null if the item is not in data
+     */
+    findItemOwner: function (containerId, item) {
+        const instance = CustomControl.registry[containerId];
+        let found = null;
+
+        const visit = function (items, owner) {
+            if (found || !Array.isArray(items)) return;
+            if (items.includes(item)) {
+                found = { owner: owner, siblings: items };
+                return;
+            }
+            items.forEach(child => {
+                if (child && typeof child === 'object') visit(child.children, child);
+            });
+        };
+        visit(instance.settings.data, null);
+        return found;
+    },
+
+    /**
+     * Remove a data item and its descendants from the ID index of an instance.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} item - Data item
+     */
+    unindexItem: function (containerId, item) {
+        const instance = CustomControl.registry[containerId];
+        const key = String(item.id);
+        if (instance.items.get(key) === item) {
+            instance.items.delete(key);
+        }
+        if (CustomControl.hasChildItems(item)) {
+            item.children.forEach(child => CustomControl.unindexItem(containerId, child));
+        }
+    },
+
+    /**
+     * Get every rendered row that shows a data item (an item can be rendered more than once, e.g. pinned remote selections).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} item - Data item
+     * @returns {HTMLElement[]} ddl-parent-label and ddl-child rows
+     */
+    getItemRows: function (containerId, item) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return [];
+
+        return Array.from(dropdownContainer.querySelectorAll('[name~="ddl-parent-label"], [name~="ddl-child"]'))
+            .filter(row => CustomControl.getRowItem(containerId, row) === item);
+    },
+
+    /**
+     * Get the rows inside a node element: its own row first, then its descendants in document order.
+     * @param {HTMLElement} nodeElement - ddl-parent or ddl-child element
+     * @returns {HTMLElement[]} Rows
+     */
+    getNodeRows: function (nodeElement) {
+        if (!CustomControl.nameListContains(nodeElement, 'ddl-parent')) return [nodeElement];
+        return [CustomControl.getByName(nodeElement, 'ddl-parent-label')].concat(CustomControl.getDescendantRows(nodeElement));
+    },
+
+    /**
+     * Render the node of a data item the way renderOptions() / appendChildNodes() would at that level, with its checkbox listeners.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} item - Data item
+     * @param {number} level - Nesting level
+     * @param {Object|null} ownerItem - Data item the node is nested in (null at the top level)
+     * @returns {HTMLElement} ddl-parent or ddl-child element
+     */
+    createItemNode: function (containerId, item, level, ownerItem) {
+        const { hasMultiSelect, hasTreeView } = CustomControl.registry[containerId].settings.flags;
+        const isParent = level === 0 || CustomControl.hasChildItems(item) || CustomControl.isLazyParent(item, containerId);
+
+        const nodeElement = isParent
+            ? CustomControl.createParentNode(item, containerId, hasMultiSelect, hasTreeView, level, ownerItem)
+            : CustomControl.createChildElement(item, ownerItem, containerId, hasMultiSelect, level);
+        if (hasMultiSelect) {
+            CustomControl.addCheckboxEventListeners(nodeElement, containerId);
+        }
+        return nodeElement;
+    },
+
+    /**
+     * Drop a rendered node with its listeners (and the keyboard highlight if it was inside).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} nodeElement - ddl-parent or ddl-child element
+     */
+    dropItemNode: function (containerId, nodeElement) {
+        const instance = CustomControl.registry[containerId];
+        if (instance.activeRow && nodeElement.contains(instance.activeRow)) {
+            CustomControl.clearActiveOption(containerId);
+        }
+        CustomControl.removeManagedListenersWithin(containerId, nodeElement);
+        nodeElement.remove();
+    },
+
+    /**
+     * Render new top level items after the existing ones.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Array} items - Data items
+     */
+    appendTopLevelItems: function (containerId, items) {
+        const optionsContainer = CustomControl.getByName(CustomControl.getDropdownWrapper(containerId), 'ddl-options');
+        const navIcon = CustomControl.getByName(optionsContainer, 'ddl-multi-nav-icon');
+
+        items.forEach(item => {
+            optionsContainer.insertBefore(CustomControl.createItemNode(containerId, item, 0, null), navIcon || null);
+        });
+    },
+
+    /**
+     * Render items added under the parent shown by a row (tree view only; flat lists show top level items only).
+     * A parent with rendered children gets the new rows appended; a leaf or an unloaded lazy parent is rendered again as a parent.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} row - Row of the parent item
+     * @param {Array} items - Added data items
+     */
+    appendChildItems: function (containerId, row, items) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance.settings.flags.hasTreeView) return;
+
+        const parentElement = row.parentElement;
+        const isParentRow = CustomControl.nameListContains(row, 'ddl-parent-label');
+        if (!isParentRow || CustomControl.getChildRows(parentElement).length === 0) {
+            CustomControl.replaceItemRow(containerId, row);
+            return;
+        }
+
+        const childrenContainer = CustomControl.getByName(parentElement, 'ddl-children');
+        const parentItem = CustomControl.getRowItem(containerId, row);
+        const parentCheckbox = CustomControl.getRowCheckbox(row);
+        const inheritChecked = !!parentCheckbox && parentCheckbox.checked && CustomControl.cascadesDown(CustomControl.getCascade(containerId));
+        const level = Number(row.dataset.level || 0) + 1;
+
+        items.forEach(item => {
+            const nodeElement = CustomControl.createItemNode(containerId, item, level, parentItem);
+            childrenContainer.appendChild(nodeElement);
+            if (inheritChecked) {
+                CustomControl.getNodeRows(nodeElement).forEach(newRow => {
+                    CustomControl.getRowCheckbox(newRow).checked = true;
+                    CustomControl.updateCheckboxHighlight(newRow, true);
+                });
+            }
+        });
+
+        CustomControl.recalculateNodeStates(containerId, parentElement);
+    },
+
+    /**
+     * Render the node of a row again from its data item, keeping the checked / collapsed / selected state of the rows that are
+     * still there. New descendants of a checked row are checked too (unless cascade is "independent").
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     */
+    replaceItemRow: function (containerId, row) {
+        const item = CustomControl.getRowItem(containerId, row);
+        if (!item) return;
+
+        const nodeElement = CustomControl.getRowNodeElement(row);
+        const ownerParentElement = CustomControl.getOwnerParentElement(row);
+        const ownerItem = ownerParentElement
+            ? CustomControl.getRowItem(containerId, CustomControl.getByName(ownerParentElement, 'ddl-parent-label'))
+            : null;
+
+        // Remember row states by data item (rows are new elements after the re-render)
+        const states = new Map();
+        CustomControl.getNodeRows(nodeElement).forEach(oldRow => {
+            const checkbox = CustomControl.getRowCheckbox(oldRow);
+            const childrenContainer = oldRow.parentElement && CustomControl.getByName(oldRow.parentElement, 'ddl-children');
+            states.set(CustomControl.getRowItem(containerId, oldRow), {
+                checked: !!checkbox && checkbox.checked,
+                indeterminate: !!checkbox && checkbox.indeterminate,
+                collapsed: CustomControl.nameListContains(oldRow, 'ddl-parent-label') && !!childrenContainer
+                    && CustomControl.nameListContains(childrenContainer, 'hidden'),
+                selected: CustomControl.nameListContains(oldRow, 'ddl-selected')
+            });
+        });
+
+        const newNode = CustomControl.createItemNode(containerId, item, Number(row.dataset.level || 0), ownerItem);
+        nodeElement.parentElement.insertBefore(newNode, nodeElement);
+        CustomControl.dropItemNode(containerId, nodeElement);
+
+        const cascadesDown = CustomControl.cascadesDown(CustomControl.getCascade(containerId));
+        CustomControl.getNodeRows(newNode).forEach(newRow => {
+            const state = states.get(CustomControl.getRowItem(containerId, newRow));
+            const checkbox = CustomControl.getRowCheckbox(newRow);
+
+            if (checkbox) {
+                if (state) {
+                    checkbox.checked = state.checked;
+                    checkbox.indeterminate = state.indeterminate;
+                } else {
+                    // Rows are visited parents first, so the owner row already has its final state
+                    const ownerCheckbox = CustomControl.getRowCheckbox(CustomControl.getByName(CustomControl.getOwnerParentElement(newRow), 'ddl-parent-label'));
+                    checkbox.checked = cascadesDown && !!ownerCheckbox && ownerCheckbox.checked;
+                }
+                CustomControl.updateCheckboxHighlight(newRow, checkbox.checked || checkbox.indeterminate);
+            }
+
+            if (state && state.collapsed && CustomControl.nameListContains(newRow, 'has-children')) {
+                CustomControl.nameListAdd(CustomControl.getByName(newRow.parentElement, 'ddl-children'), 'hidden');
+                CustomControl.nameListRemove(newRow, 'expanded');
+                newRow.setAttribute('aria-expanded', 'false');
+            }
+
+            if (state && state.selected && CustomControl.nameListContains(newRow, 'ddl-option')) {
+                CustomControl.nameListAdd(newRow, 'ddl-selected');
+            }
+        });
+
+        CustomControl.recalculateNodeStates(containerId, newNode);
+    },
+
+    /**
+     * Remove a rendered row; its parent is rendered as a leaf once its last child is gone, otherwise recalculated.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     */
+    removeItemRow: function (containerId, row) {
+        const ownerParentElement = CustomControl.getOwnerParentElement(row);
+        CustomControl.dropItemNode(containerId, CustomControl.getRowNodeElement(row));
+        if (!ownerParentElement) return;
+
+        const ownerLabel = CustomControl.getByName(ownerParentElement, 'ddl-parent-label');
+        if (CustomControl.getChildRows(ownerParentElement).length === 0) {
+            CustomControl.replaceItemRow(containerId, ownerLabel);
+        } else {
+            CustomControl.recalculateNodeStates(containerId, ownerParentElement);
+        }
+    },
+
+    /**
+     * Recalculate the parent checkboxes inside a node (deepest first) and every ancestor above it.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} nodeElement - ddl-parent or ddl-child element
+     */
+    recalculateNodeStates: function (containerId, nodeElement) {
+        const cascade = CustomControl.getCascade(containerId);
+        if (!CustomControl.cascadesUp(cascade)) return;
+
+        const parentElements = CustomControl.getAllByName(nodeElement, 'ddl-parent');
+        if (CustomControl.nameListContains(nodeElement, 'ddl-parent')) {
+            parentElements.unshift(nodeElement);
+        }
+        parentElements.reverse().forEach(parentElement => {
+            CustomControl.recalculateParentState(parentElement, false, cascade);
+        });
+
+        CustomControl.updateAncestorStates(CustomControl.getNodeRows(nodeElement)[0], false, cascade);
+    },
+
+    /**
+     * Bring the rest of the dropdown up to date after a data mutation: the virtual model is rebuilt, an active search is
+     * applied to the new rows and the header (summary, navigation icon, selection limit) is refreshed.
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    refreshAfterDataChange: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+
+        if (instance.virtual) {
+            CustomControl.rebuildVirtualModel(containerId);
+        } else {
+            const searchBox = CustomControl.getByName(CustomControl.getDropdownWrapper(containerId), 'ddl-search');
+            if (searchBox && searchBox.value.trim() !== '' && !instance.settings.remoteSearch) {
+                CustomControl.handleSearch(containerId, searchBox.value.trim());
+            }
+        }
+
+        CustomControl.updateDropdownHeader(containerId);
+    },
+
+    /**
+     ** Field mapping.
+     * Rows are rendered from items shaped {id, name, children, disabled}. fieldMap reads those fields from other keys (or
+     * accessor functions) and dataFormat: 'flat' builds the tree from one list linked by parentId. Mapped data is turned into
+     * nodes of that shape; results, getItem(), searchFields, validators and loadChildren still receive the original objects.
+     */
+
+    /**
+     * Fields of fieldMap and the key each one reads by default.
+     */
+    defaultFieldMap: { id: 'id', label: 'name', children: 'children', parentId: 'parentId', disabled: 'disabled' },
+
+    /**
+     * Accepted dataFormat values.
+     */
+    dataFormats: ['tree', 'flat'],
+
+    /**
+     * Nodes built by mapItem() → the original item they were read from.
+     */
+    nodeSources: new WeakMap(),
+
+    /**
+     ** normalizeFieldMap(): Validates the fieldMap option (every field is a key or an accessor function)
+     * @param {Object} fieldMap - fieldMap option
+     * @returns {Object|null} Valid fields only, or null when there is no fieldMap
+     */
+    normalizeFieldMap: function (fieldMap) {
+        if (fieldMap === undefined || fieldMap === null) return null;
+        if (typeof fieldMap !== 'object' || Array.isArray(fieldMap)) {
+            console.warn(`[CustomControl] 'fieldMap' must be an object, received: ${Array.isArray(fieldMap) ? 'array' : typeof fieldMap}. Ignoring it.`);
+            return null;
+        }
+
+        const normalized = {};
+        Object.keys(fieldMap).forEach(field => {
+            const key = fieldMap[field];
+            if (!Object.prototype.hasOwnProperty.call(CustomControl.defaultFieldMap, field)) {
+                console.warn(`[CustomControl] Unknown fieldMap field '${field}'. Use one of ${Object.keys(CustomControl.defaultFieldMap).join(', ')}.`);
+            } else if ((typeof key === 'string' && key !== '') || typeof key === 'function') {
+                normalized[field] = key;
+            } else if (key !== undefined) {
+                console.warn(`[CustomControl] 'fieldMap.${field}' must be a key or a function, received: ${typeof key}. Using '${CustomControl.defaultFieldMap[field]}'.`);
+            }
+        });
+        return normalized;
+    },
+
+    /**
+     * Read a field of an original item through a fieldMap.
+     * @param {Object|null} fieldMap - Normalized fieldMap (null reads the default keys)
+     * @param {Object} item - Original data item
+     * @param {string} field - id, label, children, parentId or disabled
+     * @returns {*} Field value
+     */
+    readField: function (fieldMap, item, field) {
+        const key = fieldMap && fieldMap[field] !== undefined ? fieldMap[field] : CustomControl.defaultFieldMap[field];
+        return typeof key === 'function' ? key(item) : item[key];
+    },
+
+    /**
+     * Name of a field in messages and validation paths (the mapped key, or the field itself for accessor functions).
+     * @param {Object|null} fieldMap - Normalized fieldMap
+     * @param {string} field - id, label, children, parentId or disabled
+     * @returns {string} Field name
+     */
+    getFieldName: function (fieldMap, field) {
+        const key = fieldMap && fieldMap[field] !== undefined ? fieldMap[field] : CustomControl.defaultFieldMap[field];
+        return typeof key === 'function' ? field : key;
+    },
+
+    /**
+     * Check whether a parentId value marks a top level item of a flat list (undefined, null or '').
+     * @param {*} parentId - parentId value
+     * @returns {boolean} True for top level items
+     */
+    isTopLevelParentId: function (parentId) {
+        return parentId === undefined || parentId === null || parentId === '';
+    },
+
+    /**
+     * Check whether the data of an instance goes through mapItem() (fieldMap or flat dataFormat); otherwise the original
+     * items are rendered as they are.
+     * @param {Object} settings - Instance settings
+     * @returns {boolean} True for mapped data
+     */
+    isMappedData: function (settings) {
+        return settings.fieldMap !== null || settings.dataFormat === 'flat';
+    },
+
+    /**
+     ** mapData(): Turns incoming items (data, loadChildren and remoteSearch results, addItems) into renderable nodes
+     * Flat lists are linked into a tree; items whose parentId is the given parent (or empty) are the returned top level,
+     * and items whose parent is missing are kept at the top level too (validateData() reports them as orphans).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Array} items - Original items
+     * @param {string|number|null} [parentId=null] - ID of the parent the items are placed under
+     * @returns {Array} Nodes (the items themselves when the data isn't mapped)
+     */
+    mapData: function (containerId, items, parentId = null) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || !Array.isArray(items) || !CustomControl.isMappedData(instance.settings)) return items;
+
+        if (instance.settings.dataFormat !== 'flat') {
+            return items.map(item => CustomControl.mapItem(containerId, item, 'tree'));
+        }
+
+        const fieldMap = instance.settings.fieldMap;
+        const nodes = items.map(item => CustomControl.mapItem(containerId, item, 'none'));
+        const byId = new Map();
+        nodes.forEach(node => {
+            if (node && typeof node === 'object' && !byId.has(String(node.id))) byId.set(String(node.id), node);
+        });
+
+        const roots = [];
+        nodes.forEach((node, index) => {
+            if (!node || typeof node !== 'object') return;
+            const nodeParentId = CustomControl.readField(fieldMap, items[index], 'parentId');
+            const isTopLevel = CustomControl.isTopLevelParentId(nodeParentId)
+                || (parentId !== null && String(nodeParentId) === String(parentId));
+            const parent = isTopLevel ? null : byId.get(String(nodeParentId));
+
+            // Items that loop through parentId are never reached from the top level, so they are left out
+            if (parent) {
+                (parent.children || (parent.children = [])).push(node);
+            } else {
+                roots.push(node);
+            }
+        });
+        return roots;
+    },
+
+    /**
+     ** mapItem(): Reads the fields of an original item into its node (mapping an item again refreshes the same node in place)
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} item - Original item
+     * @param {string} childrenMode - 'tree' maps the nested children, 'none' drops them (flat lists link them afterwards),
+     *        'keep' leaves the current children of the node alone
+     * @returns {Object} Node {id, name, children?, hasChildren?, disabled?}
+     */
+    mapItem: function (containerId, item, childrenMode) {
+        if (!item || typeof item !== 'object') return item;
+
+        const instance = CustomControl.registry[containerId];
+        const fieldMap = instance.settings.fieldMap;
+        const node = instance.mappedNodes.get(item) || {};
+        instance.mappedNodes.set(item, node);
+        CustomControl.nodeSources.set(node, item);
+
+        node.id = CustomControl.readField(fieldMap, item, 'id');
+        node.name = CustomControl.readField(fieldMap, item, 'label');
+
+        if (childrenMode !== 'keep') {
+            const children = childrenMode === 'tree' ? CustomControl.readField(fieldMap, item, 'children') : null;
+            if (Array.isArray(children)) {
+                node.children = children.map(child => CustomControl.mapItem(containerId, child, 'tree'));
+            } else {
+                delete node.children;
+            }
+        }
+
+        if (item.hasChildren === true) {
+            node.hasChildren = true;
+        } else {
+            delete node.hasChildren;
+        }
+
+        if (CustomControl.readField(fieldMap, item, 'disabled')) {
+            node.disabled = true;
+        } else {
+            delete node.disabled;
+        }
+        return node;
+    },
+
+    /**
+     * Get the original object behind a data item, node or rendering copy (what results and callbacks hand out).
+     * @param {Object} item - Data item, node or copy
+     * @returns {Object} Original item
+     */
+    getOriginalItem: function (item) {
+        const node = CustomControl.getSourceItem(item);
+        return CustomControl.nodeSources.get(node) || node;
+    },
+
+    /**
+     * Get the node an instance built from an original item (the item itself when the data isn't mapped).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} item - Original item
+     * @returns {Object} Node
+     */
+    getMappedNode: function (containerId, item) {
+        const instance = CustomControl.registry[containerId];
+        return (instance && instance.mappedNodes.get(item)) || item;
+    },
+
+    /**
+     ** Data validation.
+     * Every data set rendered as a whole (initialize, setData, dataSource) is checked first. Issues are reported through
+     * onDataError / "ddl-dataError"; errors stop the rendering in strict mode, and data that can't be rendered at all
+     * (not an array, items that aren't objects, cycles) is never rendered.
+     */
+
+    /**
+     * Issue codes that make data impossible to render, in strict mode or not.
+     */
+    unrenderableDataIssues: ['invalidData', 'invalidItem', 'cycle'],
+
+    /**
+     * Check data without rendering it, as the dropdown reads it (options take the fieldMap and dataFormat of the dropdown).
+     * Errors: invalidData (not an array), invalidItem (not an object), missingId, invalidId (not a string or finite number),
+     * missingName, invalidName, invalidChildren (not an array), duplicateSiblingId (same ID twice under one parent, the rows
+     * would collide), cycle (an item nested in itself, or its own ancestor through parentId) and orphan (flat data: parentId
+     * matches no item; the item is shown at the top level). Warnings: duplicateId (same ID under different parents, lookups
+     * by ID find the first one).
+     * This method is considered as API for the user to check data before passing it to a dropdown.
+     * @param {Array} data - Hierarchical JSON data [{id, name, children:[]}], or a flat list [{id, name, parentId}]
+     * @param {Object} [options] - { fieldMap, dataFormat } as given to initialize()
+     * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>}} Report; every issue is {code, message, path, id?}
+     *          (plus parentId for orphans) where path locates the item (e.g. "[0].children[2]")
+     */
+    validateData: function (data, options = {}) {
+        const report = { valid: true, errors: [], warnings: [] };
+        const addIssue = function (list, code, path, message, id, extra) {
+            const issue = { code: code, message: message, path: path };
+            if (id !== undefined) issue.id = id;
+            list.push(Object.assign(issue, extra));
+        };
+
+        if (!Array.isArray(data)) {
+            addIssue(report.errors, 'invalidData', '', `Data must be an array, received: ${data === null ? 'null' : typeof data}.`);
+            report.valid = false;
+            return report;
+        }
+
+        const fieldMap = (options && options.fieldMap) || null;
+        const read = (item, field) => CustomControl.readField(fieldMap, item, field);
+        const fieldName = field => CustomControl.getFieldName(fieldMap, field);
+        const isValidValue = value => (typeof value === 'string' && value.trim() !== '') || (typeof value === 'number' && Number.isFinite(value));
+        const firstPaths = new Map(); // String(id) → path of its first item
+        const ancestors = new Set();
+
+        // Checks shared by both formats: false for non-objects, otherwise the ID key (null when the ID is unusable)
+        const checkItem = function (item, path, siblingPaths) {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                addIssue(report.errors, 'invalidItem', path, `Item at ${path} must be an object, received: ${item === null ? 'null' : Array.isArray(item) ? 'array' : typeof item}.`);
+                return false;
+            }
+
+            const id = read(item, 'id');
+            let key = null;
+            if (id === undefined || id === null) {
+                addIssue(report.errors, 'missingId', path, `Item at ${path} has no ${fieldName('id')}.`);
+            } else if (!isValidValue(id)) {
+                addIssue(report.errors, 'invalidId', path, `Item at ${path} has an unsupported ${fieldName('id')}: ${typeof id} (${JSON.stringify(id)}). Use a string or a number.`, id);
+            } else {
+                key = String(id);
+                if (siblingPaths.has(key)) {
+                    addIssue(report.errors, 'duplicateSiblingId', path, `ID '${key}' at ${path} is already used by its sibling at ${siblingPaths.get(key)}.`, id);
+                } else if (firstPaths.has(key)) {
+                    addIssue(report.warnings, 'duplicateId', path, `ID '${key}' at ${path} is already used at ${firstPaths.get(key)}; lookups by ID find the first one.`, id);
+                }
+                if (!siblingPaths.has(key)) siblingPaths.set(key, path);
+                if (!firstPaths.has(key)) firstPaths.set(key, path);
+            }
+
+            const name = read(item, 'label');
+            if (name === undefined || name === null) {
+                addIssue(report.errors, 'missingName', path, `Item at ${path} has no ${fieldName('label')}.`, id);
+            } else if (typeof name !== 'string' && !(typeof name === 'number' && Number.isFinite(name))) {
+                addIssue(report.errors, 'invalidName', path, `Item at ${path} has an unsupported ${fieldName('label')}: ${typeof name}. Use a string.`, id);
+            }
+            return key;
+        };
+
+        const visitList = function (items, listPath) {
+            const siblingPaths = new Map();
+
+            items.forEach((item, index) => {
+                const path = `${listPath}[${index}]`;
+                if (item && typeof item === 'object' && ancestors.has(item)) {
+                    addIssue(report.errors, 'cycle', path, `Item at ${path} is nested in itself.`, read(item, 'id'));
+                    return;
+                }
+                if (checkItem(item, path, siblingPaths) === false) return;
+
+                const children = read(item, 'children');
+                if (children !== undefined && children !== null) {
+                    if (!Array.isArray(children)) {
+                        addIssue(report.errors, 'invalidChildren', path, `${fieldName('children')} of the item at ${path} must be an array, received: ${typeof children}.`, read(item, 'id'));
+                    } else {
+                        ancestors.add(item);
+                        visitList(children, `${path}.${fieldName('children')}`);
+                        ancestors.delete(item);
+                    }
+                }
+            });
+        };
+
+        const visitFlatList = function () {
+            const siblingPaths = new Map(); // parent key (null for the top level) → sibling paths by ID key
+            const parentKeys = new Map(); // ID key → parent key, for items placed under a parent
+            const firstIds = new Map(); // ID key → id of its first item
+            const linked = []; // items placed under a parent: {path, id, parentId}
+
+            data.forEach((item, index) => {
+                const path = `[${index}]`;
+                const parentId = item && typeof item === 'object' && !Array.isArray(item) ? read(item, 'parentId') : undefined;
+                const parentKey = CustomControl.isTopLevelParentId(parentId) ? null : String(parentId);
+                if (!siblingPaths.has(parentKey)) siblingPaths.set(parentKey, new Map());
+
+                const key = checkItem(item, path, siblingPaths.get(parentKey));
+                if (key === false || parentKey === null) return;
+                linked.push({ path: path, id: read(item, 'id'), parentId: parentId });
+                if (key !== null && !firstIds.has(key)) {
+                    firstIds.set(key, read(item, 'id'));
+                    parentKeys.set(key, parentKey);
+                }
+            });
+
+            linked.forEach(entry => {
+                if (!firstPaths.has(String(entry.parentId))) {
+                    addIssue(report.errors, 'orphan', entry.path, `Item at ${entry.path} has ${fieldName('parentId')} '${entry.parentId}', but no item has that ID.`, entry.id, { parentId: entry.parentId });
+                }
+            });
+
+            // Follow parentId up from every item; a walk that comes back to its own trail closed a loop
+            const states = new Map(); // ID key → 'visiting' | 'done'
+            parentKeys.forEach((parentKey, startKey) => {
+                const trail = [];
+                let key = startKey;
+                while (key !== undefined && !states.has(key)) {
+                    states.set(key, 'visiting');
+                    trail.push(key);
+                    key = parentKeys.get(key);
+                }
+                if (key !== undefined && states.get(key) === 'visiting') {
+                    trail.slice(trail.indexOf(key)).forEach(cycleKey => {
+                        const path = firstPaths.get(cycleKey);
+                        addIssue(report.errors, 'cycle', path, `Item at ${path} is its own ancestor through ${fieldName('parentId')}.`, firstIds.get(cycleKey));
+                    });
+                }
+                trail.forEach(trailKey => states.set(trailKey, 'done'));
+            });
+        };
+
+        if (options && options.dataFormat === 'flat') {
+            visitFlatList();
+        } else {
+            visitList(data, '');
+        }
+
+        report.valid = report.errors.length === 0;
+        return report;
+    },
+
+    /**
+     ** checkRenderData(): Validates the data of an instance before rendering, decides whether it can be rendered and maps it
+     * (settings.data becomes the rendered nodes; rejected data is replaced by an empty list, so later addItems() calls start from it)
+     * @param {Object} settings - Instance settings
+     * @returns {{report: Object, render: boolean}} validateData() report and whether the data should be rendered
+     */
+    checkRenderData: function (settings) {
+        const report = CustomControl.validateData(settings.data, settings);
+        const isUnrenderable = report.errors.some(issue => CustomControl.unrenderableDataIssues.includes(issue.code));
+        const render = !isUnrenderable && (report.valid || !settings.strict);
+        settings.data = render ? CustomControl.mapData(settings.containerId, settings.data) : [];
+        return { report: report, render: render };
+    },
+
+    /**
+     ** reportDataIssues(): Emits the "dataError" event for a report with issues (warns in the console when nobody listens through onDataError)
+     * and shows the error row when the data was not rendered
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} report - validateData() report
+     * @param {boolean} rendered - Whether the data was rendered
+     */
+    reportDataIssues: function (containerId, report, rendered) {
+        if (!rendered) {
+            console.error(`[CustomControl] Data of '${containerId}' was not rendered: ${report.errors.map(issue => issue.message).join(' ')}`);
+            CustomControl.setPanelStatus(containerId, { type: 'error', text: 'البيانات غير صالحة' });
+        }
+        if (report.errors.length === 0 && report.warnings.length === 0) return;
+
+        const instance = CustomControl.registry[containerId];
+        if (rendered && !(instance && instance.callbacks.onDataError)) {
+            console.warn(`[CustomControl] Data of '${containerId}' has ${report.errors.length} error(s) and ${report.warnings.length} warning(s):`,
+                report.errors.concat(report.warnings).map(issue => issue.message));
+        }
+        CustomControl.emitEvent(containerId, 'dataError', Object.assign({ rendered: rendered }, report));
+    },
+
+    /**
+     * Handle single selection - clear previous selections and select clicked option.
+     * @param {HTMLElement} selectedElement - The clicked element to select
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    handleSingleSelection: function (selectedElement, containerId) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return;
+
+        // Clear all previous selections in this dropdown instance
+        const allOptions = CustomControl.getAllByName(dropdownContainer, 'ddl-option');
+        allOptions.forEach(option => {
+            CustomControl.nameListRemove(option, 'ddl-selected');
+        });
+
+        // Select the clicked option
+        CustomControl.nameListAdd(selectedElement, 'ddl-selected');
+
+        // Update dropdown header
+        CustomControl.updateDropdownHeader(containerId);
+
+        // Notify listeners about the new selection
+        CustomControl.notifySelectionChange(containerId, 'user');
+
+        // Close dropdown after selection
+        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
+        if (optionsContainer) {
+            CustomControl.closeDropdown(dropdownContainer, optionsContainer, true);
+        }
+    },
+
+    /**
+     * Get selected data from a dropdown by container ID.
+     * This method is considered as API for the user to get the selected data from the dropdown.
+     * @param {string} containerId - The specific dropdown container ID
+     * @param {string} [valueFormat] - Shape of selected (see formatDDLData()), defaults to the valueFormat option
+     * @returns {Object} Object containing selected data and metadata
+     *
+     * @example
+     * CustomControl.getDDLData("DDLcontainer0004", "leaves").selected; // ["101", "102", "301"]
+     */
+    getDDLData: function (containerId, valueFormat) {
+        const ddlData = CustomControl.readDDLData(containerId);
+        if (valueFormat !== undefined && !CustomControl.valueFormats.includes(valueFormat)) {
+            console.warn(`[CustomControl] valueFormat must be one of ${CustomControl.valueFormats.join(', ')}, received: ${JSON.stringify(valueFormat)}. Returning 'tree'.`);
+            return ddlData;
+        }
+        return CustomControl.formatDDLData(containerId, ddlData, valueFormat);
+    },
+
+    /**
+     ** readDDLData(): Reads the selection in the "tree" format, the shape every internal consumer works with
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {Object} Object containing selected data and metadata
+     */
+    readDDLData: function (containerId) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) {
+            console.warn(`[CustomControl] Container with ID '${containerId}' not found.`);
+            return { selected: [], hasData: false, selectionType: null };
+        }
+
+        // Virtual scroll: selection lives in the model (most rows are not in the DOM)
+        const virtualModel = CustomControl.getVirtualModel(containerId);
+        if (virtualModel) {
+            return CustomControl.getVirtualDDLData(containerId, virtualModel);
+        }
+
+        // Determine dropdown configuration
+        const checkboxElement = CustomControl.getByName(dropdownContainer, 'ddl-checkbox');
+        const childrenElement = CustomControl.getByName(dropdownContainer, 'ddl-children');
+        const hasMultiSelect = !!checkboxElement;
+        const hasTreeView = !!childrenElement;
+
+        let selectedData = [];
+        let selectionType = 'single';
+
+        if (hasMultiSelect) {
+            selectionType = hasTreeView ? 'multi-tree' : 'multi-flat';
+            
+            if (hasTreeView) {
+                // Multi-select tree view: get detailed parent-child relationships
+                selectedData = CustomControl.getTreeViewSelectedData(containerId, dropdownContainer);
+            } else {
+                // Multi-select flat view: get selected parent items
+                selectedData = CustomControl.getFlatSelectedData(containerId, dropdownContainer);
+            }
+        } else {
+            // Single selection: get the selected item
+            selectionType = hasTreeView ? 'single-tree' : 'single-flat';
+            const selectedItem = CustomControl.getSingleSelectedData(containerId, dropdownContainer);
+            if (selectedItem) {
+                selectedData = [selectedItem];
+            }
+        }
+
+        return {
+            selected: selectedData,
+            hasData: selectedData.length > 0,
+            selectionType: selectionType,
+            containerId: containerId
+        };
+    },
+
+    /**
+     * Supported valueFormat values (see formatDDLData()).
+     */
+    valueFormats: ['tree', 'leaves', 'checked', 'compressed', 'paths'],
+
+    /**
+     ** formatDDLData(): Converts a readDDLData() result into a valueFormat (only selected changes)
+     * - tree: nested items as read from the dropdown (default)
+     * - leaves: IDs of the deepest selected items. A checked lazy parent whose children are not loaded yet (hasChildren) is
+     *   the deepest item there is, so it is listed itself; setDDLData() checks it again and its children follow it once loaded
+     * - checked: IDs of every checked item, parents included
+     * - compressed: IDs where a fully selected parent replaces its descendants
+     * - paths: [{id, path}] for the deepest selected items, path being the IDs from the top level down to the item
+     * Flat and single results have no nesting, so the ID formats all give the selected IDs.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} ddlData - Result of readDDLData()
+     * @param {string} [valueFormat] - Target format, defaults to the valueFormat option
+     * @returns {Object} ddlData with selected in the requested shape
+     */
+    formatDDLData: function (containerId, ddlData, valueFormat) {
+        const instance = CustomControl.registry[containerId];
+        const format = valueFormat || (instance ? instance.settings.valueFormat : 'tree');
+        if (format === 'tree' || !ddlData.selectionType) return ddlData;
+
+        let selected = [];
+        if (ddlData.selectionType !== 'multi-tree') {
+            selected = ddlData.selected.map(item => format === 'paths'
+                ? { id: item.id, path: item.path ? item.path.map(step => step.id) : [item.id] }
+                : item.id);
+        } else if (format === 'compressed') {
+            // Whether a parent is fully selected depends on the children that are not selected, so read them from the rows
+            selected = CustomControl.getCompressedIds(containerId);
+        } else {
+            const collect = function (items, path) {
+                items.forEach(item => {
+                    const itemPath = path.concat(item.id);
+                    const isDeepest = !item.children || item.children.length === 0;
+                    const isIncluded = format === 'checked'
+                        ? item.state === undefined || item.state === 'checked'
+                        : isDeepest;
+                    if (isIncluded) {
+                        selected.push(format === 'paths' ? { id: item.id, path: itemPath } : item.id);
+                    }
+                    if (item.children) collect(item.children, itemPath);
+                });
+            };
+            collect(ddlData.selected, []);
+        }
+
+        return Object.assign({}, ddlData, { selected: selected });
+    },
+
+    /**
+     * Get the "compressed" IDs of a multi-select tree: a checked parent whose descendants are all checked stands for them.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {Array<string>} Selected IDs
+     */
+    getCompressedIds: function (containerId) {
+        const ids = [];
+        const virtualModel = CustomControl.getVirtualModel(containerId);
+        if (virtualModel) {
+            const isFull = node => node.checked && (!node.children || node.children.every(isFull));
+            const visit = function (node) {
+                if (isFull(node)) {
+                    ids.push(node.item.id);
+                } else if (node.children) {
+                    node.children.forEach(visit);
+                }
+            };
+            virtualModel.roots.forEach(visit);
+            return ids;
+        }
+
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return ids;
+
+        const isParentRow = row => CustomControl.nameListContains(row, 'ddl-parent-label');
+        const isFull = function (row) {
+            const checkbox = CustomControl.getRowCheckbox(row);
+            if (!checkbox || !checkbox.checked) return false;
+            return !isParentRow(row) || CustomControl.getChildRows(row.parentElement).every(isFull);
+        };
+        const visit = function (row) {
+            if (isFull(row)) {
+                ids.push(CustomControl.createResultEntry(containerId, row).id);
+            } else if (isParentRow(row)) {
+                CustomControl.getChildRows(row.parentElement).forEach(visit);
+            }
+        };
+
+        CustomControl.getTopLevelRows(dropdownContainer).forEach(visit);
+        return ids;
+    },
+
+    /**
+     * Turn a value given to setDDLData() in one of the valueFormat shapes into the IDs to check.
+     * Tree items contribute their checked parents and leaves (a parent whose state comes from its children is rebuilt from them).
+     * @param {*} selections - ID array, [{id, path}] array or a getDDLData() result
+     * @returns {Array<string>|null} IDs, or null for the {parents, children} format
+     */
+    toSelectionIds: function (selections) {
+        const items = Array.isArray(selections)
+            ? selections
+            : (selections && Array.isArray(selections.selected) ? selections.selected : null);
+        if (!items) return null;
+
+        const ids = [];
+        const collect = function (list) {
+            list.forEach(item => {
+                if (item === null || item === undefined) return;
+                if (typeof item !== 'object') {
+                    ids.push(String(item));
+                    return;
+                }
+
+                const hasChildren = Array.isArray(item.children) && item.children.length > 0;
+                if (item.state === undefined ? !hasChildren : item.state === 'checked') {
+                    ids.push(String(item.id));
+                }
+                if (hasChildren) collect(item.children);
+            });
+        };
+        collect(items);
+        return ids;
+    },
+
+    /**
+     * Check whether a listed parent should check its descendants when a value is applied:
+     * always for compressed values, otherwise only when none of its descendants is listed and parents follow their children.
+     * @param {Array<string>} descendantIds - IDs of the parent's descendants
+     * @param {Set<string>} idSet - Listed IDs
+     * @param {boolean} isCompressed - Whether the value is in the compressed format
+     * @param {string} cascade - Cascade policy
+     * @returns {boolean} True when the descendants get checked too
+     */
+    shouldExpandSelectedParent: function (descendantIds, idSet, isCompressed, cascade) {
+        if (isCompressed) return true;
+        return CustomControl.cascadesUp(cascade) && !descendantIds.some(id => idSet.has(id));
+    },
+
+    /**
+     ** applyTreeSelectionIds(): Checks exactly the listed rows of a multi-select tree (plus the descendants of expanded parents), then recalculates the parents
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} dropdownContainer - Dropdown container element
+     * @param {Array<string>} ids - IDs to check
+     * @param {boolean} isCompressed - Whether the value is in the compressed format
+     */
+    applyTreeSelectionIds: function (containerId, dropdownContainer, ids, isCompressed) {
+        const idSet = new Set(ids);
+        const cascade = CustomControl.getCascade(containerId);
+        const rows = Array.from(dropdownContainer.querySelectorAll('[name~="ddl-parent-label"], [name~="ddl-child"]'));
+        const checkedRows = new Set();
+
+        rows.forEach(row => {
+            if (!idSet.has(row.dataset.id)) return;
+            checkedRows.add(row);
+            if (!CustomControl.nameListContains(row, 'ddl-parent-label')) return;
+
+            const descendants = CustomControl.getDescendantRows(row.parentElement);
+            if (CustomControl.shouldExpandSelectedParent(descendants.map(descendant => descendant.dataset.id), idSet, isCompressed, cascade)) {
+                descendants.forEach(descendant => checkedRows.add(descendant));
+            }
+        });
+
+        rows.forEach(row => {
+            const checkbox = CustomControl.getRowCheckbox(row);
+            if (!checkbox) return;
+            checkbox.checked = checkedRows.has(row);
+            checkbox.indeterminate = false;
+            CustomControl.updateCheckboxHighlight(row, checkbox.checked);
+        });
+
+        const searchBox = CustomControl.getByName(dropdownContainer, 'ddl-search');
+        CustomControl.recalculateAllParentStates(containerId, !!searchBox && searchBox.value.trim() !== '');
+    },
+
+    /**
+     * Set selected data for a dropdown by container ID.
+     * Besides {parents, children}, every valueFormat shape is accepted (ID arrays, [{id, path}] or a getDDLData() result),
+     * so a value read with getDDLData() can be given back as it is.
+     * @param {string} containerId - The specific dropdown container ID
+     * @param {Object|Array} selections - Object containing parents and children arrays, or a value in a valueFormat shape
+     * @param {Array<string|number>} [selections.parents] - Array of parent IDs to select
+     * @param {Array<string|number>} [selections.children] - Array of child IDs to select
+     * @param {string} [valueFormat] - Format of an ID array (only "compressed" changes how it is read), defaults to the valueFormat option
+     * @returns {boolean} True if selections were set successfully, false otherwise
+     * 
+     * @example
+     * // Multi-select tree view
+     * CustomControl.setDDLData("DDLcontainer0004", {
+     *   parents: ["1", "3"],
+     *   children: ["301", "302", "501"]
+     * });
+     * 
+     * // Single-select (only first parent or first child will be selected)
+     * CustomControl.setDDLData("DDLcontainer0001", {
+     *   parents: ["3"]
+     * });
+     *
+     * // Round trip in another format
+     * const ids = CustomControl.getDDLData("DDLcontainer0004", "compressed").selected; // ["1", "301"]
+     * CustomControl.setDDLData("DDLcontainer0004", ids, "compressed");
+     */
+    setDDLData: function (containerId, selections = {}, valueFormat) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) {
+            console.warn(`[CustomControl] Container with ID '${containerId}' not found.`);
+            return false;
+        }
+
+        // Determine dropdown configuration
+        const checkboxElement = CustomControl.getByName(dropdownContainer, 'ddl-checkbox');
+        const childrenElement = CustomControl.getByName(dropdownContainer, 'ddl-children');
+        const hasMultiSelect = !!checkboxElement;
+        const hasTreeView = !!childrenElement;
+
+        // valueFormat shapes become a list of IDs to check; {parents, children} keeps its own handling
+        const instance = CustomControl.registry[containerId];
+        const isCompressed = (valueFormat || (instance ? instance.settings.valueFormat : 'tree')) === 'compressed';
+        const selectionIds = CustomControl.toSelectionIds(selections);
+
+        // Convert all IDs to strings for consistent comparison
+        const parentIds = selectionIds || (selections.parents || []).map(id => String(id));
+        const childIds = selectionIds ? [] : (selections.children || []).map(id => String(id));
+
+        // Apply all selections as one batch so a single change event is emitted
+        const virtualModel = CustomControl.getVirtualModel(containerId);
+        CustomControl.runBatch(containerId, 'api', function () {
+            if (virtualModel) {
+                if (selectionIds && instance.settings.flags.hasMultiSelect) {
+                    CustomControl.setVirtualSelectionIds(virtualModel, selectionIds, isCompressed);
+                } else {
+                    CustomControl.setVirtualSelections(containerId, virtualModel, parentIds, childIds);
+                }
+                CustomControl.renderVirtualWindow(containerId);
+            } else if (hasMultiSelect) {
+                // Multi-select mode: set checkboxes
+                if (hasTreeView && selectionIds) {
+                    CustomControl.applyTreeSelectionIds(containerId, dropdownContainer, selectionIds, isCompressed);
+                } else if (hasTreeView) {
+                    CustomControl.setTreeViewMultiSelections(dropdownContainer, parentIds, childIds);
+                } else {
+                    CustomControl.setFlatMultiSelections(dropdownContainer, parentIds);
+                }
+            } else {
+                // Single-select mode: set single selection (prefer parent over child)
+                const targetId = parentIds[0] || childIds[0];
+                CustomControl.setSingleSelection(dropdownContainer, targetId, hasTreeView);
+            }
+
+            // Update dropdown header
+            CustomControl.updateDropdownHeader(containerId);
+        });
+
+        return true;
+    },
+
+    /**
+     ** getSelectionIds(): Reads the selected IDs from the DOM in the {parents, children} format setDDLData() accepts
+     * Checked leaves are listed in children; a checked parent is listed in parents only when it has no rendered children,
+     * otherwise its state is derived from its leaves (so a partial result set doesn't widen the selection).
+     * @param {HTMLElement} dropdownContainer - Dropdown container element
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * @param {string} [cascade='all'] - Cascade policy
+     * @returns {{parents: Array<string>, children: Array<string>}} Selected IDs
+     */
+    getSelectionIds: function (dropdownContainer, hasMultiSelect, cascade = 'all') {
+        const selections = { parents: [], children: [] };
+
+        if (hasMultiSelect) {
+            CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox')
+                .filter(checkbox => checkbox.checked)
+                .forEach(checkbox => {
+                    const row = checkbox.closest('[name~="ddl-parent-label"], [name~="ddl-child"]');
+                    if (!row) return;
+                    if (CustomControl.nameListContains(row, 'ddl-parent-label')) {
+                        // A checked parent stands for its children, unless it is a value of its own (cascade 'independent')
+                        if (CustomControl.getChildRows(row.parentElement).length === 0 || !CustomControl.cascadesDown(cascade)) {
+                            selections.parents.push(row.dataset.id);
+                        }
+                    } else {
+                        selections.children.push(row.dataset.id);
+                    }
+                });
+            return selections;
+        }
+
+        const selectedRow = dropdownContainer.querySelector('[name~="ddl-option"][name~="ddl-selected"]');
+        if (selectedRow) {
+            const bucket = CustomControl.nameListContains(selectedRow, 'ddl-parent-label') ? selections.parents : selections.children;
+            bucket.push(selectedRow.dataset.id);
+        }
+        return selections;
+    },
+
+    /**
+     * Update navigation icon visibility based on multi-select selections.
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    updateMultiNavIconVisibility: function (containerId) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return;
+
+        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
+        const navIcon = CustomControl.getByName(optionsContainer, 'ddl-multi-nav-icon');
+        if (!navIcon) return;
+
+        // Check if this is multi-select mode (virtual rows may not be rendered, so ask the settings)
+        const checkboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox');
+        const hasMultiSelect = CustomControl.getVirtualModel(containerId)
+            ? CustomControl.registry[containerId].settings.flags.hasMultiSelect
+            : checkboxes.length > 0;
+        
+        // Check if dropdown is open
+        const isDropdownOpen = CustomControl.nameListContains(dropdownContainer, 'open');
+        
+        if (!hasMultiSelect || !isDropdownOpen) {
+            CustomControl.nameListRemove(navIcon, 'ddl-visible');
+            return;
+        }
+
+        // Count selections
+        const selectedCount = CustomControl.getMultiSelectSelectionCount(containerId);
+        
+        // Show icon if there are multiple selections (2 or more) AND dropdown is open
+        if (selectedCount >= 2) {
+            CustomControl.nameListAdd(navIcon, 'ddl-visible');
+        } else {
+            CustomControl.nameListRemove(navIcon, 'ddl-visible');
+        }
+    },
+
+    /**
+     * Get the count of selected items in multi-select mode.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {number} Number of selected items
+     */
+    getMultiSelectSelectionCount: function (containerId) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return 0;
+
+        const virtualModel = CustomControl.getVirtualModel(containerId);
+        if (virtualModel) {
+            return CustomControl.getVirtualSelectionCount(virtualModel);
+        }
+
+        const checkboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox');
+        const checkedCheckboxes = checkboxes.filter(checkbox => checkbox.checked);
+        
+        return checkedCheckboxes.length;
+    },
+
+    /**
+     * Navigate to the next selected element in multi-select mode.
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    navigateToNextSelection: function (containerId) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return;
+
+        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
+        if (!optionsContainer) return;
+
+        if (CustomControl.getVirtualModel(containerId)) {
+            CustomControl.navigateToNextVirtualSelection(containerId);
+            return;
+        }
+
+        // Check if this is tree view mode
+        const hasTreeView = CustomControl.getByName(dropdownContainer, 'ddl-children') !== null;
+        
+        if (hasTreeView) {
+            CustomControl.navigateToNextTreeViewSelection(containerId, optionsContainer);
+        } else {
+            CustomControl.navigateToNextFlatSelection(containerId, optionsContainer);
+        }
+    },
+
+    /**
+     * Navigate to next selection in tree view mode (optimized for parents with selected children).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} optionsContainer - Options container element
+     */
+    navigateToNextTreeViewSelection: function (containerId, optionsContainer) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return;
+
+        // Get parents with selected children (optimization for tree view)
+        const parentsWithSelectedChildren = CustomControl.getParentsWithSelectedChildren(containerId);
+        
+        if (parentsWithSelectedChildren.length === 0) return;
+
+        // Get current scroll position
+        const currentScrollTop = optionsContainer.scrollTop;
+        const optionsRect = optionsContainer.getBoundingClientRect();
+        
+        // Find the next selected parent below current scroll position
+        let nextTarget = null;
+        
+        for (let parent of parentsWithSelectedChildren) {
+            const parentRect = parent.getBoundingClientRect();
+            // Check if parent is below the current visible area
+            if (parentRect.top > optionsRect.bottom) {
+                nextTarget = parent;
+                break;
+            }
+        }
+        
+        // If no parent is below, wrap to the first one
+        if (!nextTarget && parentsWithSelectedChildren.length > 0) {
+            nextTarget = parentsWithSelectedChildren[0];
+        }
+        
+        if (nextTarget) {
+            CustomControl.scrollToElement(nextTarget);
+            CustomControl.highlightNavigationTarget(nextTarget);
+        }
+    },
+
+    /**
+     * Navigate to next selection in flat view mode.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} optionsContainer - Options container element
+     */
+    navigateToNextFlatSelection: function (containerId, optionsContainer) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return;
+
+        const checkedCheckboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox').filter(cb => cb.checked);
+        
+        if (checkedCheckboxes.length === 0) return;
+
+        // Get current scroll position
+        const optionsRect = optionsContainer.getBoundingClientRect();
+        
+        // Find the next selected element below current scroll position
+        let nextTarget = null;
+        
+        for (let checkbox of checkedCheckboxes) {
+            const targetElement = checkbox.closest('[name~="ddl-parent-label"]');
+            if (targetElement) {
+                const elementRect = targetElement.getBoundingClientRect();
+                // Check if element is below the current visible area
+                if (elementRect.top > optionsRect.bottom) {
+                    nextTarget = targetElement;
+                    break;
+                }
+            }
+        }
+        
+        // If no element is below, wrap to the first selected one
+        if (!nextTarget && checkedCheckboxes.length > 0) {
+            nextTarget = checkedCheckboxes[0].closest('[name~="ddl-parent-label"]');
+        }
+        
+        if (nextTarget) {
+            CustomControl.scrollToElement(nextTarget);
+            CustomControl.highlightNavigationTarget(nextTarget);
+        }
+    },
+
+    /**
+     * Get parents that have selected children (for tree view navigation optimization).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {Array} Array of parent elements with selected children
+     */
+    getParentsWithSelectedChildren: function (containerId) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return [];
+
+        const parentElements = CustomControl.getAllByName(dropdownContainer, 'ddl-parent');
+        const parentsWithSelectedChildren = [];
+        
+        parentElements.forEach(parentElement => {
+            const parentLabel = CustomControl.getByName(parentElement, 'ddl-parent-label');
+            if (!parentLabel) return;
+
+            // Check if parent (at any level) is selected OR has selected direct children
+            const parentCheckbox = CustomControl.getRowCheckbox(parentLabel);
+            const childCheckboxes = CustomControl.getChildRows(parentElement)
+                .map(row => CustomControl.getRowCheckbox(row))
+                .filter(cb => !!cb);
+            
+            const parentSelected = parentCheckbox && parentCheckbox.checked;
+            const hasSelectedChildren = childCheckboxes.some(cb => cb.checked);
+            
+            if (parentSelected || hasSelectedChildren) {
+                parentsWithSelectedChildren.push(parentLabel);
+            }
+        });
+        
+        return parentsWithSelectedChildren;
+    },
+
+    /**
+     * Scroll to a specific element smoothly.
+     * @param {HTMLElement} element - Element to scroll to
+     */
+    scrollToElement: function (element) {
+        if (!element) return;
+        
+        element.scrollIntoView({
+            behavior: 'smooth',
+            block: 'nearest',
+            inline: 'nearest'
+        });
+    },
+
+    /**
+     * Add visual highlighting to navigation target.
+     * @param {HTMLElement} element - Element to highlight
+     */
+    highlightNavigationTarget: function (element) {
+        if (!element) return;
+        
+        // Remove existing highlights
+        const allHighlighted = element.getRootNode().querySelectorAll('[name*="ddl-nav-highlight"]');
+        allHighlighted.forEach(el => {
+            CustomControl.nameListRemove(el, 'ddl-nav-highlight');
+        });
+        
+        // Add highlight to current target
+        CustomControl.nameListAdd(element, 'ddl-nav-highlight');
+        
+        // Remove highlight after 2 seconds
+        setTimeout(() => {
+            CustomControl.nameListRemove(element, 'ddl-nav-highlight');
+        }, 2000);
+    },
+
+    /**
+     * Update dropdown header to show selected items based on current selections.
+     * @param {string} containerId - The specific dropdown container ID
+     */
+    updateDropdownHeader: function (containerId) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return;
+
+        const header = CustomControl.getByName(dropdownContainer, 'ddl-header');
+        if (!header) return;
+
+        // Get selected data
+        const ddlData = CustomControl.readDDLData(containerId);
+        let displayText = "";
+
+        if (ddlData.hasData) {
+            if (ddlData.selectionType === 'multi-tree') {
+                // Tree view format: Parent ← child1, child2 (deeper levels: Country ← Region ← child1, child2)
+                displayText = ddlData.selected
+                    .map(item => CustomControl.formatTreeSelection(item, []))
+                    .join("\n");
+            } else if (ddlData.selectionType === 'multi-flat') {
+                // Flat multi-select format: option1, option2, option3
+                displayText = ddlData.selected.map(item => item.name).join(", ");
+            } else if (ddlData.selectionType === 'single-tree') {
+                // Single tree selection: Parent ← Child or just Parent (full path at any depth)
+                const item = ddlData.selected[0];
+                displayText = item.path.map(pathItem => pathItem.name).join(" ← ");
+            } else {
+                // Single flat selection: option1
+                displayText = ddlData.selected[0].name;
+            }
+        }
+
+        // Get the original placeholder from data attribute (stored during creation)
+        const originalPlaceholder = header.dataset.placeholder;
+        if (!originalPlaceholder) {
+            // Store original placeholder on first use
+            header.dataset.placeholder = header.innerText;
+        }
+
+        // Show selected items if any, otherwise show placeholder
+        if (displayText && displayText.trim() !== "") {
+            // Convert newlines to commas for better header display and ellipsis behavior
+            const headerText = displayText.replace(/\n/g, ', ');
+            header.innerText = headerText;
+            CustomControl.nameListAdd(header, 'has-selections');
+        } else {
+            header.innerText = header.dataset.placeholder;
+            CustomControl.nameListRemove(header, 'has-selections');
+        }
+        
+        // Update navigation icon visibility after header update
+        CustomControl.updateMultiNavIconVisibility(containerId);
+
+        // Every selection path ends here, so keep aria-checked / aria-selected in step
+        CustomControl.updateAriaStates(containerId);
+        CustomControl.applySelectionLimit(containerId);
+    },
+
+    /**
+     * Format one selected tree item for the header.
+     * Leaves selected under the same parent are grouped after the parent path: "Country ← Region ← leaf1, leaf2".
+     * @param {Object} item - Selected item from getTreeViewSelectedData()
+     * @param {Array<string>} trail - Names of the ancestors of this item
+     * @returns {string} Lines joined with "\n" (one per group)
+     */
+    formatTreeSelection: function (item, trail) {
+        if (!item.children || item.children.length === 0) {
+            return trail.concat(item.name).join(" ← ");
+        }
+
+        const itemTrail = trail.concat(item.name);
+        const leafNames = item.children
+            .filter(child => !child.children)
+            .map(child => child.name);
+        const lines = [];
+
+        if (leafNames.length > 0) {
+            lines.push(`${itemTrail.join(" ← ")} ← ${leafNames.join(", ")}`);
+        }
+        item.children
+            .filter(child => !!child.children)
+            .forEach(child => {
+                lines.push(CustomControl.formatTreeSelection(child, itemTrail));
+            });
+
+        return lines.join("\n");
+    },
+
+    /**
+     * Set selections for tree view multi-select dropdowns.
+     * @param {HTMLElement} dropdownContainer - Dropdown container element
+     * @param {Array<string>} parentIds - Array of parent IDs to select
+     * @param {Array<string>} childIds - Array of child IDs to select
+     */
+    setTreeViewMultiSelections: function (dropdownContainer, parentIds, childIds) {
+        // Clear all existing selections
+        const allCheckboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox');
+        allCheckboxes.forEach(checkbox => {
+            checkbox.checked = false;
+            checkbox.indeterminate = false;
+        });
+
+        // Set parent selections first (they cascade down), then child selections.
+        // With nested data an ID may belong to a parent at any level, so each list falls back to the other checkbox type.
+        parentIds.forEach(parentId => {
+            const parentCheckbox = dropdownContainer.querySelector(`[name*="parent-checkbox"]${CustomControl.dataSelector('data-parent-id', parentId)}`)
+                || dropdownContainer.querySelector(`[name*="child-checkbox"]${CustomControl.dataSelector('data-child-id', parentId)}`);
+            if (parentCheckbox) {
+                parentCheckbox.checked = true;
+                // Trigger change event to update parent-child relationships
+                parentCheckbox.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        });
+
+        childIds.forEach(childId => {
+            const childCheckbox = dropdownContainer.querySelector(`[name*="child-checkbox"]${CustomControl.dataSelector('data-child-id', childId)}`)
+                || dropdownContainer.querySelector(`[name*="parent-checkbox"]${CustomControl.dataSelector('data-parent-id', childId)}`);
+            if (childCheckbox) {
+                childCheckbox.checked = true;
+                // Trigger change event to update parent-child relationships
+                childCheckbox.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        });
+    },
+
+    /**
+     * Set selections for flat multi-select dropdowns.
+     * @param {HTMLElement} dropdownContainer - Dropdown container element
+     * @param {Array<string>} parentIds - Array of parent IDs to select (child IDs are ignored in flat mode)
+     */
+    setFlatMultiSelections: function (dropdownContainer, parentIds) {
+        // Clear all existing selections
+        const allCheckboxes = CustomControl.getAllByName(dropdownContainer, 'parent-checkbox');
+        allCheckboxes.forEach(checkbox => {
+            checkbox.checked = false;
+            // Update highlighting for parent element
+            const parentElement = checkbox.closest('[name~="ddl-parent-label"]');
+            if (parentElement) {
+                CustomControl.updateCheckboxHighlight(parentElement, false);
+            }
+        });
+
+        // Set selections based on parent IDs (only parent IDs are valid in flat mode)
+        parentIds.forEach(parentId => {
+            const parentCheckbox = dropdownContainer.querySelector(`[name*="parent-checkbox"]${CustomControl.dataSelector('data-parent-id', parentId)}`);
+            if (parentCheckbox) {
+                parentCheckbox.checked = true;
+                // Update highlighting for parent element
+                const parentElement = parentCheckbox.closest('[name~="ddl-parent-label"]');
+                if (parentElement) {
+                    CustomControl.updateCheckboxHighlight(parentElement, true);
+                }
+            }
+        });
+    },
+
+    /**
+     * Set selection for single-select dropdowns.
+     * @param {HTMLElement} dropdownContainer - Dropdown container element
+     * @param {string} targetId - ID to select
+     * @param {boolean} hasTreeView - Whether dropdown has tree view
+     */
+    setSingleSelection: function (dropdownContainer, targetId, hasTreeView) {
+        if (!targetId) return;
+
+        // Clear all existing selections
+        const allOptions = CustomControl.getAllByName(dropdownContainer, 'ddl-option');
+        allOptions.forEach(option => {
+            CustomControl.nameListRemove(option, 'ddl-selected');
+        });
+
+        // Try to find target element by ID
+        let targetElement = null;
+
+        // First try parent elements
+        const parentElements = dropdownContainer.querySelectorAll(`[name*="ddl-parent-label"]${CustomControl.dataSelector('data-id', targetId)}`);
+        if (parentElements.length > 0) {
+            targetElement = Array.from(parentElements).find(el => 
+                CustomControl.nameListContains(el, 'ddl-option')
+            );
+        }
+
+        // If not found in parents, try children
+        if (!targetElement) {
+            const childElements = dropdownContainer.querySelectorAll(`[name*="ddl-child"]${CustomControl.dataSelector('data-id', targetId)}`);
+            if (childElements.length > 0) {
+                targetElement = Array.from(childElements).find(el => 
+                    CustomControl.nameListContains(el, 'ddl-option')
+                );
+            }
+        }
+
+        // Set selection if target found
+        if (targetElement) {
+            CustomControl.nameListAdd(targetElement, 'ddl-selected');
+        } else {
+            console.warn(`[CustomControl] Could not find selectable element with ID '${targetId}' in single-select dropdown`);
+        }
+    },
+
+    /**
+     * Get the top level rows of a dropdown (ddl-parent-label elements directly under the options container).
+     * @param {HTMLElement} dropdownContainer - Dropdown container element
+     * @returns {HTMLElement[]} Top level rows
+     */
+    getTopLevelRows: function (dropdownContainer) {
+        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
+        if (!optionsContainer) return [];
+
+        return CustomControl.getAllByName(optionsContainer, 'ddl-parent')
+            .filter(parentElement => parentElement.parentElement === optionsContainer)
+            .map(parentElement => CustomControl.getByName(parentElement, 'ddl-parent-label'))
+            .filter(parentLabel => !!parentLabel);
+    },
+
+    /**
+     ** Get selected data for tree view multi-select dropdowns.
+     * The result keeps the tree shape, so every selected item carries its full path:
+     * a parent is included when it is checked / indeterminate or has selected descendants, with only those descendants as children.
+     * Parents also report their own checkbox state, which depends on the cascade option
+     * (e.g. with 'independent' a parent can be 'unchecked' while some of its children are selected).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} dropdownContainer - Dropdown container element
+     * @returns {Array} Array of selected parent objects {id, name, item, state, children} with their selected children (nested to any depth)
+     */
+    getTreeViewSelectedData: function (containerId, dropdownContainer) {
+        const collectSelected = function (row) {
+            const checkbox = CustomControl.getRowCheckbox(row);
+
+            if (CustomControl.nameListContains(row, 'ddl-parent-label')) {
+                const selectedChildren = CustomControl.getChildRows(row.parentElement)
+                    .map(collectSelected)
+                    .filter(child => child !== null);
+                const state = CustomControl.getCheckState(checkbox);
+
+                if (state !== 'unchecked' || selectedChildren.length > 0) {
+                    return Object.assign(CustomControl.createResultEntry(containerId, row), {
+                        state: state,
+                        children: selectedChildren
+                    });
+                }
+                return null;
+            }
+
+            return checkbox && checkbox.checked ? CustomControl.createResultEntry(containerId, row) : null;
+        };
+
+        return CustomControl.getTopLevelRows(dropdownContainer)
+            .map(collectSelected)
+            .filter(parent => parent !== null);
+    },
+
+    /**
+     * Get the state of a checkbox (or a virtual model node) as reported by getDDLData().
+     * @param {HTMLInputElement|Object|null} checkbox - Checkbox element or model node
+     * @returns {string} 'checked', 'indeterminate' or 'unchecked'
+     */
+    getCheckState: function (checkbox) {
+        if (!checkbox) return 'unchecked';
+        if (checkbox.checked) return 'checked';
+        return checkbox.indeterminate ? 'indeterminate' : 'unchecked';
+    },
+
+    /**
+     ** Get selected data for flat multi-select dropdowns.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} dropdownContainer - Dropdown container element
+     * @returns {Array} Array of selected parent objects {id, name, item}
+     */
+    getFlatSelectedData: function (containerId, dropdownContainer) {
+        return CustomControl.getTopLevelRows(dropdownContainer)
+            .filter(row => {
+                const checkbox = CustomControl.getRowCheckbox(row);
+                return checkbox && checkbox.checked;
+            })
+            .map(row => CustomControl.createResultEntry(containerId, row));
+    },
+
+    /**
+     ** Get selected data for single selection dropdowns.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {HTMLElement} dropdownContainer - Dropdown container element
+     * @returns {Object|null} Selected item object or null if nothing selected
+     */
+    getSingleSelectedData: function (containerId, dropdownContainer) {
+        // For single selection, find selected option (using ddl-selected class)
+        const allOptions = CustomControl.getAllByName(dropdownContainer, 'ddl-option');
+        const selectedOption = allOptions.find(option => 
+            CustomControl.nameListContains(option, 'ddl-selected')
+        );
+        
+        if (selectedOption) {
+            // Full path from the top level down to the selected option (any depth)
+            const path = CustomControl.getRowPath(selectedOption, containerId);
+            const entry = CustomControl.createResultEntry(containerId, selectedOption);
+
+            if (CustomControl.nameListContains(selectedOption, 'ddl-parent-label')) {
+                // Selected parent option
+                return Object.assign(entry, {
+                    type: 'parent',
+                    path: path
+                });
+            } else if (CustomControl.nameListContains(selectedOption, 'ddl-child')) {
+                // Selected child option - its direct parent is the entry before it in the path
+                const parent = path[path.length - 2];
+                
+                return Object.assign(entry, {
+                    type: 'child',
+                    parent: {
+                        id: parent.id,
+                        name: parent.name
+                    },
+                    path: path
+                });
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Dropdown wrapper elements → container ID of their instance (see createDropdownWrapper()).
+     */
+    wrapperContainers: new WeakMap(),
+
+    /**
+     ** Extract container ID from a DOM element (checkbox, row, etc.).
+     * Looks the wrapper the element belongs to up instead of parsing element IDs, so container and data IDs may contain any character.
+     * @param {HTMLElement} element - DOM element inside a dropdown
+     * @returns {string|null} Container ID or null if the element isn't inside a dropdown
+     */
+    extractContainerIdFromElement: function (element) {
+        const ddlWrapper = element ? element.closest('[name~="custom-ddl"]') : null;
+        return ddlWrapper ? CustomControl.wrapperContainers.get(ddlWrapper) || null : null;
+    },
+
+    /**
+     ** Update visual highlighting for checkbox selections in multi-select mode.
+     * @param {HTMLElement} element - The parent label or child element to highlight
+     * @param {boolean} isChecked - Whether the checkbox is checked
+     */
+    updateCheckboxHighlight: function(element, isChecked) {
+        if (isChecked) {
+            CustomControl.nameListAdd(element, 'ddl-checked');
+        } else {
+            CustomControl.nameListRemove(element, 'ddl-checked');
+        }
+    },
+
+    /**
+     ** Clear all selections (works for both single and multi-select modes).
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    clearAllSelections: function(containerId) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return;
+
+        // Check if this is multi-select mode (has checkboxes in this specific dropdown; virtual rows may not be rendered)
+        const virtualModel = CustomControl.getVirtualModel(containerId);
+        const checkboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox');
+        const hasCheckboxes = virtualModel
+            ? CustomControl.registry[containerId].settings.flags.hasMultiSelect
+            : checkboxes.length > 0;
+
+        if (hasCheckboxes) {
+            // Multi-select mode: clear all checkboxes (emits change + clear events itself)
+            CustomControl.toggleAllSelections(containerId, false);
+        } else {
+            const previous = CustomControl.getDDLData(containerId);
+
+            CustomControl.runBatch(containerId, 'clear', function () {
+                // Single-select mode: clear selected options
+                if (virtualModel) {
+                    virtualModel.selectedNode = null;
+                    CustomControl.renderVirtualWindow(containerId);
+                }
+                const allOptions = CustomControl.getAllByName(dropdownContainer, 'ddl-option');
+                
+                allOptions.forEach(option => {
+                    CustomControl.nameListRemove(option, 'ddl-selected');
+                });
+                
+                // Update dropdown header to show placeholder
+                const header = CustomControl.getByName(dropdownContainer, 'ddl-header');
+                if (header && header.dataset.placeholder) {
+                    header.innerText = header.dataset.placeholder;
+                    CustomControl.nameListRemove(header, 'has-selections');
+                }
+            });
+
+            CustomControl.emitEvent(containerId, 'clear', {
+                previous: previous,
+                value: CustomControl.getDDLData(containerId)
+            });
+        }
+    },
+
+    /**
+     * Supported cascade values (see handleParentCheckboxChange() / recalculateParentState()).
+     */
+    cascadeModes: ['all', 'any', 'independent', 'downOnly'],
+
+    /**
+     * Get the cascade policy of an instance.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {string} One of cascadeModes ('all' for unknown instances)
+     */
+    getCascade: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        return instance ? instance.settings.cascade : 'all';
+    },
+
+    /**
+     * Check whether parents follow their children under a cascade policy.
+     * @param {string} cascade - Cascade policy
+     * @returns {boolean} True for 'all' and 'any'
+     */
+    cascadesUp: function (cascade) {
+        return cascade === 'all' || cascade === 'any';
+    },
+
+    /**
+     * Check whether descendants follow their parent under a cascade policy.
+     * @param {string} cascade - Cascade policy
+     * @returns {boolean} True for every policy but 'independent'
+     */
+    cascadesDown: function (cascade) {
+        return cascade !== 'independent';
+    },
+
+    /**
+     ** Handle parent checkbox change - check/uncheck all descendants (any depth) and update ancestors, as the cascade option allows.
+     * @param {HTMLInputElement} parentCheckbox - Parent checkbox element
+     * @param {string} parentId - Parent ID
+     */
+    handleParentCheckboxChange: function (parentCheckbox, parentId) {
+        const isChecked = parentCheckbox.checked;
+        
+        // Extract container ID from checkbox element to ensure correct dropdown instance
+        const containerId = CustomControl.extractContainerIdFromElement(parentCheckbox);
+        if (!containerId) return;
+        
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return;
+        
+        // Check if there's an active search
+        const searchBox = CustomControl.getByName(dropdownContainer, 'ddl-search');
+        const hasActiveSearch = searchBox && searchBox.value.trim() !== '';
+        
+        const parentLabel = parentCheckbox.closest('[name~="ddl-parent-label"]');
+        if (!parentLabel) return;
+        const parentElement = parentLabel.parentElement;
+
+        const allDescendantRows = CustomControl.getDescendantRows(parentElement);
+        const cascade = CustomControl.getCascade(containerId);
+        
+        let rowsToUpdate;
+        
+        if (!CustomControl.cascadesDown(cascade)) {
+            // independent: the parent is a value of its own
+            rowsToUpdate = [];
+        } else if (hasActiveSearch) {
+            // During search: Only update VISIBLE descendants
+            rowsToUpdate = allDescendantRows.filter(row => CustomControl.isRowVisible(row));
+        } else {
+            // No search: Update ALL descendants (normal behavior)
+            rowsToUpdate = allDescendantRows;
+        }
+
+        // Disabled items keep their state
+        const hasDisabledRows = rowsToUpdate.some(row => CustomControl.isRowDisabled(row));
+        if (hasDisabledRows) {
+            rowsToUpdate = rowsToUpdate.filter(row => !CustomControl.isRowDisabled(row));
+        }
+        
+        // Set selected descendants to same state as parent
+        rowsToUpdate.forEach(row => {
+            const checkbox = CustomControl.getRowCheckbox(row);
+            if (!checkbox) return;
+            checkbox.checked = isChecked;
+            checkbox.indeterminate = false;
+            // Update highlighting for descendant elements
+            CustomControl.updateCheckboxHighlight(row, isChecked);
+        });
+
+        // During search nested parents may have hidden children left untouched, and disabled items may be left
+        // in another state - recalculate them bottom-up
+        if (hasActiveSearch || hasDisabledRows) {
+            (hasDisabledRows ? allDescendantRows : rowsToUpdate)
+                .filter(row => CustomControl.nameListContains(row, 'ddl-parent-label'))
+                .reverse()
+                .forEach(row => CustomControl.recalculateParentState(row.parentElement, hasActiveSearch, cascade));
+        }
+        
+        // Update highlighting for parent element
+        parentCheckbox.indeterminate = false;
+        CustomControl.updateCheckboxHighlight(parentLabel, isChecked);
+        if (hasDisabledRows) {
+            CustomControl.recalculateParentState(parentElement, hasActiveSearch, cascade);
+        }
+
+        // Nested parent: its ancestors depend on it
+        CustomControl.updateAncestorStates(parentLabel, hasActiveSearch, cascade);
+        
+        // Update dropdown header for this specific dropdown
+        CustomControl.updateDropdownHeader(containerId);
+
+        // Notify listeners (skipped while Select All / setDDLData batches run)
+        CustomControl.notifySelectionChange(containerId, 'user');
+    },
+
+    /**
+     ** Handle child checkbox change - update every ancestor state accordingly.
+     * @param {HTMLInputElement} childCheckbox - Child checkbox element
+     * @param {string} parentId - Parent ID
+     */
+    handleChildCheckboxChange: function (childCheckbox, parentId) {
+        // Extract container ID from checkbox element to ensure correct dropdown instance
+        const containerId = CustomControl.extractContainerIdFromElement(childCheckbox);
+        if (!containerId) return;
+        
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return;
+        
+        const childElement = childCheckbox.closest('[name~="ddl-child"]');
+        if (!childElement) return;
+        
+        // Check if there's an active search
+        const searchBox = CustomControl.getByName(dropdownContainer, 'ddl-search');
+        const hasActiveSearch = searchBox && searchBox.value.trim() !== '';
+        
+        // Update highlighting for the changed child element
+        CustomControl.updateCheckboxHighlight(childElement, childCheckbox.checked);
+        
+        // Walk up the tree: direct parent first, then every ancestor
+        // (during search only visible children are considered for parent state)
+        CustomControl.updateAncestorStates(childElement, hasActiveSearch, CustomControl.getCascade(containerId));
+        
+        // Update dropdown header for this specific dropdown
+        CustomControl.updateDropdownHeader(containerId);
+
+        // Notify listeners (skipped while Select All / setDDLData batches run)
+        CustomControl.notifySelectionChange(containerId, 'user');
+    },
+
+    /**
+     ** Get every descendant row of a parent element (any depth, document order).
+     * @param {HTMLElement} parentElement - ddl-parent element
+     * @returns {HTMLElement[]} Descendant rows (nested ddl-parent-label and ddl-child elements)
+     */
+    getDescendantRows: function (parentElement) {
+        const rows = [];
+        CustomControl.getChildRows(parentElement).forEach(row => {
+            rows.push(row);
+            if (CustomControl.nameListContains(row, 'ddl-parent-label')) {
+                rows.push(...CustomControl.getDescendantRows(row.parentElement));
+            }
+        });
+        return rows;
+    },
+
+    /**
+     ** Recalculate the state of every ancestor of a row, from its direct parent up to the top level.
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element that changed
+     * @param {boolean} useVisibleOnly - Whether only visible children count (active search)
+     * @param {string} [cascade='all'] - Cascade policy (ancestors are left alone unless it cascades up)
+     */
+    updateAncestorStates: function (row, useVisibleOnly, cascade = 'all') {
+        if (!CustomControl.cascadesUp(cascade)) return;
+
+        let ownerParent = CustomControl.getOwnerParentElement(row);
+
+        while (ownerParent) {
+            CustomControl.recalculateParentState(ownerParent, useVisibleOnly, cascade);
+            const ownerLabel = CustomControl.getByName(ownerParent, 'ddl-parent-label');
+            ownerParent = ownerLabel ? CustomControl.getOwnerParentElement(ownerLabel) : null;
+        }
+    },
+
+    /**
+     ** Recalculate one parent checkbox (tri-state) from its direct children.
+     * cascade 'all': all children checked → checked, none checked/partial → unchecked, otherwise → indeterminate.
+     * cascade 'any': any child checked/partial → checked, otherwise → unchecked.
+     * 'independent' / 'downOnly' parents don't follow their children, so they are left as they are.
+     * @param {HTMLElement} parentElement - ddl-parent element
+     * @param {boolean} useVisibleOnly - Whether only visible children count (active search)
+     * @param {string} [cascade='all'] - Cascade policy
+     */
+    recalculateParentState: function (parentElement, useVisibleOnly, cascade = 'all') {
+        if (!CustomControl.cascadesUp(cascade)) return;
+
+        const parentLabel = CustomControl.getByName(parentElement, 'ddl-parent-label');
+        if (!parentLabel) return;
+
+        const parentCheckbox = CustomControl.getRowCheckbox(parentLabel);
+        if (!parentCheckbox) return;
+
+        const childRows = CustomControl.getChildRows(parentElement);
+        if (childRows.length === 0) return;
+
+        const consideredRows = useVisibleOnly
+            ? childRows.filter(row => CustomControl.isRowVisible(row))
+            : childRows;
+
+        if (consideredRows.length === 0) {
+            // No visible children - maintain current parent state (don't change it)
+            return;
+        }
+
+        const consideredCheckboxes = consideredRows
+            .map(row => CustomControl.getRowCheckbox(row))
+            .filter(cb => !!cb);
+        const checkedCount = consideredCheckboxes.filter(cb => cb.checked).length;
+        const hasPartialChild = consideredCheckboxes.some(cb => cb.indeterminate);
+        const isChecked = cascade === 'any'
+            ? checkedCount > 0 || hasPartialChild
+            : checkedCount === consideredCheckboxes.length;
+
+        if (isChecked) {
+            // All (visible) children checked, or any of them with cascade 'any' - check parent
+            parentCheckbox.checked = true;
+            parentCheckbox.indeterminate = false;
+        } else if (checkedCount === 0 && !hasPartialChild) {
+            // During search: keep the parent as is while hidden children are still selected
+            const anyChildSelected = childRows.some(row => {
+                const checkbox = CustomControl.getRowCheckbox(row);
+                return checkbox && (checkbox.checked || checkbox.indeterminate);
+            });
+            if (useVisibleOnly && anyChildSelected) return;
+
+            // No children checked - uncheck parent
+            parentCheckbox.checked = false;
+            parentCheckbox.indeterminate = false;
+        } else {
+            // Some children checked - uncheck parent but set indeterminate
+            parentCheckbox.checked = false;
+            parentCheckbox.indeterminate = true;
+        }
+
+        // Update highlighting for parent element
+        CustomControl.updateCheckboxHighlight(parentLabel, parentCheckbox.checked || parentCheckbox.indeterminate);
+    },
+
+    /**
+     ** Recalculate parent checkbox states based on visible children during search.
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    recalculateParentStatesForSearch: function(containerId) {
+        CustomControl.recalculateAllParentStates(containerId, true);
+    },
+
+    /**
+     ** Recalculate parent checkbox states based on ALL children (used when search is cleared).
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    recalculateParentStatesForAllChildren: function(containerId) {
+        CustomControl.recalculateAllParentStates(containerId, false);
+    },
+
+    /**
+     ** Recalculate every parent checkbox state, deepest parents first so ancestors see up-to-date children.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {boolean} useVisibleOnly - Whether only visible children count (active search)
+     */
+    recalculateAllParentStates: function(containerId, useVisibleOnly) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return;
+
+        // Only process if this dropdown has checkboxes (multiSelect enabled)
+        const hasCheckboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox').length > 0;
+        if (!hasCheckboxes) return;
+
+        const cascade = CustomControl.getCascade(containerId);
+        if (!CustomControl.cascadesUp(cascade)) return;
+
+        // Nested parents come after their ancestors in document order, so reverse it
+        const parentElements = CustomControl.getAllByName(dropdownContainer, 'ddl-parent').reverse();
+        
+        parentElements.forEach(parentElement => {
+            CustomControl.recalculateParentState(parentElement, useVisibleOnly, cascade);
+        });
+    },
+
+
+    /**
+     ** Universal method to toggle all selections (replaces duplicate Select All / Clear All logic).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {boolean} shouldSelect - True to select all, false to clear all
+     * @param {boolean} respectSearch - Whether to respect active search filter (default: true)
+     * @param {boolean} hasTreeView - Whether dropdown has tree view (auto-detected if not provided)
+     */
+    toggleAllSelections: function (containerId, shouldSelect, respectSearch = true, hasTreeView = null) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return;
+
+        // Auto-detect search state
+        const searchBox = CustomControl.getByName(dropdownContainer, 'ddl-search');
+        const hasActiveSearch = respectSearch && searchBox && searchBox.value.trim() !== '';
+        
+        // Auto-detect tree view if not provided
+        if (hasTreeView === null) {
+            hasTreeView = CustomControl.getByName(dropdownContainer, 'ddl-children') !== null;
+        }
+
+        // maxSelected: Select All is refused instead of over-selecting
+        if (shouldSelect && CustomControl.getUncheckedLeafCount(containerId) > CustomControl.getRemainingSelections(containerId)) {
+            console.warn(`[CustomControl] Select All for '${containerId}' would exceed maxSelected. Ignoring it.`);
+            return;
+        }
+
+        // Remember selection before clearing so the clear event can report it
+        const previous = shouldSelect ? null : CustomControl.getDDLData(containerId);
+
+        // Apply all checkbox updates as one batch so a single change event is emitted
+        const virtualModel = CustomControl.getVirtualModel(containerId);
+        CustomControl.runBatch(containerId, shouldSelect ? 'selectAll' : 'clearAll', function () {
+            if (virtualModel) {
+                // Virtual scroll: update every item of the model, rendered or not
+                CustomControl.toggleAllVirtualSelections(virtualModel, shouldSelect, hasActiveSearch);
+                CustomControl.renderVirtualWindow(containerId);
+            } else if (hasTreeView) {
+                // Tree view: handle parent and child checkboxes
+                const parentCheckboxes = CustomControl.getAllByName(dropdownContainer, 'parent-checkbox');
+                const childCheckboxes = CustomControl.getAllByName(dropdownContainer, 'child-checkbox');
+            
+                let checkboxesToProcess;
+            
+                if (hasActiveSearch) {
+                    // During search: Only process visible checkboxes
+                    const visibleParentCheckboxes = parentCheckboxes.filter(cb => {
+                        const parentLabel = cb.closest('[name~="ddl-parent-label"]');
+                        return parentLabel && CustomControl.isRowVisible(parentLabel);
+                    });
+                
+                    const visibleChildCheckboxes = childCheckboxes.filter(cb => {
+                        const childElement = cb.closest('[name~="ddl-child"]');
+                        return childElement && CustomControl.isRowVisible(childElement);
+                    });
+                
+                    checkboxesToProcess = [...visibleParentCheckboxes, ...visibleChildCheckboxes];
+                } else {
+                    // No search: Process all checkboxes
+                    checkboxesToProcess = [...parentCheckboxes, ...childCheckboxes];
+                }
+
+                // Disabled items keep their state
+                checkboxesToProcess = checkboxesToProcess.filter(cb => !CustomControl.isRowDisabled(cb.parentElement));
+            
+                checkboxesToProcess.forEach(checkbox => {
+                    const needsUpdate = shouldSelect ? !checkbox.checked : (checkbox.checked || checkbox.indeterminate);
+                
+                    if (needsUpdate) {
+                        checkbox.checked = shouldSelect;
+                        if (!shouldSelect) {
+                            checkbox.indeterminate = false;
+                        }
+                        // Trigger change event to update parent-child relationships
+                        checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+                    }
+                });
+            } else {
+                // Flat view: handle parent checkboxes only
+                const parentCheckboxes = CustomControl.getAllByName(dropdownContainer, 'parent-checkbox');
+            
+                let checkboxesToProcess;
+            
+                if (hasActiveSearch) {
+                    // During search: Only process visible parent checkboxes
+                    checkboxesToProcess = parentCheckboxes.filter(cb => {
+                        const parentElement = cb.closest('[name~="ddl-parent"]');
+                        return parentElement && !CustomControl.nameListContains(parentElement, 'ddl-hidden');
+                    });
+                } else {
+                    // No search: Process all parent checkboxes
+                    checkboxesToProcess = parentCheckboxes;
+                }
+
+                // Disabled items keep their state
+                checkboxesToProcess = checkboxesToProcess.filter(cb => !CustomControl.isRowDisabled(cb.parentElement));
+            
+                checkboxesToProcess.forEach(checkbox => {
+                    const needsUpdate = shouldSelect ? !checkbox.checked : checkbox.checked;
+                
+                    if (needsUpdate) {
+                        checkbox.checked = shouldSelect;
+                        if (!shouldSelect) {
+                            checkbox.indeterminate = false;
+                        }
+                    
+                        // Update highlighting for parent element
+                        const parentElement = checkbox.closest('[name~="ddl-parent-label"]');
+                        if (parentElement) {
+                            CustomControl.updateCheckboxHighlight(parentElement, shouldSelect);
+                        }
+                    }
+                });
+            }
+
+            // Update dropdown header
+            CustomControl.updateDropdownHeader(containerId);
+        });
+
+        if (!shouldSelect) {
+            CustomControl.emitEvent(containerId, 'clear', {
+                previous: previous,
+                value: CustomControl.getDDLData(containerId)
+            });
+        }
+    },
+
+    /**
+     ** applySearchTerm(): Routes a search term to remote search (when the remoteSearch option is set) or to the local DOM filter
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string} searchTerm - Trimmed search term
+     */
+    applySearchTerm: function (containerId, searchTerm) {
+        const instance = CustomControl.registry[containerId];
+        if (instance && instance.settings.remoteSearch) {
+            CustomControl.scheduleRemoteSearch(containerId, searchTerm);
+        } else {
+            CustomControl.handleSearch(containerId, searchTerm);
+        }
+    },
+
+    /**
+     ** scheduleRemoteSearch(): Debounces remote search. Every call cancels the pending timer and aborts the request in flight.
+     * An empty term restores the initial options; a term shorter than minSearchLength only shows a hint.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string} searchTerm - Trimmed search term
+     */
+    scheduleRemoteSearch: function (containerId, searchTerm) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance) return;
+
+        CustomControl.cancelRemoteSearch(containerId);
+        const { minSearchLength, searchDebounce } = instance.settings;
+
+        if (searchTerm === '') {
+            CustomControl.setPanelStatus(containerId, null);
+            CustomControl.renderRemoteOptions(containerId, instance.settings.data);
+            CustomControl.notifySearch(containerId, searchTerm, instance.settings.data.length);
+            return;
+        }
+
+        if (searchTerm.length < minSearchLength) {
+            CustomControl.setPanelStatus(containerId, {
+                type: 'hint',
+                text: `اكتب ${minSearchLength} أحرف على الأقل للبحث`
+            });
+            return;
+        }
+
+        CustomControl.setPanelStatus(containerId, null);
+        instance.remoteSearch.timer = setTimeout(function () {
+            instance.remoteSearch.timer = null;
+            CustomControl.runRemoteSearch(containerId, searchTerm);
+        }, searchDebounce);
+    },
+
+    /**
+     ** cancelRemoteSearch(): Clears the debounce timer and aborts the remote search request in flight (if any)
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    cancelRemoteSearch: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || !instance.remoteSearch) return;
+
+        clearTimeout(instance.remoteSearch.timer);
+        instance.remoteSearch.timer = null;
+
+        if (instance.remoteSearch.controller) {
+            instance.remoteSearch.controller.abort();
+            instance.remoteSearch.controller = null;
+        }
+    },
+
+    /**
+     ** runRemoteSearch(): Calls the remoteSearch option and renders its results. Aborted requests are ignored silently.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string} searchTerm - Search term (already debounced and long enough)
+     * @returns {Promise<boolean>} Resolves true when results were rendered, false otherwise
+     */
+    runRemoteSearch: function (containerId, searchTerm) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || !instance.settings.remoteSearch) return Promise.resolve(false);
+
+        const controller = new AbortController();
+        instance.remoteSearch.controller = controller;
+        CustomControl.setPanelStatus(containerId, { type: 'loading', text: 'جاري البحث...' });
+
+        const isStale = function () {
+            return controller.signal.aborted || CustomControl.registry[containerId] !== instance;
+        };
+
+        return Promise.resolve()
+            .then(() => instance.settings.remoteSearch(searchTerm, { signal: controller.signal }))
+            .then(results => {
+                if (isStale()) return false;
+                if (!Array.isArray(results)) {
+                    throw new Error(`remoteSearch must resolve to an array, received: ${typeof results}`);
+                }
+
+                instance.remoteSearch.controller = null;
+                CustomControl.setPanelStatus(containerId, null);
+                CustomControl.renderRemoteOptions(containerId, CustomControl.mapData(containerId, results));
+
+                const optionsContainer = CustomControl.getByName(CustomControl.getDropdownWrapper(containerId), 'ddl-options');
+                CustomControl.handleNoSearchResults(optionsContainer, results.length === 0);
+                CustomControl.notifySearch(containerId, searchTerm, results.length);
+                return true;
+            })
+            .catch(err => {
+                if (isStale()) return false;
+                instance.remoteSearch.controller = null;
+                console.error(`[CustomControl] remoteSearch failed for "${searchTerm}" in '${containerId}':`, err);
+
+                CustomControl.setPanelStatus(containerId, {
+                    type: 'error',
+                    text: 'تعذر تنفيذ البحث',
+                    onRetry: function () {
+                        CustomControl.runRemoteSearch(containerId, searchTerm);
+                    }
+                });
+                return false;
+            });
+    },
+
+    /**
+     ** renderRemoteOptions(): Replaces the rendered options with new items, keeping the search box, buttons and current selection.
+     * Selected options missing from items are pinned on top so they stay selected.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Array} items - Options to show (same shape as data)
+     */
+    renderRemoteOptions: function (containerId, items) {
+        const instance = CustomControl.registry[containerId];
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!instance || !dropdownContainer) return;
+
+        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
+        const { hasMultiSelect, hasTreeView } = instance.settings.flags;
+        const currentValue = CustomControl.readDDLData(containerId);
+
+        // Remember selected IDs in the format setDDLData() accepts
+        const selections = CustomControl.getSelectionIds(dropdownContainer, hasMultiSelect, instance.settings.cascade);
+        const pinnedItems = CustomControl.selectionToItems(containerId, currentValue);
+
+        // Drop the current option rows (and their listeners)
+        Array.from(optionsContainer.children)
+            .filter(element => CustomControl.nameListContains(element, 'ddl-parent'))
+            .forEach(parentElement => {
+                CustomControl.removeManagedListenersWithin(containerId, parentElement);
+                parentElement.remove();
+            });
+
+        // Fresh results replace older items with the same IDs in the model
+        CustomControl.indexItems(containerId, items, true);
+
+        const navIcon = CustomControl.getByName(optionsContainer, 'ddl-multi-nav-icon');
+        CustomControl.mergeSelectedItems(items, pinnedItems).forEach(item => {
+            const parentDiv = CustomControl.createParentNode(item, containerId, hasMultiSelect, hasTreeView);
+            optionsContainer.insertBefore(parentDiv, navIcon);
+            if (hasMultiSelect) {
+                CustomControl.addCheckboxEventListeners(parentDiv, containerId);
+            }
+        });
+
+        // Re-apply the selection on the new rows; the value didn't change, so no change event is expected
+        CustomControl.runBatch(containerId, 'search', function () {
+            if (hasMultiSelect) {
+                if (hasTreeView) {
+                    CustomControl.setTreeViewMultiSelections(dropdownContainer, selections.parents, selections.children);
+                    // Parents may be rendered with only some of their children, so their own state comes from the previous value
+                    CustomControl.restoreParentStates(dropdownContainer, currentValue.selected);
+                } else {
+                    CustomControl.setFlatMultiSelections(dropdownContainer, selections.parents);
+                }
+            } else if (selections.parents.length || selections.children.length) {
+                CustomControl.setSingleSelection(dropdownContainer, selections.parents[0] || selections.children[0], hasTreeView);
+            }
+            CustomControl.updateDropdownHeader(containerId);
+        });
+    },
+
+    /**
+     * Re-apply the parent states of a multi-tree getDDLData() result to the rendered parent checkboxes.
+     * @param {HTMLElement} dropdownContainer - Dropdown container element
+     * @param {Array} items - Selected items ({id, state, children} for parents)
+     */
+    restoreParentStates: function (dropdownContainer, items) {
+        items.forEach(item => {
+            if (!item.children) return;
+            CustomControl.restoreParentStates(dropdownContainer, item.children);
+
+            const checkbox = dropdownContainer.querySelector(`[name*="parent-checkbox"]${CustomControl.dataSelector('data-parent-id', item.id)}`);
+            if (!checkbox || !item.state) return;
+            checkbox.checked = item.state === 'checked';
+            checkbox.indeterminate = item.state === 'indeterminate';
+            const parentLabel = checkbox.closest('[name~="ddl-parent-label"]');
+            if (parentLabel) CustomControl.updateCheckboxHighlight(parentLabel, item.state !== 'unchecked');
+        });
+    },
+
+    /**
+     ** selectionToItems(): Converts a getDDLData() result into data items (nested for tree selections) that can be rendered again
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} ddlData - Result of getDDLData()
+     * @returns {Array} Data items [{id, name, children?}]
+     */
+    selectionToItems: function (containerId, ddlData) {
+        if (!ddlData.hasData) return [];
+
+        if (ddlData.selectionType === 'single-tree') {
+            // Rebuild the chain top level → selected item from its path
+            const path = ddlData.selected[0].path;
+            const selected = ddlData.selected[0];
+            return [path.reduceRight((child, pathItem) => {
+                if (!child) return selected.item ? CustomControl.getMappedNode(containerId, selected.item) : { id: pathItem.id, name: pathItem.name };
+                return { id: pathItem.id, name: pathItem.name, children: [child] };
+            }, null)];
+        }
+
+        return ddlData.selected.map(entry => {
+            const item = entry.item ? CustomControl.getMappedNode(containerId, entry.item) : { id: entry.id, name: entry.name };
+            if (!entry.children) return item;
+            // Parents only bring their selected descendants along
+            return CustomControl.copyItem(item, {
+                children: CustomControl.selectionToItems(containerId, { hasData: true, selected: entry.children })
+            });
+        });
+    },
+
+    /**
+     ** mergeSelectedItems(): Adds selected items missing from a result list, at any depth, without mutating the results
+     * Missing items are placed before the results so they are easy to find.
+     * @param {Array} items - Result items
+     * @param {Array} pinnedItems - Selected items (from selectionToItems())
+     * @returns {Array} Merged items
+     */
+    mergeSelectedItems: function (items, pinnedItems) {
+        const merged = items.slice();
+        const missing = [];
+
+        pinnedItems.forEach(pinned => {
+            const index = merged.findIndex(item => String(item.id) === String(pinned.id));
+            if (index === -1) {
+                missing.push(pinned);
+            } else if (pinned.children && pinned.children.length > 0) {
+                merged[index] = CustomControl.copyItem(merged[index], {
+                    children: CustomControl.mergeSelectedItems(merged[index].children || [], pinned.children)
+                });
+            }
+        });
+
+        return missing.concat(merged);
+    },
+
+    /**
+     ** Search normalization.
+     * Search compares normalized text on both sides (data and query) so users can type without hamza, tashkeel or accents:
+     * "مكه" finds "مكة المكرمة", "الاحساء" finds "الأحساء", "١٢" finds "12", "sao" finds "São".
+     */
+
+    /**
+     * Normalization steps by name, applied in the order of the pipeline.
+     */
+    searchNormalizers: {
+        lowercase: text => text.toLowerCase(),
+        latinDiacritics: text => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC'), // é → e
+        tashkeel: text => text.replace(/[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g, ''),   // harakat, shadda, sukun, Quranic marks
+        tatweel: text => text.replace(/\u0640/g, ''),                                                    // ـ
+        alef: text => text.replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627'),                            // آ أ إ ٱ → ا
+        tehMarbuta: text => text.replace(/\u0629/g, '\u0647'),                                           // ة → ه
+        alefMaqsura: text => text.replace(/\u0649/g, '\u064A'),                                          // ى → ي
+        digits: text => text.replace(/[\u0660-\u0669\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - (digit >= '\u06F0' ? 0x06F0 : 0x0660))) // ٠-٩ ۰-۹ → 0-9
+    },
+
+    /**
+     * Pipeline used when searchNormalization is true (or omitted).
+     */
+    defaultSearchNormalization: ['lowercase', 'latinDiacritics', 'tashkeel', 'tatweel', 'alef', 'tehMarbuta', 'alefMaqsura', 'digits'],
+
+    /**
+     ** createSearchNormalizer(): Builds the text normalizer of an instance from the searchNormalization option
+     * @param {boolean|Array|Function} [option=true] - true, false, [step name | function(text)], or function(text)
+     * @returns {Function} Normalizer (text) => string
+     */
+    createSearchNormalizer: function (option) {
+        if (typeof option === 'function') {
+            return text => String(option(String(text)));
+        }
+
+        let steps = CustomControl.defaultSearchNormalization;
+        if (option === false) {
+            steps = ['lowercase']; // plain case-insensitive matching
+        } else if (Array.isArray(option)) {
+            steps = option;
+        } else if (option !== undefined && option !== true) {
+            console.warn(`[CustomControl] 'searchNormalization' must be a boolean, an array or a function, received: ${typeof option}. Using the default.`);
+        }
+
+        const pipeline = steps.map(step => {
+            if (typeof step === 'function') return step;
+            if (CustomControl.searchNormalizers[step]) return CustomControl.searchNormalizers[step];
+            console.warn(`[CustomControl] Unknown search normalization step '${step}'. Ignoring it.`);
+            return null;
+        }).filter(step => step !== null);
+
+        return text => pipeline.reduce((result, step) => String(step(result)), String(text));
+    },
+
+    /**
+     * Normalize text with the search normalizer of an instance.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    normalizeSearchText: function (containerId, text) {
+        const instance = CustomControl.registry[containerId];
+        return instance ? instance.settings.normalizeSearchText(text) : String(text).toLowerCase();
+    },
+
+    /**
+     ** Handle search functionality - filter options based on search term.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string} searchTerm - The search term to filter by
+     */
+    handleSearch: function (containerId, searchTerm) {
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return;
+
+        // Virtual scroll: filter the model instead of walking the DOM
+        const virtualModel = CustomControl.getVirtualModel(containerId);
+        if (virtualModel) {
+            const search = CustomControl.createSearchContext(containerId);
+            const visibleCount = CustomControl.filterVirtualModel(virtualModel, searchTerm === '' ? '' : search.normalize(searchTerm), search);
+            virtualModel.viewport.scrollTop = 0;
+            CustomControl.renderVirtualWindow(containerId);
+            CustomControl.handleNoSearchResults(CustomControl.getByName(dropdownContainer, 'ddl-options'), searchTerm !== '' && visibleCount === 0);
+            CustomControl.notifySearch(containerId, searchTerm, visibleCount, CustomControl.sortSearchMatches(search.matches));
+            return;
+        }
+
+        const hasTreeView = CustomControl.getByName(dropdownContainer, 'ddl-children') !== null;
+        const parentElements = CustomControl.getAllByName(dropdownContainer, 'ddl-parent'); //* every parent at any nesting level
+        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
+        const topLevelParents = parentElements.filter(parentElement => parentElement.parentElement === optionsContainer);
+
+        // If search term is empty, show all elements and hide no results message
+        if (searchTerm === '') {
+            parentElements.forEach(parentElement => {
+                CustomControl.setNodeVisibility(parentElement, true);
+                // Show all children if tree view
+                if (hasTreeView) {
+                    const childrenContainer = CustomControl.getByName(parentElement, 'ddl-children');
+                    if (childrenContainer) {
+                        const childElements = CustomControl.getAllByName(childrenContainer, 'ddl-child');
+                        childElements.forEach(child => {
+                            CustomControl.setNodeVisibility(child, true);
+                        });
+                    }
+                }
+            });
+            
+            // Hide no results message
+            CustomControl.handleNoSearchResults(optionsContainer, false);
+
+            // Drop highlights and put ranked (fuzzy) results back in their original order
+            CustomControl.clearSearchHighlights(optionsContainer);
+            CustomControl.restoreSearchOrder(optionsContainer);
+            
+            // Recalculate parent states based on ALL children when search is cleared
+            CustomControl.recalculateParentStatesForAllChildren(containerId);
+
+            CustomControl.notifySearch(containerId, searchTerm, topLevelParents.length);
+            return;
+        }
+
+        const search = CustomControl.createSearchContext(containerId);
+        const normalizedTerm = search.normalize(searchTerm);
+        let visibleParentsCount = 0;
+
+        // Filter every top level parent; tree view recurses into nested levels
+        topLevelParents.forEach(parentElement => {
+            if (CustomControl.filterNodeBySearch(parentElement, normalizedTerm, hasTreeView, search)) {
+                visibleParentsCount++;
+            }
+        });
+
+        // Fuzzy mode: best matches first (each level of the tree is ranked within its parent)
+        if (search.isFuzzy) {
+            CustomControl.sortNodesByScore(topLevelParents, search.scores);
+        }
+
+        // Show or hide no results message based on visible count
+        const hasNoResults = visibleParentsCount === 0;
+        CustomControl.handleNoSearchResults(optionsContainer, hasNoResults);
+
+        // Recalculate parent states based on visible children during search
+        CustomControl.recalculateParentStatesForSearch(containerId);
+
+        CustomControl.notifySearch(containerId, searchTerm, visibleParentsCount, CustomControl.sortSearchMatches(search.matches));
+    },
+
+    /**
+     ** Show or hide one node (parent or child) for search, at any nesting level.
+     * A parent is shown if it matches (then its whole subtree is shown) or if any descendant matches.
+     * Every row is scored and highlighted, including rows only shown because an ancestor matched.
+     * @param {HTMLElement} nodeElement - ddl-parent or ddl-child element
+     * @param {string} normalizedTerm - Normalized search term
+     * @param {boolean} hasTreeView - Whether tree view is enabled (flat view searches parents only)
+     * @param {Object} search - Search context from createSearchContext() (collects matches and scores)
+     * @param {boolean} [ancestorMatches=false] - Whether an ancestor matched (the node is shown regardless)
+     * @returns {boolean} True if the node stays visible
+     */
+    filterNodeBySearch: function (nodeElement, normalizedTerm, hasTreeView, search, ancestorMatches = false) {
+        const isParent = CustomControl.nameListContains(nodeElement, 'ddl-parent');
+        const row = isParent ? CustomControl.getByName(nodeElement, 'ddl-parent-label') : nodeElement;
+        if (!row) return false;
+
+        // Check if the node itself matches search term
+        const match = CustomControl.matchSearchRow(row, normalizedTerm, search);
+        const nodeMatches = match !== null;
+        let showNode = nodeMatches || ancestorMatches;
+        let bestScore = nodeMatches ? match.score : 0;
+
+        const childrenContainer = isParent ? CustomControl.getByName(nodeElement, 'ddl-children') : null;
+        if (hasTreeView && childrenContainer) {
+            // Helper rows like lazy loading are skipped
+            const childNodes = Array.from(childrenContainer.children).filter(childNode =>
+                CustomControl.nameListContains(childNode, 'ddl-parent') || CustomControl.nameListContains(childNode, 'ddl-child')
+            );
+
+            childNodes.forEach(childNode => {
+                if (CustomControl.filterNodeBySearch(childNode, normalizedTerm, hasTreeView, search, nodeMatches || ancestorMatches)) {
+                    showNode = true;
+                }
+                bestScore = Math.max(bestScore, search.scores.get(childNode) || 0);
+            });
+
+            if (search.isFuzzy) {
+                CustomControl.sortNodesByScore(childNodes, search.scores);
+            }
+        }
+
+        search.scores.set(nodeElement, bestScore);
+        CustomControl.setNodeVisibility(nodeElement, showNode);
+        return showNode;
+    },
+
+    /**
+     ** Search matching and ranking.
+     * Matches are scored 0..1: exact (1) > prefix (0.9+) > word start (0.8+) > contains (0.7+) > fuzzy (< 0.5, searchMode "fuzzy" only).
+     * Scores are computed on normalized text; highlights are mapped back onto the original characters.
+     */
+
+    /**
+     * Build the per-search state shared by the filter functions.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {Object} {normalize, isFuzzy, fields, rowItems, matches: [{id, name, score, matchType, field?, value?}], scores: Map}
+     */
+    createSearchContext: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        return {
+            normalize: instance.settings.normalizeSearchText,
+            isFuzzy: instance.settings.searchMode === 'fuzzy',
+            fields: instance.settings.searchFields,
+            rowItems: instance.rowItems,
+            matches: [],
+            scores: new Map()
+        };
+    },
+
+    /**
+     * Characters that separate words for word-start and typo matching.
+     */
+    searchWordSeparators: /[\s\-_.,،؛:()\/]/,
+
+    /**
+     * Check whether a position starts a word, also right after the Arabic article ("دمام" starts a word in "الدمام").
+     * @param {string} text - Normalized text
+     * @param {number} index - Position in text
+     * @returns {boolean} True at a word start
+     */
+    isSearchWordStart: function (text, index) {
+        const isBoundary = position => position === 0 || CustomControl.searchWordSeparators.test(text[position - 1]);
+        if (isBoundary(index)) return true;
+        return index >= 2 && text.slice(index - 2, index) === 'ال' && isBoundary(index - 2);
+    },
+
+    /**
+     ** scoreSearchMatch(): Scores a normalized text against a normalized term
+     * @param {string} text - Normalized text
+     * @param {string} term - Normalized search term
+     * @param {boolean} isFuzzy - Whether typo / subsequence matches are accepted
+     * @returns {Object|null} {score, matchType, ranges: [[start, end]]} or null when it doesn't match
+     */
+    scoreSearchMatch: function (text, term, isFuzzy) {
+        if (term === '') return null;
+
+        // Shorter texts rank higher within the same match type
+        const lengthBonus = 0.09 * term.length / Math.max(text.length, 1);
+
+        if (text === term) {
+            return { score: 1, matchType: 'exact', ranges: [[0, term.length]] };
+        }
+        if (text.startsWith(term)) {
+            return { score: 0.9 + lengthBonus, matchType: 'prefix', ranges: [[0, term.length]] };
+        }
+
+        let index = text.indexOf(term);
+        const firstIndex = index;
+        while (index > 0) {
+            if (CustomControl.isSearchWordStart(text, index)) {
+                return { score: 0.8 + lengthBonus, matchType: 'wordStart', ranges: [[index, index + term.length]] };
+            }
+            index = text.indexOf(term, index + 1);
+        }
+        if (firstIndex !== -1) {
+            return { score: 0.7 + lengthBonus, matchType: 'contains', ranges: [[firstIndex, firstIndex + term.length]] };
+        }
+
+        return isFuzzy ? CustomControl.scoreFuzzyMatch(text, term) : null;
+    },
+
+    /**
+     ** scoreFuzzyMatch(): Typo-tolerant match for terms of 3+ characters
+     * A word starting with the term within 1 edit (2 for terms longer than 4) matches, and so do the term's characters in order
+     * within a short span ("مدنه" → "المدينة"). The better of the two wins.
+     * @param {string} text - Normalized text
+     * @param {string} term - Normalized search term
+     * @returns {Object|null} {score, matchType: "fuzzy", ranges} or null
+     */
+    scoreFuzzyMatch: function (text, term) {
+        if (term.length < 3) return null;
+
+        let best = null;
+        const keepBest = function (score, ranges) {
+            if (!best || score > best.score) {
+                best = { score: score, matchType: 'fuzzy', ranges: ranges };
+            }
+        };
+
+        // Typos: compare the term with the start of every word (one character missing, wrong, swapped or extra)
+        const maxEdits = term.length <= 4 ? 1 : 2;
+        const wordPattern = new RegExp(`[^${CustomControl.searchWordSeparators.source.slice(1, -1)}]+`, 'g');
+        let word;
+        while ((word = wordPattern.exec(text)) !== null) {
+            const starts = [word.index];
+            if (word[0].startsWith('ال') && word[0].length > 3) {
+                starts.push(word.index + 2); // also without the Arabic article
+            }
+
+            starts.forEach(start => {
+                const wordText = text.slice(start, word.index + word[0].length);
+                // Same length first, so a substitution highlights the whole typed word
+                [term.length, term.length - 1, term.length + 1].filter(length => length <= wordText.length).forEach(length => {
+                    const edits = CustomControl.getEditDistance(term, wordText.slice(0, length));
+                    if (edits <= maxEdits) {
+                        keepBest(0.45 * (1 - edits / (term.length + 1)), [[start, start + length]]);
+                    }
+                });
+            });
+        }
+
+        // Subsequence: every character of the term, in order, within three times its length
+        const positions = [];
+        let from = 0;
+        for (const character of term) {
+            const found = text.indexOf(character, from);
+            if (found === -1) break;
+            positions.push(found);
+            from = found + 1;
+        }
+        if (positions.length === term.length) {
+            const span = positions[positions.length - 1] - positions[0] + 1;
+            if (span <= term.length * 3) {
+                keepBest(0.4 * term.length / span, positions.map(position => [position, position + 1]));
+            }
+        }
+
+        return best;
+    },
+
+    /**
+     * Edit distance with adjacent transpositions (optimal string alignment).
+     * @param {string} first - First string
+     * @param {string} second - Second string
+     * @returns {number} Number of insertions, deletions, substitutions and swaps
+     */
+    getEditDistance: function (first, second) {
+        const distances = [];
+        for (let i = 0; i <= first.length; i++) {
+            distances[i] = [i];
+        }
+        for (let j = 1; j <= second.length; j++) {
+            distances[0][j] = j;
+        }
+
+        for (let i = 1; i <= first.length; i++) {
+            for (let j = 1; j <= second.length; j++) {
+                const cost = first[i - 1] === second[j - 1] ? 0 : 1;
+                distances[i][j] = Math.min(distances[i - 1][j] + 1, distances[i][j - 1] + 1, distances[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && first[i - 1] === second[j - 2] && first[i - 2] === second[j - 1]) {
+                    distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return distances[first.length][second.length];
+    },
+
+    /**
+     ** matchSearchText(): Scores an original (display) text and maps the matched ranges back onto it
+     * Each character is normalized on its own to know where it lands; when the normalizer is not per-character
+     * (custom steps), the ranges are looked up again on that per-character version and may be empty.
+     * @param {string} text - Original text
+     * @param {string} normalizedTerm - Normalized search term
+     * @param {Object} search - Search context
+     * @returns {Object|null} {score, matchType, highlights: [[start, end]] in the original text} or null
+     */
+    matchSearchText: function (text, normalizedTerm, search) {
+        const normalizedText = search.normalize(text);
+        const match = CustomControl.scoreSearchMatch(normalizedText, normalizedTerm, search.isFuzzy);
+        if (!match) return null;
+
+        let mapped = '';
+        const sourceStarts = []; // original index of every normalized character
+        let offset = 0;
+        for (const character of text) {
+            const piece = search.normalize(character);
+            for (let k = 0; k < piece.length; k++) sourceStarts.push(offset);
+            mapped += piece;
+            offset += character.length;
+        }
+
+        const mappedMatch = mapped === normalizedText ? match : CustomControl.scoreSearchMatch(mapped, normalizedTerm, search.isFuzzy);
+        const highlights = mappedMatch ? mappedMatch.ranges.map(([start, end]) => [
+            sourceStarts[start],
+            // Runs to the next kept character, so removed marks (tashkeel) after the last one stay inside
+            end < sourceStarts.length ? sourceStarts[end] : text.length
+        ]) : [];
+
+        return { score: match.score, matchType: match.matchType, highlights: highlights };
+    },
+
+    /**
+     * Match a rendered row, highlight its label and record the match in the search context.
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @param {string} normalizedTerm - Normalized search term
+     * @param {Object} search - Search context
+     * @returns {Object|null} Match, or null when the row doesn't match
+     */
+    matchSearchRow: function (row, normalizedTerm, search) {
+        const text = CustomControl.getRowText(row);
+        const labelMatch = CustomControl.matchSearchText(text, normalizedTerm, search);
+
+        // Extra fields only win when they match better than the label
+        const item = search.fields.length > 0 && search.rowItems.has(row) ? CustomControl.getOriginalItem(search.rowItems.get(row)) : null;
+        const fieldMatch = item ? CustomControl.matchSearchFields(item, normalizedTerm, search) : null;
+        const match = fieldMatch && (!labelMatch || fieldMatch.score > labelMatch.score) ? fieldMatch : labelMatch;
+
+        const textSpan = CustomControl.getByName(row, 'ddl-label-text');
+        if (textSpan) {
+            CustomControl.highlightLabelText(textSpan, text, labelMatch ? labelMatch.highlights : []);
+        }
+        CustomControl.setMatchedFieldLabel(row, match && match.field ? match : null);
+
+        if (match) {
+            // The item keeps the ID type of the data (data-id is always a string)
+            const rowItem = search.rowItems.get(row);
+            search.matches.push(CustomControl.createSearchMatchEntry(rowItem ? rowItem.id : row.dataset.id, text, match));
+        }
+        return match;
+    },
+
+    /**
+     * Build an entry of the search event's matches list.
+     * @param {string|number} id - Item ID
+     * @param {string} name - Item name
+     * @param {Object} match - Match from matchSearchText() / matchSearchFields() / scoreSearchMatch()
+     * @returns {Object} {id, name, score, matchType} plus {field, value} for searchFields matches
+     */
+    createSearchMatchEntry: function (id, name, match) {
+        const entry = { id: id, name: name, score: match.score, matchType: match.matchType };
+        if (match.field) {
+            entry.field = match.field;
+            entry.value = match.value;
+        }
+        return entry;
+    },
+
+    /**
+     ** Search fields.
+     * searchFields lets a row match on item properties that are not rendered ("RUH" or "Riyadh" finds "الرياض").
+     * A row matched through a field shows the matched value as a secondary label (ddl-match-field).
+     */
+
+    /**
+     * Normalize the searchFields option into named accessors (invalid entries are ignored with a warning).
+     * @param {Array} [fields] - Keys or accessor functions
+     * @returns {Array} [{name, read(item)}]
+     */
+    normalizeSearchFields: function (fields) {
+        if (fields === undefined || fields === null) return [];
+        if (!Array.isArray(fields)) {
+            console.warn(`[CustomControl] 'searchFields' must be an array of keys or functions, received: ${typeof fields}. Ignoring it.`);
+            return [];
+        }
+
+        return fields.map((field, index) => {
+            if (typeof field === 'string' && field !== '') {
+                return { name: field, read: item => item[field] };
+            }
+            if (typeof field === 'function') {
+                return { name: field.name || `searchFields[${index}]`, read: field };
+            }
+            console.warn(`[CustomControl] 'searchFields[${index}]' must be a key or a function, received: ${typeof field}. Ignoring it.`);
+            return null;
+        }).filter(field => field !== null);
+    },
+
+    /**
+     * Read the searchable values of an item (arrays such as aliases give one value per entry).
+     * @param {Object} item - Data item
+     * @param {Array} fields - Normalized search fields
+     * @returns {Array} [{field, value}] with non-empty string values
+     */
+    getSearchFieldValues: function (item, fields) {
+        const values = [];
+        fields.forEach(field => {
+            let value;
+            try {
+                value = field.read(item);
+            } catch (error) {
+                console.error(`[CustomControl] searchFields accessor '${field.name}' threw:`, error);
+                return;
+            }
+
+            [].concat(value).forEach(entry => {
+                if (entry === undefined || entry === null || entry === '') return;
+                values.push({ field: field.name, value: String(entry) });
+            });
+        });
+        return values;
+    },
+
+    /**
+     ** matchSearchFields(): Best match among the search field values of an item
+     * Field matches score slightly below the same match on the label, so the label wins ties.
+     * @param {Object} item - Data item
+     * @param {string} normalizedTerm - Normalized search term
+     * @param {Object} search - Search context
+     * @returns {Object|null} {score, matchType, highlights, field, value} or null
+     */
+    matchSearchFields: function (item, normalizedTerm, search) {
+        let best = null;
+        CustomControl.getSearchFieldValues(item, search.fields).forEach(({ field, value }) => {
+            const match = CustomControl.matchSearchText(value, normalizedTerm, search);
+            if (match && (!best || match.score * 0.95 > best.score)) {
+                best = Object.assign(match, { score: match.score * 0.95, field: field, value: value });
+            }
+        });
+        return best;
+    },
+
+    /**
+     * Show (or remove) the secondary label with the field value that matched.
+     * @param {HTMLElement} row - Row element
+     * @param {Object|null} fieldMatch - Match from matchSearchFields(), or null to remove the label
+     */
+    setMatchedFieldLabel: function (row, fieldMatch) {
+        const existing = CustomControl.getByName(row, 'ddl-match-field');
+        if (existing) existing.remove();
+        if (!fieldMatch) return;
+
+        const fieldLabel = CustomControl.createElement('span', 'ddl-match-field', {
+            title: fieldMatch.field,
+            innerText: fieldMatch.value
+        });
+        CustomControl.highlightLabelText(fieldLabel, fieldMatch.value, fieldMatch.highlights);
+
+        const textSpan = CustomControl.getByName(row, 'ddl-label-text');
+        row.insertBefore(fieldLabel, textSpan ? textSpan.nextSibling : null);
+    },
+
+    /**
+     ** highlightLabelText(): Renders a label text with its matched ranges wrapped in <mark name="ddl-match">
+     * @param {HTMLElement} textSpan - ddl-label-text element
+     * @param {string} text - Label text
+     * @param {Array} ranges - [[start, end]] in text (empty clears the highlight)
+     */
+    highlightLabelText: function (textSpan, text, ranges) {
+        if (ranges.length === 0) {
+            if (CustomControl.getByName(textSpan, 'ddl-match')) {
+                textSpan.textContent = text;
+            }
+            return;
+        }
+
+        // Adjacent / overlapping ranges become one mark
+        const merged = [];
+        ranges.slice().sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+
+        const fragment = document.createDocumentFragment();
+        let position = 0;
+        merged.forEach(([start, end]) => {
+            if (start > position) fragment.appendChild(document.createTextNode(text.slice(position, start)));
+            fragment.appendChild(CustomControl.createElement('mark', 'ddl-match', { innerText: text.slice(start, end) }));
+            position = end;
+        });
+        if (position < text.length) fragment.appendChild(document.createTextNode(text.slice(position)));
+
+        textSpan.replaceChildren(fragment);
+    },
+
+    /**
+     * Remove every search highlight (and matched field label) inside the options.
+     * @param {HTMLElement} optionsContainer - Options container element
+     */
+    clearSearchHighlights: function (optionsContainer) {
+        CustomControl.getAllByName(optionsContainer, 'ddl-match-field').forEach(fieldLabel => fieldLabel.remove());
+
+        const textSpans = new Set(CustomControl.getAllByName(optionsContainer, 'ddl-match').map(mark => mark.parentElement));
+        textSpans.forEach(textSpan => {
+            textSpan.textContent = textSpan.textContent; // flatten the marks back into plain text
+        });
+    },
+
+    /**
+     ** sortNodesByScore(): Reorders sibling nodes by their best score (ties keep the original order)
+     * The original position is remembered in data-search-order so restoreSearchOrder() can undo it.
+     * @param {HTMLElement[]} nodes - Sibling ddl-parent / ddl-child elements
+     * @param {Map} scores - Node element → best score of its subtree
+     */
+    sortNodesByScore: function (nodes, scores) {
+        if (nodes.length < 2) return;
+
+        nodes.forEach((node, index) => {
+            if (node.dataset.searchOrder === undefined) node.dataset.searchOrder = index;
+        });
+
+        const container = nodes[0].parentElement;
+        const anchor = nodes[nodes.length - 1].nextSibling;
+        nodes.slice()
+            .sort((a, b) => (scores.get(b) || 0) - (scores.get(a) || 0) || a.dataset.searchOrder - b.dataset.searchOrder)
+            .forEach(node => container.insertBefore(node, anchor));
+    },
+
+    /**
+     * Put nodes reordered by sortNodesByScore() back in their original order.
+     * @param {HTMLElement} optionsContainer - Options container element
+     */
+    restoreSearchOrder: function (optionsContainer) {
+        const containers = new Set(Array.from(optionsContainer.querySelectorAll('[data-search-order]')).map(node => node.parentElement));
+        containers.forEach(container => {
+            const nodes = Array.from(container.children).filter(node => node.dataset.searchOrder !== undefined);
+            const anchor = nodes[nodes.length - 1].nextSibling;
+            nodes.sort((a, b) => a.dataset.searchOrder - b.dataset.searchOrder)
+                .forEach(node => container.insertBefore(node, anchor));
+        });
+    },
+
+    /**
+     * Sort collected matches best first (payload of the search event).
+     * @param {Array} matches - [{id, name, score, matchType}]
+     * @returns {Array} Same array, sorted by score
+     */
+    sortSearchMatches: function (matches) {
+        return matches.sort((a, b) => b.score - a.score);
+    },
+
+    /**
+     ** Toggle ddl-hidden / ddl-visible on a node element.
+     * @param {HTMLElement} nodeElement - ddl-parent or ddl-child element
+     * @param {boolean} isVisible - Whether the node should be visible
+     */
+    setNodeVisibility: function (nodeElement, isVisible) {
+        if (isVisible) {
+            CustomControl.nameListRemove(nodeElement, 'ddl-hidden');
+            CustomControl.nameListAdd(nodeElement, 'ddl-visible');
+        } else {
+            CustomControl.nameListAdd(nodeElement, 'ddl-hidden');
+            CustomControl.nameListRemove(nodeElement, 'ddl-visible');
+        }
+    },
+
+    /**
+     ** Emit search related events after filtering.
+     * Parent checkbox states are recalculated during search, so a change event may be emitted first.
+     * The selection doesn't change by searching, so the payload carries the term of the previous search instead of a previous value.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string} searchTerm - The search term that was applied
+     * @param {number} resultCount - Number of visible top level options
+     */
+    notifySearch: function (containerId, searchTerm, resultCount, matches = []) {
+        CustomControl.notifySelectionChange(containerId, 'search');
+
+        if (searchTerm !== '') {
+            const messages = CustomControl.getMessages(containerId);
+            CustomControl.announce(containerId, resultCount > 0 ? messages.results(resultCount) : messages.noResults());
+        }
+
+        const instance = CustomControl.registry[containerId];
+        const previousTerm = instance ? instance.lastSearchTerm : '';
+        if (instance) instance.lastSearchTerm = searchTerm;
+
+        CustomControl.emitEvent(containerId, 'search', {
+            term: searchTerm,
+            previousTerm: previousTerm,
+            resultCount: resultCount,
+            matches: matches,
+            value: CustomControl.getDDLData(containerId)
+        });
+    },
+
+    /**
+     ** Add checkbox event listeners to parent and child checkboxes.
+     * @param {HTMLElement} optionsContainer - Options container element
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    addCheckboxEventListeners: function (optionsContainer, containerId) {
+        // Parent checkbox event listeners
+        const parentCheckboxes = CustomControl.getAllByName(optionsContainer, 'parent-checkbox');
+        parentCheckboxes.forEach(parentCheckbox => {
+            CustomControl.addManagedListener(containerId, parentCheckbox, 'change', function(e) {
+                e.stopPropagation(); // Prevent interference with other events
+                const parentId = e.currentTarget.dataset.parentId;
+                CustomControl.handleParentCheckboxChange(e.currentTarget, parentId);
+            });
+            
+            // Also prevent click from bubbling
+            CustomControl.addManagedListener(containerId, parentCheckbox, 'click', function(e) {
+                e.stopPropagation();
+            });
+        });
+
+        // Child checkbox event listeners
+        const childCheckboxes = CustomControl.getAllByName(optionsContainer, 'child-checkbox');
+
+        childCheckboxes.forEach(childCheckbox => {
+            CustomControl.addManagedListener(containerId, childCheckbox, 'change', function(e) {
+                e.stopPropagation(); // Prevent interference with other events
+                const parentId = e.currentTarget.dataset.parentId;
+        
+                CustomControl.handleChildCheckboxChange(e.currentTarget, parentId);
+            });
+            
+            // Also prevent click from bubbling
+            CustomControl.addManagedListener(containerId, childCheckbox, 'click', function(e) {
+                e.stopPropagation();
+            });
+        });
+
+
+    },
+
+    /**
+     ** Add event listeners for dropdown functionality.
+     * @param {HTMLElement} ddlWrapper - Dropdown wrapper element
+     * @param {HTMLElement} header - Header element
+     * @param {HTMLElement} optionsContainer - Options container element
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    addEventListeners: function (ddlWrapper, header, optionsContainer, containerId) {
+        // Toggle dropdown on header click
+        CustomControl.addManagedListener(containerId, header, 'click', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            CustomControl.toggleDropdown(ddlWrapper, optionsContainer);
+        });
+
+        // Close dropdown when clicking outside (document level, so it must be removed on destroy/re-render)
+        // composedPath(): inside a shadow root (<custom-ddl>) the document only sees the host element as target
+        CustomControl.addManagedListener(containerId, document, 'click', function(e) {
+            if (!e.composedPath().includes(ddlWrapper)) {
+                CustomControl.closeDropdown(ddlWrapper, optionsContainer, true);
+            }
+        });
+
+        // Prevent dropdown from closing when clicking inside options
+        CustomControl.addManagedListener(containerId, optionsContainer, 'click', function(e) {
+            e.stopPropagation();
+        });
+
+        // Keyboard navigation (header, search box and options all live inside the wrapper)
+        CustomControl.addManagedListener(containerId, ddlWrapper, 'keydown', function(e) {
+            CustomControl.handleKeyDown(containerId, e);
+        });
+    },
+
+    /**
+     ** Form integration.
+     * With formName set, hidden inputs inside the wrapper mirror the selection so a surrounding <form> submits it,
+     * and the form's reset restores the initial selection like it restores the default value of native controls.
+     */
+
+    /**
+     * Supported formFormat values.
+     */
+    formFormats: ['multiple', 'comma', 'json'],
+
+    /**
+     ** getFormValues(): Flattens a getDDLData() result into the IDs to submit
+     * Tree selections submit their selected leaves (a checked parent stands for its checked descendants).
+     * With cascade 'independent' / 'downOnly' a parent doesn't follow its children, so a checked parent is submitted too.
+     * @param {Object} ddlData - Result of getDDLData()
+     * @returns {Array} Selected IDs
+     */
+    getFormValues: function (ddlData) {
+        const values = [];
+        const parentsAreValues = !CustomControl.cascadesUp(CustomControl.getCascade(ddlData.containerId));
+        const collect = function (items) {
+            items.forEach(item => {
+                if (item.children && item.children.length > 0) {
+                    if (parentsAreValues && item.state === 'checked') values.push(item.id);
+                    collect(item.children);
+                } else {
+                    values.push(item.id);
+                }
+            });
+        };
+
+        collect(ddlData.selected || []);
+        return values;
+    },
+
+    /**
+     ** syncFormInputs(): Rewrites the hidden inputs of an instance from its selection (no-op without formName)
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} [value] - Result of getDDLData(), read from the dropdown when omitted
+     */
+    syncFormInputs: function (containerId, value) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || !instance.settings.formName || !instance.ddlWrapper) return;
+
+        const holder = CustomControl.getByName(instance.ddlWrapper, 'ddl-form-values');
+        if (!holder) return;
+
+        const { formName, formFormat } = instance.settings;
+        const ids = CustomControl.getFormValues(value || CustomControl.readDDLData(containerId));
+
+        let fieldValues;
+        if (ids.length === 0) {
+            fieldValues = []; // nothing selected submits nothing in every format, like an empty <select multiple>
+        } else if (formFormat === 'comma') {
+            fieldValues = [ids.join(',')];
+        } else if (formFormat === 'json') {
+            fieldValues = [JSON.stringify(ids)];
+        } else {
+            fieldValues = ids.map(id => String(id)); // repeated fields, like <select multiple>
+        }
+
+        holder.replaceChildren(...fieldValues.map(fieldValue => {
+            // Created directly: these inputs need a real name attribute, not the name-list scheme of createElement()
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = formName;
+            input.value = fieldValue;
+            input.disabled = !!instance.disabled;
+            return input;
+        }));
+    },
+
+    /**
+     * Restore the initial selection (the value param) when the surrounding form is reset, or clear the selection
+     * when there was none, like native controls go back to their default value (only when formName or validation is set).
+     * @param {HTMLElement} container - Container element of the dropdown
+     * @param {Object} settings - Instance settings
+     */
+    addFormResetListener: function (container, settings) {
+        const form = settings.formName || settings.validation ? container.closest('form') : null;
+        if (!form) return;
+
+        CustomControl.addManagedListener(settings.containerId, form, 'reset', function () {
+            const instance = CustomControl.registry[settings.containerId];
+            CustomControl.close(settings.containerId);
+            CustomControl.runBatch(settings.containerId, 'reset', function () {
+                if (settings.value !== null) {
+                    CustomControl.setDDLData(settings.containerId, settings.value);
+                } else {
+                    CustomControl.clearAllSelections(settings.containerId);
+                }
+            });
+
+            // Back to pristine: no validation error until the dropdown is touched again
+            if (instance) {
+                instance.validationShown = false;
+                CustomControl.showValidationError(settings.containerId, null);
+            }
+        });
+    },
+
+    /**
+     ** Validation.
+     * Rules come from the validation option: required, minSelected / maxSelected (counted in submitted values, see getFormValues())
+     * and validator(value) returning true, false or an error message. Errors show under the header once the dropdown was touched
+     * (closed by the user after opening, validate(), a form submit); inside a <form> a hidden proxy input carries the error to the Constraint Validation API.
+     */
+
+    /**
+     * Normalize the validation option (invalid parts are ignored with a warning).
+     * @param {Object} [validation] - {required, minSelected, maxSelected, validator}
+     * @returns {Object|null} Normalized rules, or null when there are none
+     */
+    normalizeValidation: function (validation) {
+        if (validation === undefined || validation === null) return null;
+        if (typeof validation !== 'object') {
+            console.warn(`[CustomControl] 'validation' must be an object, received: ${typeof validation}. Ignoring it.`);
+            return null;
+        }
+
+        const readCount = function (key) {
+            const value = validation[key];
+            if (value === undefined || value === null) return null;
+            if (!Number.isInteger(value) || value < 0) {
+                console.warn(`[CustomControl] 'validation.${key}' must be a non-negative integer, received: ${JSON.stringify(value)}. Ignoring it.`);
+                return null;
+            }
+            return value;
+        };
+
+        const rules = {
+            required: validation.required === true,
+            minSelected: readCount('minSelected'),
+            maxSelected: readCount('maxSelected'),
+            validator: typeof validation.validator === 'function' ? validation.validator : null
+        };
+
+        if (validation.validator !== undefined && !rules.validator) {
+            console.warn(`[CustomControl] 'validation.validator' must be a function, received: ${typeof validation.validator}. Ignoring it.`);
+        }
+        if (rules.minSelected !== null && rules.maxSelected !== null && rules.minSelected > rules.maxSelected) {
+            console.warn(`[CustomControl] 'validation.minSelected' (${rules.minSelected}) is greater than 'validation.maxSelected' (${rules.maxSelected}).`);
+        }
+
+        return rules;
+    },
+
+    /**
+     ** getValidationError(): Runs the rules against the current selection
+     * minSelected, like native minlength, doesn't apply to an empty selection (use required for that).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} [value] - Result of getDDLData(), read from the dropdown when omitted
+     * @returns {string|null} Error message, or null when valid
+     */
+    getValidationError: function (containerId, value) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || !instance.settings.validation) return null;
+
+        const rules = instance.settings.validation;
+        const messages = CustomControl.getMessages(containerId);
+        const ddlData = value || CustomControl.readDDLData(containerId);
+        const count = CustomControl.getFormValues(ddlData).length;
+
+        if (rules.required && count === 0) return messages.required();
+        if (rules.minSelected !== null && count > 0 && count < rules.minSelected) return messages.minSelected(rules.minSelected);
+        if (rules.maxSelected !== null && count > rules.maxSelected) return messages.maxSelected(rules.maxSelected);
+
+        if (rules.validator) {
+            let result;
+            try {
+                result = rules.validator(CustomControl.formatDDLData(containerId, ddlData));
+            } catch (error) {
+                console.error(`[CustomControl] validator for '${containerId}' threw:`, error);
+                return messages.invalid();
+            }
+            if (result === false) return messages.invalid();
+            if (typeof result === 'string' && result !== '') return result;
+        }
+
+        return null;
+    },
+
+    /**
+     * Create the inline error and, inside a form, the proxy input used by the Constraint Validation API.
+     * @param {HTMLElement} ddlWrapper - Dropdown wrapper element
+     * @param {HTMLElement} header - Header element
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    createValidationElements: function (ddlWrapper, header, containerId) {
+        const errorElement = CustomControl.createElement('div', 'ddl-error ddl-hidden', {
+            id: `${containerId}_error`
+        });
+        ddlWrapper.appendChild(errorElement);
+        header.setAttribute('aria-describedby', errorElement.id);
+
+        const instance = CustomControl.registry[containerId];
+        if (!instance || !instance.container.closest('form')) return;
+
+        // Created directly: it must belong to the form (no empty form attribute) and have no name so it submits nothing
+        const validityInput = document.createElement('input');
+        validityInput.type = 'text';
+        validityInput.tabIndex = -1;
+        validityInput.setAttribute('aria-hidden', 'true');
+
+        const validityAnchor = CustomControl.createElement('span', 'ddl-validity');
+        validityAnchor.appendChild(validityInput);
+        ddlWrapper.appendChild(validityAnchor);
+
+        // A blocked submit shows our inline error instead of the browser bubble on the hidden input
+        CustomControl.addManagedListener(containerId, validityInput, 'invalid', function (e) {
+            e.preventDefault();
+            CustomControl.validate(containerId);
+
+            // Focus the dropdown when it is the first invalid field, like the browser does for native controls
+            const firstInvalid = validityInput.form
+                ? Array.from(validityInput.form.elements).find(element => element.willValidate && !element.validity.valid)
+                : null;
+            if (firstInvalid === validityInput) {
+                header.focus();
+            }
+        });
+    },
+
+    /**
+     ** refreshValidity(): Re-runs the rules after a change (custom validity always, the inline error once shown)
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} [value] - Result of getDDLData(), read from the dropdown when omitted
+     */
+    refreshValidity: function (containerId, value) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance || !instance.settings.validation || !instance.ddlWrapper) return;
+
+        const message = CustomControl.getValidationError(containerId, value);
+
+        const validityAnchor = CustomControl.getByName(instance.ddlWrapper, 'ddl-validity');
+        if (validityAnchor) {
+            validityAnchor.firstChild.setCustomValidity(message || '');
+        }
+
+        if (instance.validationShown) {
+            CustomControl.showValidationError(containerId, message);
+        }
+    },
+
+    /**
+     * Show or hide the inline error and the invalid state.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string|null} message - Error message, or null to clear it
+     */
+    showValidationError: function (containerId, message) {
+        const ddlWrapper = CustomControl.getDropdownWrapper(containerId);
+        const errorElement = ddlWrapper ? CustomControl.getByName(ddlWrapper, 'ddl-error') : null;
+        if (!errorElement) return;
+
+        const header = CustomControl.getByName(ddlWrapper, 'ddl-header');
+        errorElement.innerText = message || '';
+
+        if (message) {
+            CustomControl.nameListRemove(errorElement, 'ddl-hidden');
+            CustomControl.nameListAdd(ddlWrapper, 'invalid');
+            header.setAttribute('aria-invalid', 'true');
+        } else {
+            CustomControl.nameListAdd(errorElement, 'ddl-hidden');
+            CustomControl.nameListRemove(ddlWrapper, 'invalid');
+            header.removeAttribute('aria-invalid');
+        }
+    },
+
+    /**
+     * How many more values can be selected before maxSelected is reached.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {number} Remaining selections (Infinity without maxSelected)
+     */
+    getRemainingSelections: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        const rules = instance ? instance.settings.validation : null;
+        if (!rules || rules.maxSelected === null) return Infinity;
+
+        const count = CustomControl.getFormValues(CustomControl.readDDLData(containerId)).length;
+        return Math.max(0, rules.maxSelected - count);
+    },
+
+    /**
+     * Check whether a rendered row is a value of its own (see getFormValues()): a leaf, or any row when parents don't follow their children.
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @param {string} [cascade='all'] - Cascade policy
+     * @returns {boolean} True for value rows
+     */
+    isLeafRow: function (row, cascade = 'all') {
+        return !CustomControl.cascadesUp(cascade)
+            || CustomControl.nameListContains(row, 'ddl-child')
+            || CustomControl.getChildRows(row.parentElement).length === 0;
+    },
+
+    /**
+     * Count the unchecked values a row would select when checked (itself for a leaf).
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @param {string} [cascade='all'] - Cascade policy
+     * @returns {number} Number of values checking the row adds
+     */
+    countUncheckedLeaves: function (row, cascade = 'all') {
+        const rows = CustomControl.nameListContains(row, 'ddl-parent-label') && CustomControl.cascadesDown(cascade)
+            ? [row, ...CustomControl.getDescendantRows(row.parentElement)]
+            : [row];
+
+        return rows.filter(candidate => {
+            const checkbox = CustomControl.getRowCheckbox(candidate);
+            return checkbox && !checkbox.checked && !CustomControl.isRowDisabled(candidate) && CustomControl.isLeafRow(candidate, cascade);
+        }).length;
+    },
+
+    /**
+     * Count the unchecked values of a model node (itself for a leaf).
+     * @param {Object} node - Virtual model node
+     * @param {string} [cascade='all'] - Cascade policy
+     * @returns {number} Number of values checking the node adds
+     */
+    countUncheckedVirtualLeaves: function (node, cascade = 'all') {
+        if (!node.children || node.children.length === 0) return node.checked || node.disabled ? 0 : 1;
+
+        const own = !node.checked && !node.disabled && !CustomControl.cascadesUp(cascade) ? 1 : 0;
+        if (!CustomControl.cascadesDown(cascade)) return own;
+        return node.children.reduce((total, child) => total + CustomControl.countUncheckedVirtualLeaves(child, cascade), own);
+    },
+
+    /**
+     * Count every unchecked value of a dropdown (what Select All would add).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {number} Number of unchecked values
+     */
+    getUncheckedLeafCount: function (containerId) {
+        const cascade = CustomControl.getCascade(containerId);
+        const virtualModel = CustomControl.getVirtualModel(containerId);
+        if (virtualModel) {
+            // Every node is counted once, whatever the cascade
+            let count = 0;
+            CustomControl.forEachVirtualNode(virtualModel, node => {
+                const isLeaf = !node.children || node.children.length === 0;
+                if (!node.checked && !node.disabled && (isLeaf || !CustomControl.cascadesUp(cascade))) count++;
+            });
+            return count;
+        }
+
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return 0;
+
+        return Array.from(dropdownContainer.querySelectorAll('[name~="ddl-parent-label"], [name~="ddl-child"]'))
+            .filter(row => {
+                const checkbox = CustomControl.getRowCheckbox(row);
+                return checkbox && !checkbox.checked && !CustomControl.isRowDisabled(row) && CustomControl.isLeafRow(row, cascade);
+            }).length;
+    },
+
+    /**
+     * Mark a row as blocked by maxSelected (its checkbox can't be checked).
+     * @param {HTMLElement} row - Row element
+     * @param {HTMLInputElement} checkbox - Row checkbox
+     * @param {boolean} isLimited - Whether checking the row would exceed maxSelected
+     */
+    setRowLimited: function (row, checkbox, isLimited) {
+        const isDisabled = CustomControl.isRowDisabled(row); // disabled items stay disabled either way
+        checkbox.disabled = isLimited || isDisabled;
+        if (isLimited) {
+            CustomControl.nameListAdd(row, 'ddl-limited');
+            row.setAttribute('aria-disabled', 'true');
+        } else {
+            CustomControl.nameListRemove(row, 'ddl-limited');
+            if (!isDisabled) row.removeAttribute('aria-disabled');
+        }
+    },
+
+    /**
+     ** applySelectionLimit(): Disables the checkboxes (and Select All) that would take the selection past maxSelected
+     * Checked rows stay enabled so they can always be unchecked.
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    applySelectionLimit: function (containerId) {
+        const remaining = CustomControl.getRemainingSelections(containerId);
+        if (remaining === Infinity) return;
+
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
+        if (!optionsContainer) return;
+
+        if (!CustomControl.getVirtualModel(containerId)) {
+            const cascade = CustomControl.getCascade(containerId);
+            optionsContainer.querySelectorAll('[name~="ddl-parent-label"], [name~="ddl-child"]').forEach(row => {
+                const checkbox = CustomControl.getRowCheckbox(row);
+                if (!checkbox) return;
+                CustomControl.setRowLimited(row, checkbox, !checkbox.checked && CustomControl.countUncheckedLeaves(row, cascade) > remaining);
+            });
+        }
+
+        const btnSelectAll = CustomControl.getByName(optionsContainer, 'select-all');
+        if (btnSelectAll) {
+            btnSelectAll.disabled = CustomControl.getUncheckedLeafCount(containerId) > remaining;
+        }
+    },
+
+    /**
+     ** Accessibility (WAI-ARIA combobox pattern).
+     * The header is the combobox, the options container is its listbox (or tree with tree view), rows are option/treeitem.
+     * Multi-select rows carry aria-checked ("mixed" for indeterminate parents); the row checkboxes are hidden from assistive technologies.
+     */
+
+    /**
+     ** applyAriaRoles(): Sets the static roles and relations of a freshly rendered dropdown
+     * @param {HTMLElement} header - Header element (combobox)
+     * @param {HTMLElement} optionsContainer - Options container element (listbox / tree)
+     * @param {Object} settings - Instance settings
+     */
+    applyAriaRoles: function (header, optionsContainer, settings) {
+        const { hasMultiSelect, hasTreeView } = settings.flags;
+        const popupRole = hasTreeView ? 'tree' : 'listbox';
+
+        optionsContainer.id = `${settings.containerId}_listbox`;
+        optionsContainer.setAttribute('role', popupRole);
+        if (hasMultiSelect) {
+            optionsContainer.setAttribute('aria-multiselectable', 'true');
+        }
+
+        header.setAttribute('aria-haspopup', popupRole);
+        header.setAttribute('aria-controls', optionsContainer.id);
+
+        const searchBox = CustomControl.getByName(optionsContainer, 'ddl-search');
+        if (searchBox) {
+            searchBox.setAttribute('aria-controls', optionsContainer.id);
+            searchBox.setAttribute('aria-autocomplete', 'list');
+            searchBox.setAttribute('aria-label', searchBox.placeholder);
+        }
+    },
+
+    /**
+     * Keep a row checkbox out of the tab order and the accessibility tree (the row itself reports the state).
+     * @param {HTMLInputElement} checkbox - Row checkbox
+     */
+    hideRowCheckbox: function (checkbox) {
+        checkbox.tabIndex = -1;
+        checkbox.setAttribute('aria-hidden', 'true');
+    },
+
+    /**
+     * Reflect the open state on the combobox.
+     * @param {HTMLElement} ddlWrapper - Dropdown wrapper element
+     * @param {boolean} isExpanded - Whether the popup is open
+     */
+    setHeaderExpanded: function (ddlWrapper, isExpanded) {
+        const header = CustomControl.getByName(ddlWrapper, 'ddl-header');
+        if (header) {
+            header.setAttribute('aria-expanded', String(isExpanded));
+        }
+    },
+
+    /**
+     * Point aria-activedescendant of the focusable elements (header and search box) at the active option.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string|null} rowId - ID of the active row, or null to clear it
+     */
+    setActiveDescendant: function (containerId, rowId) {
+        const ddlWrapper = CustomControl.getDropdownWrapper(containerId);
+        if (!ddlWrapper) return;
+
+        [CustomControl.getByName(ddlWrapper, 'ddl-header'), CustomControl.getByName(ddlWrapper, 'ddl-search')]
+            .filter(element => !!element)
+            .forEach(element => {
+                if (rowId) {
+                    element.setAttribute('aria-activedescendant', rowId);
+                } else {
+                    element.removeAttribute('aria-activedescendant');
+                }
+            });
+    },
+
+    /**
+     ** updateAriaStates(): Copies checkbox / selection state of the rendered rows into aria-checked and aria-selected
+     * Virtual rows get their state when they are created, so only DOM mode needs this pass.
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    updateAriaStates: function (containerId) {
+        if (CustomControl.getVirtualModel(containerId)) return;
+
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
+        if (!optionsContainer) return;
+
+        optionsContainer.querySelectorAll('[name~="ddl-parent-label"], [name~="ddl-child"]').forEach(row => {
+            const checkbox = CustomControl.getRowCheckbox(row);
+            if (checkbox) {
+                row.setAttribute('aria-checked', checkbox.indeterminate ? 'mixed' : String(checkbox.checked));
+                row.setAttribute('aria-selected', String(checkbox.checked));
+            } else if (CustomControl.nameListContains(row, 'ddl-option')) {
+                row.setAttribute('aria-selected', String(CustomControl.nameListContains(row, 'ddl-selected')));
+            }
+        });
+    },
+
+    /**
+     * Create the visually hidden polite live region used for announcements.
+     * @returns {HTMLElement} Live region element
+     */
+    createLiveRegion: function () {
+        const liveRegion = CustomControl.createElement('div', 'ddl-live-region');
+        liveRegion.setAttribute('role', 'status');
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.setAttribute('aria-atomic', 'true');
+        return liveRegion;
+    },
+
+    /**
+     * Get the announcement messages of an instance locale.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {Object} Message functions (see CustomControl.messages)
+     */
+    getMessages: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        return CustomControl.messages[instance ? instance.settings.locale : 'ar'];
+    },
+
+    /**
+     ** announce(): Puts a message in the live region (a repeated message is nudged so it is read again)
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string} message - Text to announce
+     */
+    announce: function (containerId, message) {
+        const ddlWrapper = CustomControl.getDropdownWrapper(containerId);
+        const liveRegion = ddlWrapper ? CustomControl.getByName(ddlWrapper, 'ddl-live-region') : null;
+        if (!liveRegion) return;
+
+        liveRegion.textContent = liveRegion.textContent === message ? `${message}\u00A0` : message;
+    },
+
+    /**
+     * Announce the selection after a change (count for multi-select, the picked name for single-select).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} value - Result of getDDLData()
+     */
+    announceSelection: function (containerId, value) {
+        const messages = CustomControl.getMessages(containerId);
+
+        if (!value.hasData) {
+            CustomControl.announce(containerId, messages.cleared());
+        } else if (value.selectionType === 'single-flat' || value.selectionType === 'single-tree') {
+            CustomControl.announce(containerId, messages.selectedItem(value.selected[0].name));
+        } else {
+            CustomControl.announce(containerId, messages.selectedCount(CustomControl.getMultiSelectSelectionCount(containerId)));
+        }
+    },
+
+    /**
+     ** Keyboard navigation.
+     * Focus stays on the header (or the search box); the "active" option is marked with ddl-active and moved with the keys.
+     * Virtual scroll dropdowns keep the active option in the model (model.activeNode), so it survives re-rendering.
+     */
+
+    /**
+     * Milliseconds type-ahead keeps collecting characters before starting a new match.
+     */
+    typeAheadTimeout: 500,
+
+    /**
+     ** handleKeyDown(): Keyboard handler of the dropdown wrapper (header, search box and options)
+     * Closed: Enter / Space / ArrowDown open. Open: ArrowUp/Down move, Home/End jump, Left/Right collapse/expand tree parents
+     * (mirrored for RTL), Space/Enter toggle (multi-select) or pick (single-select), Escape closes,
+     * Tab closes and moves on, printable characters jump by name when there is no search box.
+     * Inside the search box, Space, Left/Right and Home/End keep editing the text.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyDown: function (containerId, e) {
+        const instance = CustomControl.registry[containerId];
+        const ddlWrapper = CustomControl.getDropdownWrapper(containerId);
+        if (!instance || !ddlWrapper || instance.disabled) return;
+        if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const header = CustomControl.getByName(ddlWrapper, 'ddl-header');
+        const isOpen = CustomControl.nameListContains(ddlWrapper, 'open');
+        const inSearchBox = CustomControl.nameListContains(e.target, 'ddl-search');
+        const { hasMultiSelect } = instance.settings.flags;
+
+        if (!isOpen) {
+            if (e.target === header && (e.key === 'Enter' || e.key === ' ' || e.key === 'ArrowDown')) {
+                e.preventDefault();
+                CustomControl.openWithKeyboard(containerId);
+            }
+            return;
+        }
+
+        // Left/Right follow the reading direction: "forward" expands, "backward" collapses
+        const isRTL = CustomControl.isRTL(ddlWrapper);
+        const expandKey = isRTL ? 'ArrowLeft' : 'ArrowRight';
+        const collapseKey = isRTL ? 'ArrowRight' : 'ArrowLeft';
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                CustomControl.moveActiveOption(containerId, 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                CustomControl.moveActiveOption(containerId, -1);
+                break;
+            case 'Home':
+            case 'End':
+                if (inSearchBox) return;
+                e.preventDefault();
+                CustomControl.setActiveOption(containerId, e.key === 'Home' ? 0 : Infinity);
+                break;
+            case expandKey:
+            case collapseKey:
+                if (inSearchBox) return;
+                e.preventDefault();
+                CustomControl.expandActiveOption(containerId, e.key === expandKey);
+                break;
+            case ' ':
+                if (inSearchBox) return;
+                e.preventDefault();
+                if (!hasMultiSelect && instance.typeAhead && instance.typeAhead.buffer) {
+                    // A space inside a name being typed ("Al R...") continues the type-ahead
+                    CustomControl.typeAhead(containerId, e.key);
+                } else {
+                    CustomControl.activateActiveOption(containerId);
+                }
+                break;
+            case 'Enter':
+                e.preventDefault();
+                CustomControl.activateActiveOption(containerId);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                CustomControl.closeDropdown(ddlWrapper, CustomControl.getByName(ddlWrapper, 'ddl-options'), true);
+                header.focus();
+                break;
+            case 'Tab':
+                CustomControl.closeDropdown(ddlWrapper, CustomControl.getByName(ddlWrapper, 'ddl-options'), true);
+                break;
+            default:
+                // Type-ahead only without a search box (the search box already filters by typing)
+                if (e.key.length === 1 && !instance.settings.flags.hasSearch) {
+                    e.preventDefault();
+                    CustomControl.typeAhead(containerId, e.key);
+                }
+        }
+    },
+
+    /**
+     * Check whether an element is laid out right-to-left.
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean} True for RTL
+     */
+    isRTL: function (element) {
+        const direction = window.getComputedStyle(element).direction;
+        if (direction) return direction === 'rtl';
+        const dirElement = element.closest('[dir]');
+        return !!dirElement && dirElement.getAttribute('dir').toLowerCase() === 'rtl';
+    },
+
+    /**
+     * Open the dropdown from the keyboard and put the active option on the current selection (or the first option).
+     * The search box, if any, receives focus so the user can type right away.
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    openWithKeyboard: function (containerId) {
+        if (!CustomControl.open(containerId)) return;
+
+        const ddlWrapper = CustomControl.getDropdownWrapper(containerId);
+        const options = CustomControl.getKeyboardOptions(containerId);
+        const selectedIndex = options.findIndex(option => option.isSelected);
+        CustomControl.setActiveOption(containerId, selectedIndex !== -1 ? selectedIndex : 0);
+
+        const searchBox = CustomControl.getByName(ddlWrapper, 'ddl-search');
+        if (searchBox) {
+            searchBox.focus();
+        }
+    },
+
+    /**
+     ** getKeyboardOptions(): Lists the options the keyboard can reach, in display order
+     * DOM mode: rows not hidden by search (ddl-hidden) or by a collapsed parent. Virtual mode: the model rows.
+     * Every entry is { row, node, text, isSelected, isParent, isExpandable, isExpanded }.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {Array<Object>} Reachable options
+     */
+    getKeyboardOptions: function (containerId) {
+        const virtualModel = CustomControl.getVirtualModel(containerId);
+        if (virtualModel) {
+            return virtualModel.rows.map(node => ({
+                row: null,
+                node: node,
+                text: node.name,
+                isSelected: node === virtualModel.selectedNode || node.checked || node.indeterminate,
+                isParent: CustomControl.isVirtualParent(node),
+                isExpandable: !!node.children && node.children.length > 0,
+                isExpanded: !!node.children && node.children.length > 0 && node.expanded
+            }));
+        }
+
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
+        if (!optionsContainer) return [];
+
+        return Array.from(optionsContainer.querySelectorAll('[name~="ddl-parent-label"], [name~="ddl-child"]'))
+            .filter(row => CustomControl.isRowVisible(row) && !row.closest('[name~="ddl-children"][name~="hidden"]'))
+            .map(row => {
+                const checkbox = CustomControl.getRowCheckbox(row);
+                const isExpandable = CustomControl.nameListContains(row, 'has-children');
+                return {
+                    row: row,
+                    node: null,
+                    text: CustomControl.getRowText(row),
+                    isSelected: checkbox
+                        ? (checkbox.checked || checkbox.indeterminate)
+                        : CustomControl.nameListContains(row, 'ddl-selected'),
+                    isParent: CustomControl.nameListContains(row, 'ddl-parent-label'),
+                    isExpandable: isExpandable,
+                    isExpanded: isExpandable && CustomControl.nameListContains(row, 'expanded')
                 };
+            });
+    },
 
-                checkedChildren.forEach(cb => {
-                    const childId = cb.dataset.childId;
-                    const child = parent.children.find(c => c.id == childId);
-                    if (child) {
-                        parentData.children.push({
-                            id: child.id,
-                            name: child.name
-                        });
-                    }
-                });
+    /**
+     * Get the position of the active option in getKeyboardOptions().
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Array<Object>} options - Result of getKeyboardOptions()
+     * @returns {number} Index or -1 when no option is active
+     */
+    getActiveOptionIndex: function (containerId, options) {
+        const instance = CustomControl.registry[containerId];
+        const virtualModel = CustomControl.getVirtualModel(containerId);
+        if (virtualModel) {
+            return options.findIndex(option => option.node === virtualModel.activeNode);
+        }
+        return options.findIndex(option => option.row === instance.activeRow);
+    },
+
+    /**
+     ** setActiveOption(): Marks an option as active (ddl-active) and scrolls it into view
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {number} index - Index in getKeyboardOptions() (clamped to the list)
+     * @returns {HTMLElement|null} Active row element
+     */
+    setActiveOption: function (containerId, index) {
+        const instance = CustomControl.registry[containerId];
+        const options = CustomControl.getKeyboardOptions(containerId);
+        if (!instance || options.length === 0) return null;
+
+        const targetIndex = Math.max(0, Math.min(options.length - 1, index));
+        const target = options[targetIndex];
+
+        if (instance.activeRow) {
+            CustomControl.nameListRemove(instance.activeRow, 'ddl-active');
+        }
+
+        const virtualModel = CustomControl.getVirtualModel(containerId);
+        let activeRow;
+        if (virtualModel) {
+            virtualModel.activeNode = target.node;
+            activeRow = CustomControl.scrollToVirtualRow(containerId, targetIndex);
+        } else {
+            activeRow = target.row;
+            activeRow.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+
+        if (activeRow) {
+            CustomControl.nameListAdd(activeRow, 'ddl-active');
+        }
+        instance.activeRow = activeRow;
+        CustomControl.setActiveDescendant(containerId, activeRow ? activeRow.id : null);
+        return activeRow;
+    },
+
+    /**
+     * Move the active option up or down (stops at the ends).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {number} step - +1 for down, -1 for up
+     */
+    moveActiveOption: function (containerId, step) {
+        const options = CustomControl.getKeyboardOptions(containerId);
+        const activeIndex = CustomControl.getActiveOptionIndex(containerId, options);
+        CustomControl.setActiveOption(containerId, activeIndex === -1 ? 0 : activeIndex + step);
+    },
 
-                selectedData.push(parentData);
+    /**
+     ** expandActiveOption(): Tree navigation for Left/Right
+     * Expand: a collapsed parent expands, an expanded parent moves to its first child.
+     * Collapse: an expanded parent collapses, anything else moves to its parent.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {boolean} expand - True for the "expand" key, false for the "collapse" key
+     */
+    expandActiveOption: function (containerId, expand) {
+        const options = CustomControl.getKeyboardOptions(containerId);
+        const activeIndex = CustomControl.getActiveOptionIndex(containerId, options);
+        if (activeIndex === -1) return;
+
+        const active = options[activeIndex];
+
+        if (expand) {
+            if (active.isExpandable && !active.isExpanded) {
+                CustomControl.toggleOptionExpansion(containerId, active);
+            } else if (active.isExpanded) {
+                CustomControl.setActiveOption(containerId, activeIndex + 1);
             }
-        });
+            return;
+        }
+
+        if (active.isExpanded) {
+            CustomControl.toggleOptionExpansion(containerId, active);
+            return;
+        }
 
-        return selectedData;
+        // Move to the parent row
+        const parentIndex = options.findIndex(option => active.node
+            ? option.node === active.node.parent
+            : option.row === CustomControl.getOwnerParentLabel(active.row));
+        if (parentIndex !== -1) {
+            CustomControl.setActiveOption(containerId, parentIndex);
+        }
     },
 
     /**
-     ** Get selected data for flat multi-select dropdowns.
-     * @param {HTMLElement} dropdownContainer - Dropdown container element
-     * @param {Array} data - Hierarchical data for this dropdown
-     * @returns {Array} Array of selected parent objects
+     * Get the label row of the parent a row is nested in.
+     * @param {HTMLElement} row - ddl-parent-label or ddl-child element
+     * @returns {HTMLElement|null} Parent ddl-parent-label or null for top level rows
      */
-    getFlatSelectedData: function (dropdownContainer, data) {
-        const selectedData = [];
-        const parentCheckboxes = dropdownContainer.querySelectorAll('[name*="parent-checkbox"]:checked');
-        
-        parentCheckboxes.forEach(checkbox => {
-            const parentId = checkbox.dataset.parentId;
-            const parent = data.find(p => p.id == parentId);
-            if (parent) {
-                selectedData.push({
-                    id: parent.id,
-                    name: parent.name
-                });
+    getOwnerParentLabel: function (row) {
+        const ownerParent = CustomControl.getOwnerParentElement(row);
+        return ownerParent ? CustomControl.getByName(ownerParent, 'ddl-parent-label') : null;
+    },
+
+    /**
+     * Expand or collapse a tree parent through its normal click behavior (so lazy children load as usual).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} option - Entry of getKeyboardOptions()
+     */
+    toggleOptionExpansion: function (containerId, option) {
+        if (option.node) {
+            CustomControl.toggleVirtualNode(containerId, option.node);
+            CustomControl.setActiveOption(containerId, CustomControl.getVirtualModel(containerId).rows.indexOf(option.node));
+            return;
+        }
+
+        const labelText = CustomControl.getByName(option.row, 'ddl-label-text');
+        (labelText || option.row).click();
+    },
+
+    /**
+     ** activateActiveOption(): Space/Enter on the active option
+     * Multi-select toggles its checkbox; single-select picks it (or expands/collapses a tree parent) and returns focus to the header when the dropdown closes.
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    activateActiveOption: function (containerId) {
+        const options = CustomControl.getKeyboardOptions(containerId);
+        const activeIndex = CustomControl.getActiveOptionIndex(containerId, options);
+        if (activeIndex === -1) return;
+
+        // Make sure the row is rendered (virtual scroll) before clicking it
+        const activeRow = CustomControl.setActiveOption(containerId, activeIndex);
+        if (!activeRow) return;
+
+        const checkbox = CustomControl.getRowCheckbox(activeRow);
+        if (checkbox) {
+            checkbox.click();
+            CustomControl.setActiveOption(containerId, activeIndex); // virtual rows are re-rendered by the change
+            return;
+        }
+
+        activeRow.click();
+
+        const ddlWrapper = CustomControl.getDropdownWrapper(containerId);
+        if (!CustomControl.nameListContains(ddlWrapper, 'open')) {
+            CustomControl.getByName(ddlWrapper, 'ddl-header').focus();
+        } else {
+            CustomControl.setActiveOption(containerId, activeIndex);
+        }
+    },
+
+    /**
+     ** typeAhead(): Jumps to the next option whose name starts with the typed characters
+     * Characters typed within typeAheadTimeout ms are combined; repeating one character cycles through its matches.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string} character - Typed character
+     */
+    typeAhead: function (containerId, character) {
+        const instance = CustomControl.registry[containerId];
+        const state = instance.typeAhead || (instance.typeAhead = { buffer: '', timer: null });
+
+        // Typed characters are normalized like search terms ("ا" also finds "أ"); tashkeel alone adds nothing
+        const normalizedCharacter = CustomControl.normalizeSearchText(containerId, character);
+        if (normalizedCharacter === '') return;
+
+        clearTimeout(state.timer);
+        state.buffer += normalizedCharacter;
+        state.timer = setTimeout(() => {
+            state.buffer = '';
+        }, CustomControl.typeAheadTimeout);
+
+        const options = CustomControl.getKeyboardOptions(containerId);
+        const activeIndex = CustomControl.getActiveOptionIndex(containerId, options);
+
+        // Same character repeated: cycle through options starting with it
+        const isRepeat = state.buffer.split('').every(ch => ch === state.buffer[0]);
+        const prefix = isRepeat ? state.buffer[0] : state.buffer;
+        const startOffset = isRepeat || activeIndex === -1 ? 1 : 0;
+
+        for (let offset = 0; offset < options.length; offset++) {
+            const index = (Math.max(activeIndex, 0) + startOffset + offset) % options.length;
+            if (CustomControl.normalizeSearchText(containerId, options[index].text).startsWith(prefix)) {
+                CustomControl.setActiveOption(containerId, index);
+                return;
             }
-        });
+        }
+    },
+
+    /**
+     * Forget the active option (when the dropdown closes or re-renders).
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    clearActiveOption: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        if (!instance) return;
+
+        if (instance.activeRow) {
+            CustomControl.nameListRemove(instance.activeRow, 'ddl-active');
+        }
+        instance.activeRow = null;
+        CustomControl.setActiveDescendant(containerId, null);
 
-        return selectedData;
+        const virtualModel = CustomControl.getVirtualModel(containerId);
+        if (virtualModel) {
+            virtualModel.activeNode = null;
+        }
     },
 
     /**
-     ** Get selected data for single selection dropdowns.
-     * @param {HTMLElement} dropdownContainer - Dropdown container element
-     * @param {Array} data - Hierarchical data for this dropdown
-     * @returns {Object|null} Selected item object or null if nothing selected
+     ** Toggle dropdown open/close state.
+     * @param {HTMLElement} ddlWrapper - Dropdown wrapper element
+     * @param {HTMLElement} optionsContainer - Options container element
      */
-    getSingleSelectedData: function (dropdownContainer, data) {
-        // For single selection, find selected option (using ddl-selected class)
-        const allOptions = CustomControl.getAllByName(dropdownContainer, 'ddl-option');
-        const selectedOption = allOptions.find(option => 
-            CustomControl.nameListContains(option, 'ddl-selected')
-        );
-        
-        if (selectedOption) {
-            if (CustomControl.nameListContains(selectedOption, 'ddl-parent-label')) {
-                // Selected parent option - extract name directly from DOM
-                const parentId = selectedOption.dataset.id;
-                const parentTextSpan = CustomControl.getByName(selectedOption, 'ddl-label-text');
-                const parentName = parentTextSpan ? parentTextSpan.textContent.trim() : selectedOption.textContent.trim();
-                
-                return {
-                    id: parentId,
-                    name: parentName,
-                    type: 'parent'
-                };
-            } else if (CustomControl.nameListContains(selectedOption, 'ddl-child')) {
-                // Selected child option - extract names directly from DOM
-                const childId = selectedOption.dataset.id;
-                const parentId = selectedOption.dataset.parentId;
-                const childTextSpan = CustomControl.getByName(selectedOption, 'ddl-label-text');
-                const childName = childTextSpan ? childTextSpan.textContent.trim() : selectedOption.textContent.trim();
-                
-                // Get parent name from DOM
-                const parentElement = dropdownContainer.querySelector(`[name*="ddl-parent-label"][data-id="${parentId}"]`);
-                let parentName = "";
-                if (parentElement) {
-                    const parentTextSpan = CustomControl.getByName(parentElement, 'ddl-label-text');
-                    parentName = parentTextSpan ? parentTextSpan.textContent.trim() : parentElement.textContent.trim();
+    /**
+     ** Close all other dropdowns except the current one.
+     * @param {HTMLElement} currentWrapper - Current dropdown wrapper to keep open
+     * @param {boolean} [isUserAction=false] - The user opened the current one (see closeDropdown())
+     */
+    closeAllOtherDropdowns: function (currentWrapper, isUserAction = false) {
+        const allDropdowns = CustomControl.getAllByName(document, 'custom-ddl');
+        allDropdowns.forEach(dropdown => {
+            if (dropdown !== currentWrapper && CustomControl.nameListContains(dropdown, 'open')) {
+                const optionsContainer = CustomControl.getByName(dropdown, 'ddl-options');
+                if (optionsContainer) {
+                    CustomControl.closeDropdown(dropdown, optionsContainer, isUserAction);
                 }
-                
-                return {
-                    id: childId,
-                    name: childName,
-                    type: 'child',
-                    parent: {
-                        id: parentId,
-                        name: parentName
-                    }
-                };
             }
+        });
+    },
+
+    toggleDropdown: function (ddlWrapper, optionsContainer) {
+        // Disabled dropdowns ignore header clicks
+        if (CustomControl.nameListContains(ddlWrapper, 'disabled')) return;
+
+        const isHidden = CustomControl.nameListContains(optionsContainer, 'hidden');
+        
+        if (isHidden) {
+            // Close all other dropdowns before opening this one
+            CustomControl.closeAllOtherDropdowns(ddlWrapper, true);
+            CustomControl.openDropdown(ddlWrapper, optionsContainer);
+        } else {
+            CustomControl.closeDropdown(ddlWrapper, optionsContainer, true);
         }
+    },
 
-        return null;
+    /**
+     ** Scroll to the selected option in the dropdown.
+     * @param {HTMLElement} optionsContainer - Options container element
+     * @param {HTMLElement} ddlWrapper - Dropdown wrapper element
+     */
+    scrollToSelectedOption: function(optionsContainer, ddlWrapper) {
+        // Get container ID from wrapper
+        const containerId = CustomControl.extractContainerIdFromElement(ddlWrapper);
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        if (!dropdownContainer) return;
+
+        if (CustomControl.getVirtualModel(containerId)) {
+            CustomControl.scrollToVirtualSelection(containerId);
+            return;
+        }
+
+        // Check if this is multi-select or single-select
+        const checkboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox');
+        const hasCheckboxes = checkboxes.length > 0;
+
+        let selectedElement = null;
+
+        if (hasCheckboxes) {
+            // Multi-select: find first checked checkbox and its parent element
+            const checkedCheckbox = checkboxes.find(checkbox => checkbox.checked);
+            if (checkedCheckbox) {
+                // Find the parent option element (either ddl-parent-label or ddl-child)
+                selectedElement = checkedCheckbox.closest('[name~="ddl-parent-label"], [name~="ddl-child"]');
+            }
+        } else {
+            // Single-select: find element with ddl-selected
+            const allOptions = CustomControl.getAllByName(dropdownContainer, 'ddl-option');
+            selectedElement = allOptions.find(option => 
+                CustomControl.nameListContains(option, 'ddl-selected')
+            );
+        }
+
+        // Scroll to the selected element if found
+        if (selectedElement) {
+            // Use setTimeout to ensure the dropdown is fully opened before scrolling
+            setTimeout(() => {
+                selectedElement.scrollIntoView({
+                    behavior: 'smooth',
+                    block: 'nearest',
+                    inline: 'nearest'
+                });
+            }, 50);
+        }
     },
 
     /**
-     ** Extract container ID from a DOM element (checkbox, etc.).
-     * @param {HTMLElement} element - DOM element with ID containing container info
-     * @returns {string|null} Container ID or null if not extractable
+     ** Open the dropdown.
+     * @param {HTMLElement} ddlWrapper - Dropdown wrapper element
+     * @param {HTMLElement} optionsContainer - Options container element
      */
-    extractContainerIdFromElement: function (element) {
-        if (!element || !element.id) {
-                return null;
+    openDropdown: function (ddlWrapper, optionsContainer) {
+        const wasOpen = CustomControl.nameListContains(ddlWrapper, 'open');
+
+        CustomControl.nameListRemove(optionsContainer, 'hidden');
+        CustomControl.nameListAdd(ddlWrapper, 'open');
+        CustomControl.setHeaderExpanded(ddlWrapper, true);
+        
+        // Update navigation icon visibility when dropdown opens
+        const containerId = CustomControl.extractContainerIdFromElement(ddlWrapper);
+        CustomControl.updateMultiNavIconVisibility(containerId);
+        
+        // Scroll to selected option after opening
+        CustomControl.scrollToSelectedOption(optionsContainer, ddlWrapper);
+
+        if (!wasOpen) {
+            CustomControl.notifyVisibilityChange(containerId, 'open');
         }
+    },
+
+    /**
+     ** Close the dropdown.
+     * @param {HTMLElement} ddlWrapper - Dropdown wrapper element
+     * @param {HTMLElement} optionsContainer - Options container element
+     * @param {boolean} [isUserAction=false] - Closed by the user (outside click, Escape, Tab, header click, picking an option);
+     *        only then the dropdown counts as touched and starts showing its validation error
+     */
+    closeDropdown: function (ddlWrapper, optionsContainer, isUserAction = false) {
+        const wasOpen = CustomControl.nameListContains(ddlWrapper, 'open');
+
+        CustomControl.nameListAdd(optionsContainer, 'hidden');
+        CustomControl.nameListRemove(ddlWrapper, 'open');
+        CustomControl.setHeaderExpanded(ddlWrapper, false);
         
-        // Extract containerId from IDs like: 
-        // "DDLcontainer0000-1-checkbox" (parent) 
-        // "DDLcontainer0000-1-101-checkbox" (child)
-        if (element.id.endsWith('-checkbox')) {
-            const withoutCheckbox = element.id.replace('-checkbox', '');
-            const parts = withoutCheckbox.split('-');
-            
-            if (parts.length >= 2) {
-                // For parent: DDLcontainer0000-1 → DDLcontainer0000 (remove 1 part)
-                // For child: DDLcontainer0000-1-101 → DDLcontainer0000 (remove 2 parts)
-                
-                let containerId;
-                if (parts.length === 2) {
-                    // Parent checkbox: DDLcontainer0000-1
-                    containerId = parts[0];
-                } else if (parts.length === 3) {
-                    // Child checkbox: DDLcontainer0000-1-101
-                    containerId = parts[0];
-                } else {
-                    // Fallback: take all parts except the last one
-                    containerId = parts.slice(0, -1).join('-');
-                }
-                
-                return containerId;
+        // Hide navigation icon when dropdown closes
+        const containerId = CustomControl.extractContainerIdFromElement(ddlWrapper);
+        CustomControl.clearActiveOption(containerId);
+        CustomControl.updateMultiNavIconVisibility(containerId);
+
+        // Outside clicks close every dropdown, so only emit for the one that was actually open
+        if (wasOpen) {
+            CustomControl.notifyVisibilityChange(containerId, 'close');
+
+            // Leaving the dropdown counts as touching it: show its validation error from now on
+            // (close(), setDisabledState(), destroy() and setData() close it without the user)
+            if (isUserAction) {
+                CustomControl.validate(containerId);
             }
         }
-        
-        return null;
     },
 
     /**
-     ** Update visual highlighting for checkbox selections in multi-select mode.
-     * @param {HTMLElement} element - The parent label or child element to highlight
-     * @param {boolean} isChecked - Whether the checkbox is checked
+     ** Emit open/close events with the current selection (opening or closing doesn't change it, so there is no previous value).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {string} eventName - "open" or "close"
+     */
+    notifyVisibilityChange: function (containerId, eventName) {
+        CustomControl.emitEvent(containerId, eventName, {
+            value: CustomControl.getDDLData(containerId)
+        });
+    },
+
+    /**
+     ** Virtual scroll mode (flags.hasVirtualScroll).
+     * Options live in an in-memory model (instance.virtual) and only the rows inside the viewport are in the DOM.
+     * Selection, expand/collapse and search change the model; the public API (getDDLData, setDDLData, Select All,
+     * Clear All, navigation icon) reads and writes the model, so it covers every item, rendered or not.
      */
-    updateCheckboxHighlight: function(element, isChecked) {
-        if (isChecked) {
-            CustomControl.nameListAdd(element, 'ddl-checked');
-        } else {
-            CustomControl.nameListRemove(element, 'ddl-checked');
-        }
+
+    /**
+     * Default sizes for virtual scroll mode (px).
+     */
+    virtualDefaults: {
+        rowHeight: 40,
+        viewportHeight: 300,
+        overscan: 6
     },
 
     /**
-     ** Clear all selections (works for both single and multi-select modes).
+     * Get the virtual model of an instance.
      * @param {string} containerId - Container ID for this dropdown instance
+     * @returns {Object|null} Virtual model or null when the dropdown doesn't use virtual scroll
      */
-    clearAllSelections: function(containerId) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
+    getVirtualModel: function (containerId) {
+        const instance = CustomControl.registry[containerId];
+        return instance && instance.virtual ? instance.virtual : null;
+    },
 
-        // Check if this is multi-select mode (has checkboxes in this specific dropdown)
-        const checkboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox');
-        const hasCheckboxes = checkboxes.length > 0;
+    /**
+     ** buildVirtualModel(): Converts data into model nodes {id, name, item, level, parent, children, expanded, checked, indeterminate, shown}
+     * In tree view every top level item is a parent (children: [] when it has none), like the DOM rendering; nested items without children are leaves.
+     * Without tree view only top level items are modeled.
+     * @param {Array} data - Hierarchical data
+     * @param {boolean} hasTreeView - Whether tree view is enabled
+     * @returns {Object} Model {roots, byId, rows, searchTerm, selectedNode, hasTreeView, isTree, cascade}
+     */
+    buildVirtualModel: function (data, hasTreeView) {
+        const model = {
+            roots: [],
+            byId: new Map(),
+            rows: [],
+            searchTerm: '',
+            selectedNode: null,
+            hasTreeView: hasTreeView,
+            isTree: false,
+            cascade: 'all'
+        };
 
-        if (hasCheckboxes) {
-            // Multi-select mode: clear all checkboxes
-            CustomControl.toggleAllSelections(containerId, false);
-        } else {
-            // Single-select mode: clear selected options
-            const allOptions = CustomControl.getAllByName(dropdownContainer, 'ddl-option');
-            
-            allOptions.forEach(option => {
-                CustomControl.nameListRemove(option, 'ddl-selected');
-            });
-            
-            // Update dropdown header to show placeholder
-            const header = CustomControl.getByName(dropdownContainer, 'ddl-header');
-            if (header && header.dataset.placeholder) {
-                header.innerText = header.dataset.placeholder;
-                CustomControl.nameListRemove(header, 'has-selections');
+        const createNode = function (item, level, parentNode) {
+            const node = {
+                id: String(item.id),
+                name: String(item.name),
+                item: item,
+                level: level,
+                parent: parentNode,
+                children: null,
+                expanded: true, // expanded by default, like the DOM tree view
+                disabled: CustomControl.isItemDisabled(item),
+                checked: false,
+                indeterminate: false,
+                shown: true
+            };
+
+            if (hasTreeView && (level === 0 || CustomControl.hasChildItems(item))) {
+                node.children = CustomControl.hasChildItems(item)
+                    ? item.children.map(child => createNode(child, level + 1, node))
+                    : [];
+                if (node.children.length > 0) model.isTree = true;
             }
-        }
+
+            if (!model.byId.has(node.id)) model.byId.set(node.id, []);
+            model.byId.get(node.id).push(node);
+            return node;
+        };
+
+        model.roots = data.map(item => createNode(item, 0, null));
+        CustomControl.refreshVirtualRows(model);
+        return model;
     },
 
     /**
-     ** Handle parent checkbox change - check/uncheck all children.
-     * @param {HTMLInputElement} parentCheckbox - Parent checkbox element
-     * @param {string} parentId - Parent ID
+     * Model version of matchSearchFields(): field values are normalized once per node and cached.
+     * @param {Object} node - Model node
+     * @param {string} searchTerm - Normalized search term
+     * @param {Object} search - Search context
+     * @returns {Object|null} {score, matchType, field, value} or null
      */
-    handleParentCheckboxChange: function (parentCheckbox, parentId) {
-        const isChecked = parentCheckbox.checked;
-        
-        // Extract container ID from checkbox element to ensure correct dropdown instance
-        const containerId = CustomControl.extractContainerIdFromElement(parentCheckbox);
-        if (!containerId) return;
-        
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
-        
-        // Check if there's an active search
-        const searchBox = CustomControl.getByName(dropdownContainer, 'ddl-search');
-        const hasActiveSearch = searchBox && searchBox.value.trim() !== '';
-        
-        const allChildCheckboxes = dropdownContainer.querySelectorAll(
-            `[name*="child-checkbox"][data-parent-id="${parentId}"]`
-        );
-        
-        let childrenToUpdate;
-        
-        if (hasActiveSearch) {
-            // During search: Only update VISIBLE children
-            childrenToUpdate = Array.from(allChildCheckboxes).filter(cb => {
-                const childElement = cb.closest('[name~="ddl-child"]');
-                return childElement && !CustomControl.nameListContains(childElement, 'ddl-hidden');
-            });
-        } else {
-            // No search: Update ALL children (normal behavior)
-            childrenToUpdate = Array.from(allChildCheckboxes);
+    matchVirtualSearchFields: function (node, searchTerm, search) {
+        if (node.searchFieldTexts === undefined) {
+            node.searchFieldTexts = CustomControl.getSearchFieldValues(CustomControl.getOriginalItem(node.item), search.fields)
+                .map(entry => Object.assign(entry, { text: search.normalize(entry.value) }));
         }
-        
-        // Set selected children to same state as parent
-        childrenToUpdate.forEach(childCheckbox => {
-            childCheckbox.checked = isChecked;
-            // Update highlighting for child elements
-            const childElement = childCheckbox.closest('[name~="ddl-child"]');
-            if (childElement) {
-                CustomControl.updateCheckboxHighlight(childElement, isChecked);
+
+        let best = null;
+        node.searchFieldTexts.forEach(({ field, value, text }) => {
+            const match = CustomControl.scoreSearchMatch(text, searchTerm, search.isFuzzy);
+            if (match && (!best || match.score * 0.95 > best.score)) {
+                best = Object.assign(match, { score: match.score * 0.95, field: field, value: value });
             }
         });
-        
-        // Update highlighting for parent element
-        const parentElement = parentCheckbox.closest('[name~="ddl-parent-label"]');
-        if (parentElement) {
-            CustomControl.updateCheckboxHighlight(parentElement, isChecked);
-        }
-        
-        console.log(`[CustomControl] Parent ${parentId} ${isChecked ? 'checked' : 'unchecked'}, updated ${childrenToUpdate.length}${hasActiveSearch ? ' visible' : ''} children out of ${allChildCheckboxes.length} total`);
-        
-        // Update dropdown header for this specific dropdown
-        CustomControl.updateDropdownHeader(containerId);
+        return best;
     },
 
     /**
-     ** Handle child checkbox change - update parent state accordingly.
-     * @param {HTMLInputElement} childCheckbox - Child checkbox element
-     * @param {string} parentId - Parent ID
+     * Rebuild the flattened row list: nodes shown by search whose ancestors are all expanded.
+     * @param {Object} model - Virtual model
      */
-    handleChildCheckboxChange: function (childCheckbox, parentId) {
-        // Extract container ID from checkbox element to ensure correct dropdown instance
-        const containerId = CustomControl.extractContainerIdFromElement(childCheckbox);
-        if (!containerId) return;
-        
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
-        
-        const parentCheckbox = dropdownContainer.querySelector(
-            `[name*="parent-checkbox"][data-parent-id="${parentId}"]`
-        );
-        
-        if (!parentCheckbox) return;
-        
-        // Check if there's an active search
-        const searchBox = CustomControl.getByName(dropdownContainer, 'ddl-search');
-        const hasActiveSearch = searchBox && searchBox.value.trim() !== '';
-        
-        if (hasActiveSearch) {
-            // During search: Only consider visible children for parent state
-            const childCheckboxes = Array.from(dropdownContainer.querySelectorAll(
-                `[name*="child-checkbox"][data-parent-id="${parentId}"]`
-            ));
-            
-            // Get only VISIBLE child checkboxes
-            const visibleChildCheckboxes = childCheckboxes.filter(cb => {
-                const childElement = cb.closest('[name~="ddl-child"]');
-                return childElement && !CustomControl.nameListContains(childElement, 'ddl-hidden');
-            });
-            
-            if (visibleChildCheckboxes.length > 0) {
-                const visibleCheckedChildren = visibleChildCheckboxes.filter(cb => cb.checked);
-                const totalVisibleChildren = visibleChildCheckboxes.length;
-                
-                if (visibleCheckedChildren.length === 0) {
-                    // No visible children checked - check if ANY children are checked
-                    const anyChildrenChecked = childCheckboxes.some(cb => cb.checked);
-                    if (!anyChildrenChecked) {
-                        parentCheckbox.checked = false;
-                        parentCheckbox.indeterminate = false;
-                    }
-                } else if (visibleCheckedChildren.length === totalVisibleChildren) {
-                    // All visible children checked - check parent
-                    parentCheckbox.checked = true;
-                    parentCheckbox.indeterminate = false;
-                } else {
-                    // Some visible children checked - set parent to indeterminate
-                    parentCheckbox.checked = false;
-                    parentCheckbox.indeterminate = true;
-                }
+    refreshVirtualRows: function (model) {
+        const rows = [];
+        // Fuzzy search ranks siblings by their best score (sort is stable, so ties keep the original order)
+        const order = nodes => model.isRanked ? nodes.slice().sort((a, b) => b.searchScore - a.searchScore) : nodes;
+        const visit = function (node) {
+            if (!node.shown) return;
+            rows.push(node);
+            if (node.children && node.expanded) {
+                order(node.children).forEach(visit);
             }
-        } else {
-            // No active search: Use normal logic - consider ALL children
-            const childCheckboxes = dropdownContainer.querySelectorAll(
-                `[name*="child-checkbox"][data-parent-id="${parentId}"]`
-            );
-            
-            const checkedChildren = Array.from(childCheckboxes).filter(cb => cb.checked);
-            const totalChildren = childCheckboxes.length;
-            
-            if (checkedChildren.length === 0) {
-                // No children checked - uncheck parent
-                parentCheckbox.checked = false;
-                parentCheckbox.indeterminate = false;
-            } else if (checkedChildren.length === totalChildren) {
-                // All children checked - check parent (no indeterminate)
-                parentCheckbox.checked = true;
-                parentCheckbox.indeterminate = false;
-            } else {
-                // Some children checked - uncheck parent but set indeterminate
-                parentCheckbox.checked = false;
-                parentCheckbox.indeterminate = true;
-            }
-        }
-        
-        // Update highlighting for the changed child element
-        const childElement = childCheckbox.closest('[name~="ddl-child"]');
-        if (childElement) {
-            CustomControl.updateCheckboxHighlight(childElement, childCheckbox.checked);
-        }
-        
-        // Update highlighting for parent element
-        const parentElement = parentCheckbox.closest('[name~="ddl-parent-label"]');
-        if (parentElement) {
-            CustomControl.updateCheckboxHighlight(parentElement, parentCheckbox.checked || parentCheckbox.indeterminate);
-        }
-        
-        // Log current state for debugging
-        const allChildCheckboxes = Array.from(dropdownContainer.querySelectorAll(
-            `[name*="child-checkbox"][data-parent-id="${parentId}"]`
-        ));
-        const allCheckedChildren = allChildCheckboxes.filter(cb => cb.checked);
-        console.log(`[CustomControl] Parent ${parentId}: ${allCheckedChildren.length}/${allChildCheckboxes.length} children checked`);
-        
-        // Update dropdown header for this specific dropdown
-        CustomControl.updateDropdownHeader(containerId);
+        };
+        order(model.roots).forEach(visit);
+        model.rows = rows;
     },
 
     /**
-     ** Recalculate parent checkbox states based on visible children during search.
-     * @param {string} containerId - Container ID for this dropdown instance
+     * Iterate every node of the model (parents before their children).
+     * @param {Object} model - Virtual model
+     * @param {Function} callback - Called with each node
      */
-    recalculateParentStatesForSearch: function(containerId) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
+    forEachVirtualNode: function (model, callback) {
+        const visit = function (node) {
+            callback(node);
+            if (node.children) node.children.forEach(visit);
+        };
+        model.roots.forEach(visit);
+    },
 
-        // Only process if this dropdown has checkboxes (multiSelect enabled)
-        const hasCheckboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox').length > 0;
-        if (!hasCheckboxes) return;
+    /**
+     * Check whether a model node is rendered as a parent row.
+     * @param {Object} node - Model node
+     * @returns {boolean} True for parent rows
+     */
+    isVirtualParent: function (node) {
+        return node.children !== null || node.level === 0;
+    },
 
-        const parentElements = CustomControl.getAllByName(dropdownContainer, 'ddl-parent');
-        
-        parentElements.forEach(parentElement => {
-            const parentLabel = CustomControl.getByName(parentElement, 'ddl-parent-label');
-            if (!parentLabel) return;
+    /**
+     * Find the model node for an ID (IDs can repeat across levels, so a node of the preferred kind wins).
+     * @param {Object} model - Virtual model
+     * @param {string} id - Node ID
+     * @param {boolean} preferParent - Prefer parent nodes over leaves
+     * @returns {Object|null} Model node or null
+     */
+    findVirtualNode: function (model, id, preferParent) {
+        const nodes = model.byId.get(String(id));
+        if (!nodes) return null;
+        return nodes.find(node => CustomControl.isVirtualParent(node) === preferParent) || nodes[0];
+    },
 
-            const parentId = parentLabel.dataset.id;
-            const parentCheckbox = dropdownContainer.querySelector(
-                `[name*="parent-checkbox"][data-parent-id="${parentId}"]`
-            );
-            if (!parentCheckbox) return;
+    /**
+     ** setVirtualNodeChecked(): Checks/unchecks a node with the same cascade as the DOM tree view
+     * (descendants follow the parent - only the ones shown by an active search - and every ancestor is recalculated, as the cascade policy allows).
+     * @param {Object} node - Model node
+     * @param {boolean} checked - New checked state
+     * @param {boolean} useVisibleOnly - Whether a search is active
+     * @param {string} [cascade='all'] - Cascade policy
+     */
+    setVirtualNodeChecked: function (node, checked, useVisibleOnly, cascade = 'all') {
+        node.checked = checked;
+        node.indeterminate = false;
+
+        if (node.children && CustomControl.cascadesDown(cascade)) {
+            const parents = [node];
+            let hasDisabledNodes = false;
+            const visit = function (descendant) {
+                if (useVisibleOnly && !descendant.shown) return;
+                if (descendant.disabled) {
+                    hasDisabledNodes = true; // disabled items keep their state
+                } else {
+                    descendant.checked = checked;
+                    descendant.indeterminate = false;
+                }
+                if (descendant.children) {
+                    parents.push(descendant);
+                    descendant.children.forEach(visit);
+                }
+            };
+            node.children.forEach(visit);
 
-            // Get all child checkboxes for this parent
-            const childCheckboxes = Array.from(dropdownContainer.querySelectorAll(
-                `[name*="child-checkbox"][data-parent-id="${parentId}"]`
-            ));
-            
-            // Get only VISIBLE child checkboxes
-            const visibleChildCheckboxes = childCheckboxes.filter(cb => {
-                const childElement = cb.closest('[name~="ddl-child"]');
-                return childElement && !CustomControl.nameListContains(childElement, 'ddl-hidden');
-            });
-            
-            if (visibleChildCheckboxes.length === 0) {
-                // No visible children - maintain current parent state (don't change it)
-                return;
+            // Parents above a disabled item may be left in another state - recalculate them bottom-up
+            if (hasDisabledNodes) {
+                parents.reverse().forEach(parent => CustomControl.recalculateVirtualParent(parent, useVisibleOnly, cascade));
             }
+        }
 
-            const visibleCheckedChildren = visibleChildCheckboxes.filter(cb => cb.checked);
-            const totalVisibleChildren = visibleChildCheckboxes.length;
-            
-            if (visibleCheckedChildren.length === 0) {
-                // No visible children checked - uncheck parent only if NO children are checked at all
-                const allChildrenChecked = childCheckboxes.filter(cb => cb.checked);
-                if (allChildrenChecked.length === 0) {
-                    parentCheckbox.checked = false;
-                    parentCheckbox.indeterminate = false;
-                    // Update parent highlighting
-                    CustomControl.updateCheckboxHighlight(parentLabel, false);
-                }
-            } else if (visibleCheckedChildren.length === totalVisibleChildren) {
-                // All visible children checked - check parent
-                parentCheckbox.checked = true;
-                parentCheckbox.indeterminate = false;
-                // Update parent highlighting
-                CustomControl.updateCheckboxHighlight(parentLabel, true);
-            } else {
-                // Some visible children checked - set parent to indeterminate
-                parentCheckbox.checked = false;
-                parentCheckbox.indeterminate = true;
-                // Update parent highlighting based on whether any children are checked
-                const anyChildrenChecked = childCheckboxes.some(cb => cb.checked);
-                CustomControl.updateCheckboxHighlight(parentLabel, anyChildrenChecked);
-            }
-        });
+        let ancestor = node.parent;
+        while (ancestor) {
+            CustomControl.recalculateVirtualParent(ancestor, useVisibleOnly, cascade);
+            ancestor = ancestor.parent;
+        }
     },
 
     /**
-     ** Recalculate parent checkbox states based on ALL children (used when search is cleared).
-     * @param {string} containerId - Container ID for this dropdown instance
+     ** recalculateVirtualParent(): Model version of recalculateParentState() (checked / indeterminate / unchecked from the children)
+     * @param {Object} node - Parent model node
+     * @param {boolean} useVisibleOnly - Only consider children shown by the active search
+     * @param {string} [cascade='all'] - Cascade policy
      */
-    recalculateParentStatesForAllChildren: function(containerId) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
+    recalculateVirtualParent: function (node, useVisibleOnly, cascade = 'all') {
+        if (!CustomControl.cascadesUp(cascade)) return;
+        if (!node.children || node.children.length === 0) return;
 
-        // Only process if this dropdown has checkboxes (multiSelect enabled)
-        const hasCheckboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox').length > 0;
-        if (!hasCheckboxes) return;
+        const considered = useVisibleOnly ? node.children.filter(child => child.shown) : node.children;
+        if (considered.length === 0) return; // No visible children - keep current state
 
-        const parentElements = CustomControl.getAllByName(dropdownContainer, 'ddl-parent');
-        
-        parentElements.forEach(parentElement => {
-            const parentLabel = CustomControl.getByName(parentElement, 'ddl-parent-label');
-            if (!parentLabel) return;
+        const checkedCount = considered.filter(child => child.checked).length;
+        const hasPartialChild = considered.some(child => child.indeterminate);
+        const isChecked = cascade === 'any'
+            ? checkedCount > 0 || hasPartialChild
+            : checkedCount === considered.length;
 
-            const parentId = parentLabel.dataset.id;
-            const parentCheckbox = dropdownContainer.querySelector(
-                `[name*="parent-checkbox"][data-parent-id="${parentId}"]`
-            );
-            if (!parentCheckbox) return;
+        if (isChecked) {
+            node.checked = true;
+            node.indeterminate = false;
+        } else if (checkedCount === 0 && !hasPartialChild) {
+            // During search: keep the parent as is while hidden children are still selected
+            const anyChildSelected = node.children.some(child => child.checked || child.indeterminate);
+            if (useVisibleOnly && anyChildSelected) return;
+
+            node.checked = false;
+            node.indeterminate = false;
+        } else {
+            node.checked = false;
+            node.indeterminate = true;
+        }
+    },
 
-            // Get ALL child checkboxes for this parent (regardless of visibility)
-            const childCheckboxes = Array.from(dropdownContainer.querySelectorAll(
-                `[name*="child-checkbox"][data-parent-id="${parentId}"]`
-            ));
-            
-            if (childCheckboxes.length === 0) return;
+    /**
+     * Recalculate every parent of the model, deepest first.
+     * @param {Object} model - Virtual model
+     * @param {boolean} useVisibleOnly - Only consider children shown by the active search
+     */
+    recalculateAllVirtualParents: function (model, useVisibleOnly) {
+        if (!CustomControl.cascadesUp(model.cascade)) return;
 
-            const checkedChildren = childCheckboxes.filter(cb => cb.checked);
-            const totalChildren = childCheckboxes.length;
-            
-            if (checkedChildren.length === 0) {
-                // No children checked - uncheck parent
-                parentCheckbox.checked = false;
-                parentCheckbox.indeterminate = false;
-                CustomControl.updateCheckboxHighlight(parentLabel, false);
-            } else if (checkedChildren.length === totalChildren) {
-                // All children checked - check parent
-                parentCheckbox.checked = true;
-                parentCheckbox.indeterminate = false;
-                CustomControl.updateCheckboxHighlight(parentLabel, true);
-            } else {
-                // Some children checked - set parent to indeterminate
-                parentCheckbox.checked = false;
-                parentCheckbox.indeterminate = true;
-                CustomControl.updateCheckboxHighlight(parentLabel, true);
-            }
+        const parents = [];
+        CustomControl.forEachVirtualNode(model, node => {
+            if (node.children && node.children.length > 0) parents.push(node);
+        });
+        parents.sort((a, b) => b.level - a.level).forEach(node => {
+            CustomControl.recalculateVirtualParent(node, useVisibleOnly, model.cascade);
         });
     },
 
-
     /**
-     ** Universal method to toggle all selections (replaces duplicate Select All / Clear All logic).
+     ** rebuildVirtualModel(): Model version of the data mutation helpers - rebuilds the nodes from data in the same model object
+     * (its listeners keep working) and carries the checked / expanded / selected state over by data item.
      * @param {string} containerId - Container ID for this dropdown instance
-     * @param {boolean} shouldSelect - True to select all, false to clear all
-     * @param {boolean} respectSearch - Whether to respect active search filter (default: true)
-     * @param {boolean} hasTreeView - Whether dropdown has tree view (auto-detected if not provided)
      */
-    toggleAllSelections: function (containerId, shouldSelect, respectSearch = true, hasTreeView = null) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
-
-        // Auto-detect search state
-        const searchBox = CustomControl.getByName(dropdownContainer, 'ddl-search');
-        const hasActiveSearch = respectSearch && searchBox && searchBox.value.trim() !== '';
-        
-        // Auto-detect tree view if not provided
-        if (hasTreeView === null) {
-            hasTreeView = CustomControl.getByName(dropdownContainer, 'ddl-children') !== null;
-        }
-
-        if (hasTreeView) {
-            // Tree view: handle parent and child checkboxes
-            const parentCheckboxes = CustomControl.getAllByName(dropdownContainer, 'parent-checkbox');
-            const childCheckboxes = CustomControl.getAllByName(dropdownContainer, 'child-checkbox');
-            
-            let checkboxesToProcess;
-            
-            if (hasActiveSearch) {
-                // During search: Only process visible checkboxes
-                const visibleParentCheckboxes = parentCheckboxes.filter(cb => {
-                    const parentElement = cb.closest('[name~="ddl-parent"]');
-                    return parentElement && !CustomControl.nameListContains(parentElement, 'ddl-hidden');
-                });
-                
-                const visibleChildCheckboxes = childCheckboxes.filter(cb => {
-                    const childElement = cb.closest('[name~="ddl-child"]');
-                    return childElement && !CustomControl.nameListContains(childElement, 'ddl-hidden');
-                });
-                
-                checkboxesToProcess = [...visibleParentCheckboxes, ...visibleChildCheckboxes];
-            } else {
-                // No search: Process all checkboxes
-                checkboxesToProcess = [...parentCheckboxes, ...childCheckboxes];
-            }
-            
-            checkboxesToProcess.forEach(checkbox => {
-                const needsUpdate = shouldSelect ? !checkbox.checked : (checkbox.checked || checkbox.indeterminate);
-                
-                if (needsUpdate) {
-                    checkbox.checked = shouldSelect;
-                    if (!shouldSelect) {
-                        checkbox.indeterminate = false;
-                    }
-                    // Trigger change event to update parent-child relationships
-                    checkbox.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            });
-        } else {
-            // Flat view: handle parent checkboxes only
-            const parentCheckboxes = CustomControl.getAllByName(dropdownContainer, 'parent-checkbox');
-            
-            let checkboxesToProcess;
-            
-            if (hasActiveSearch) {
-                // During search: Only process visible parent checkboxes
-                checkboxesToProcess = parentCheckboxes.filter(cb => {
-                    const parentElement = cb.closest('[name~="ddl-parent"]');
-                    return parentElement && !CustomControl.nameListContains(parentElement, 'ddl-hidden');
-                });
+    rebuildVirtualModel: function (containerId) {
+        const model = CustomControl.getVirtualModel(containerId);
+        const instance = CustomControl.registry[containerId];
+
+        const previousNodes = new Map();
+        CustomControl.forEachVirtualNode(model, node => previousNodes.set(node.item, node));
+        const selectedItem = model.selectedNode ? model.selectedNode.item : null;
+
+        const rebuilt = CustomControl.buildVirtualModel(instance.settings.data, model.hasTreeView);
+        const cascadesDown = CustomControl.cascadesDown(model.cascade);
+        let selectedNode = null;
+
+        CustomControl.forEachVirtualNode(rebuilt, node => {
+            const previous = previousNodes.get(node.item);
+            if (previous) {
+                node.checked = previous.checked;
+                node.indeterminate = previous.indeterminate;
+                node.expanded = previous.expanded;
             } else {
-                // No search: Process all parent checkboxes
-                checkboxesToProcess = parentCheckboxes;
+                // New nodes follow a checked parent, like the DOM rendering
+                node.checked = cascadesDown && !!node.parent && node.parent.checked;
             }
-            
-            checkboxesToProcess.forEach(checkbox => {
-                const needsUpdate = shouldSelect ? !checkbox.checked : checkbox.checked;
-                
-                if (needsUpdate) {
-                    checkbox.checked = shouldSelect;
-                    if (!shouldSelect) {
-                        checkbox.indeterminate = false;
-                    }
-                    
-                    // Update highlighting for parent element
-                    const parentElement = checkbox.closest('[name~="ddl-parent-label"]');
-                    if (parentElement) {
-                        CustomControl.updateCheckboxHighlight(parentElement, shouldSelect);
-                    }
-                }
-            });
-        }
+            if (node.item === selectedItem && !selectedNode) selectedNode = node;
+        });
 
-        // Update dropdown header
-        CustomControl.updateDropdownHeader(containerId);
-        
-        const action = shouldSelect ? 'Select All' : 'Clear All';
-        const scope = hasActiveSearch ? 'visible items only' : 'all items';
-        console.log(`[CustomControl] ${action} executed for ${containerId} - ${scope}`);
+        Object.assign(model, {
+            roots: rebuilt.roots,
+            byId: rebuilt.byId,
+            isTree: rebuilt.isTree,
+            selectedNode: selectedNode,
+            activeNode: null
+        });
+
+        // Re-applies the active search (or shows everything), recalculates the parents and the row list
+        CustomControl.filterVirtualModel(model, model.searchTerm, CustomControl.createSearchContext(containerId));
+        CustomControl.renderVirtualWindow(containerId);
     },
 
     /**
-     ** Handle search functionality - filter options based on search term.
-     * @param {string} containerId - Container ID for this dropdown instance
-     * @param {string} searchTerm - The search term to filter by
+     ** filterVirtualModel(): Model version of handleSearch() - a node is shown if it matches, if an ancestor matches or if a descendant matches
+     * @param {Object} model - Virtual model
+     * @param {string} searchTerm - Normalized search term ('' shows everything)
+     * @param {Object} search - Search context from createSearchContext() (node names are normalized once and cached)
+     * @returns {number} Number of top level items left visible
      */
-    handleSearch: function (containerId, searchTerm) {
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
-
-        const hasTreeView = CustomControl.getByName(dropdownContainer, 'ddl-children') !== null;
-        const parentElements = CustomControl.getAllByName(dropdownContainer, 'ddl-parent');
-        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
-
-        // If search term is empty, show all elements and hide no results message
-        if (searchTerm === '') {
-            parentElements.forEach(parentElement => {
-                CustomControl.nameListRemove(parentElement, 'ddl-hidden');
-                CustomControl.nameListAdd(parentElement, 'ddl-visible');
-                // Show all children if tree view
-                if (hasTreeView) {
-                    const childrenContainer = CustomControl.getByName(parentElement, 'ddl-children');
-                    if (childrenContainer) {
-                        const childElements = CustomControl.getAllByName(childrenContainer, 'ddl-child');
-                        childElements.forEach(child => {
-                            CustomControl.nameListRemove(child, 'ddl-hidden');
-                            CustomControl.nameListAdd(child, 'ddl-visible');
-                        });
-                    }
+    filterVirtualModel: function (model, searchTerm, search) {
+        model.searchTerm = searchTerm;
+        model.isRanked = search.isFuzzy && searchTerm !== '';
+
+        const visit = function (node, ancestorMatches) {
+            node.searchMatch = null;
+            if (searchTerm !== '') {
+                if (node.searchText === undefined) {
+                    node.searchText = search.normalize(node.name);
                 }
-            });
-            
-            // Hide no results message
-            CustomControl.handleNoSearchResults(optionsContainer, false);
-            
-            // Recalculate parent states based on ALL children when search is cleared
-            CustomControl.recalculateParentStatesForAllChildren(containerId);
-            return;
-        }
-
-        const searchLower = searchTerm.toLowerCase();
-        let visibleParentsCount = 0;
-
-        parentElements.forEach(parentElement => {
-            const parentLabel = CustomControl.getByName(parentElement, 'ddl-parent-label'); //* 'ddl-parent-label' will have the parent name in case there was no checkboxes (multiSelect is false)
-            if (!parentLabel) return;
+                let match = CustomControl.scoreSearchMatch(node.searchText, searchTerm, search.isFuzzy);
+                if (search.fields.length > 0) {
+                    const fieldMatch = CustomControl.matchVirtualSearchFields(node, searchTerm, search);
+                    if (fieldMatch && (!match || fieldMatch.score > match.score)) match = fieldMatch;
+                }
+                if (match) {
+                    node.searchMatch = match;
+                    search.matches.push(CustomControl.createSearchMatchEntry(node.item.id, node.name, match)); // node.id is the string key
+                }
+            }
 
-            // Get parent name (handle both checkbox and plain text scenarios)
-            let parentName = '';
-            const parentTextSpan = CustomControl.getByName(parentLabel, 'ddl-label-text'); //* 'ddl-label-text' will have the parent name in case there was checkboxes (multiSelect is true)
-            if (parentTextSpan) {
-                parentName = parentTextSpan.innerText.toLowerCase(); //* if it's checkbox, it will have the parent name in the 'ddl-label-text'
-            } else {
-                parentName = parentLabel.innerText.toLowerCase(); //* if it's not checkbox, it will have the parent name in the 'ddl-parent-label'
+            const nodeMatches = searchTerm === '' || node.searchMatch !== null;
+            let shown = nodeMatches || ancestorMatches;
+            node.searchScore = node.searchMatch ? node.searchMatch.score : 0;
+            if (node.children) {
+                node.children.forEach(child => {
+                    if (visit(child, nodeMatches || ancestorMatches)) shown = true;
+                    node.searchScore = Math.max(node.searchScore, child.searchScore);
+                });
             }
+            node.shown = shown;
+            return shown;
+        };
 
-            let showParent = false;
+        const visibleCount = model.roots.filter(root => visit(root, false)).length;
 
-            // Check if parent matches search term
-            const parentMatches = parentName.includes(searchLower);
+        // Parent states follow visible children during search and all children otherwise
+        CustomControl.recalculateAllVirtualParents(model, searchTerm !== '');
+        CustomControl.refreshVirtualRows(model);
+        return visibleCount;
+    },
 
-            if (hasTreeView) {
-                // Tree view: search in both parents and children
-                const childrenContainer = CustomControl.getByName(parentElement, 'ddl-children');
-                let hasMatchingChild = false;
-
-                if (childrenContainer) {
-                    const childElements = CustomControl.getAllByName(childrenContainer, 'ddl-child'); //* 'ddl-child' will have the child name in case there was no checkboxes (multiSelect is false)
-                    childElements.forEach(childElement => {
-                        // Get child name (handle both checkbox and plain text scenarios)
-                        let childName = '';
-                        const childTextSpan = CustomControl.getByName(childElement, 'ddl-label-text'); //* 'ddl-label-text' will have the child name in case there was checkboxes (multiSelect is true)
-                        if (childTextSpan) {
-                            childName = childTextSpan.innerText.toLowerCase(); //* if it's checkbox, it will have the child name in the 'ddl-label-text'
-                        } else {
-                            childName = childElement.innerText.toLowerCase(); //* if it's not checkbox, it will have the child name in the 'ddl-child'
-                        }
+    /**
+     * Model version of createResultEntry().
+     * @param {Object} node - Model node
+     * @returns {Object} Result entry {id, name, item}
+     */
+    createVirtualResultEntry: function (node) {
+        return { id: node.item.id, name: node.item.name, item: CustomControl.getOriginalItem(node.item) };
+    },
 
-                        const childMatches = childName.includes(searchLower);
+    /**
+     ** getVirtualDDLData(): Model version of getDDLData() (same result shapes)
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} model - Virtual model
+     * @returns {Object} Object containing selected data and metadata
+     */
+    getVirtualDDLData: function (containerId, model) {
+        const { hasMultiSelect } = CustomControl.registry[containerId].settings.flags;
+        let selectedData = [];
+        let selectionType;
 
-                        if (childMatches) {
-                            CustomControl.nameListRemove(childElement, 'ddl-hidden');
-                            CustomControl.nameListAdd(childElement, 'ddl-visible');
-                            hasMatchingChild = true;
-                        } else {
-                            CustomControl.nameListAdd(childElement, 'ddl-hidden');
-                            CustomControl.nameListRemove(childElement, 'ddl-visible');
+        if (hasMultiSelect) {
+            selectionType = model.isTree ? 'multi-tree' : 'multi-flat';
+
+            if (model.isTree) {
+                const collectSelected = function (node) {
+                    if (node.children) {
+                        const selectedChildren = node.children
+                            .map(collectSelected)
+                            .filter(child => child !== null);
+                        const state = CustomControl.getCheckState(node);
+                        if (state !== 'unchecked' || selectedChildren.length > 0) {
+                            return Object.assign(CustomControl.createVirtualResultEntry(node), { state: state, children: selectedChildren });
                         }
-                    });
-                }
+                        return null;
+                    }
+                    return node.checked ? CustomControl.createVirtualResultEntry(node) : null;
+                };
+                selectedData = model.roots.map(collectSelected).filter(node => node !== null);
+            } else {
+                selectedData = model.roots
+                    .filter(node => node.checked)
+                    .map(node => CustomControl.createVirtualResultEntry(node));
+            }
+        } else {
+            selectionType = model.isTree ? 'single-tree' : 'single-flat';
 
-                // Show parent if parent matches OR if any child matches
-                showParent = parentMatches || hasMatchingChild;
+            const node = model.selectedNode;
+            if (node) {
+                const path = [];
+                for (let current = node; current; current = current.parent) {
+                    path.unshift({ id: current.item.id, name: current.item.name });
+                }
 
-                // If parent matches, show all children
-                if (parentMatches && childrenContainer) {
-                    const childElements = CustomControl.getAllByName(childrenContainer, 'ddl-child');
-                    childElements.forEach(child => {
-                        CustomControl.nameListRemove(child, 'ddl-hidden');
-                        CustomControl.nameListAdd(child, 'ddl-visible');
-                    });
+                if (CustomControl.isVirtualParent(node)) {
+                    selectedData = [Object.assign(CustomControl.createVirtualResultEntry(node), { type: 'parent', path: path })];
+                } else {
+                    selectedData = [Object.assign(CustomControl.createVirtualResultEntry(node), {
+                        type: 'child',
+                        parent: { id: node.parent.item.id, name: node.parent.item.name },
+                        path: path
+                    })];
                 }
-            } else {
-                // Flat view: search in parents only (when there is no tree view)
-                showParent = parentMatches;
             }
+        }
+
+        return {
+            selected: selectedData,
+            hasData: selectedData.length > 0,
+            selectionType: selectionType,
+            containerId: containerId
+        };
+    },
+
+    /**
+     ** setVirtualSelections(): Model version of the setDDLData() selection helpers
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} model - Virtual model
+     * @param {Array<string>} parentIds - Parent IDs (cascade to their descendants)
+     * @param {Array<string>} childIds - Child IDs
+     */
+    setVirtualSelections: function (containerId, model, parentIds, childIds) {
+        const { hasMultiSelect } = CustomControl.registry[containerId].settings.flags;
+
+        if (!hasMultiSelect) {
+            const targetId = parentIds[0] || childIds[0];
+            if (!targetId) return;
 
-            // Show or hide the entire parent element
-            if (showParent) {
-                CustomControl.nameListRemove(parentElement, 'ddl-hidden');
-                CustomControl.nameListAdd(parentElement, 'ddl-visible');
+            const node = CustomControl.findVirtualNode(model, targetId, !!parentIds[0]);
+            if (node) {
+                model.selectedNode = node;
             } else {
-                CustomControl.nameListAdd(parentElement, 'ddl-hidden');
-                CustomControl.nameListRemove(parentElement, 'ddl-visible');
+                console.warn(`[CustomControl] Could not find selectable element with ID '${targetId}' in single-select dropdown`);
             }
-            
-            // Count visible parents
-            if (showParent) {
-                visibleParentsCount++;
-            }
-        });
+            return;
+        }
 
-        // Show or hide no results message based on visible count
-        const hasNoResults = visibleParentsCount === 0;
-        CustomControl.handleNoSearchResults(optionsContainer, hasNoResults);
+        CustomControl.forEachVirtualNode(model, node => {
+            node.checked = false;
+            node.indeterminate = false;
+        });
 
-        // Recalculate parent states based on visible children during search
-        CustomControl.recalculateParentStatesForSearch(containerId);
+        const useVisibleOnly = model.searchTerm !== '';
+        parentIds.forEach(id => {
+            const node = CustomControl.findVirtualNode(model, id, true);
+            if (node) CustomControl.setVirtualNodeChecked(node, true, useVisibleOnly, model.cascade);
+        });
 
-        console.log(`[CustomControl] Search executed for "${searchTerm}" in ${containerId}`);
+        if (model.isTree) {
+            childIds.forEach(id => {
+                const node = CustomControl.findVirtualNode(model, id, false);
+                if (node) CustomControl.setVirtualNodeChecked(node, true, useVisibleOnly, model.cascade);
+            });
+        }
     },
 
     /**
-     ** Add checkbox event listeners to parent and child checkboxes.
-     * @param {HTMLElement} optionsContainer - Options container element
+     ** setVirtualSelectionIds(): Model version of applyTreeSelectionIds()
+     * @param {Object} model - Virtual model
+     * @param {Array<string>} ids - IDs to check
+     * @param {boolean} isCompressed - Whether the value is in the compressed format
      */
-    addCheckboxEventListeners: function (optionsContainer) {
-        // Parent checkbox event listeners
-        const parentCheckboxes = CustomControl.getAllByName(optionsContainer, 'parent-checkbox');
-        parentCheckboxes.forEach(parentCheckbox => {
-            parentCheckbox.addEventListener('change', function(e) {
-                e.stopPropagation(); // Prevent interference with other events
-                const parentId = e.currentTarget.dataset.parentId;
-                CustomControl.handleParentCheckboxChange(e.currentTarget, parentId);
-            });
-            
-            // Also prevent click from bubbling
-            parentCheckbox.addEventListener('click', function(e) {
-                e.stopPropagation();
-            });
+    setVirtualSelectionIds: function (model, ids, isCompressed) {
+        const idSet = new Set(ids);
+        const checkedNodes = new Set();
+
+        CustomControl.forEachVirtualNode(model, node => {
+            if (!idSet.has(node.id)) return;
+            checkedNodes.add(node);
+            if (!node.children || node.children.length === 0) return;
+
+            const descendants = [];
+            const visit = function (descendant) {
+                descendants.push(descendant);
+                if (descendant.children) descendant.children.forEach(visit);
+            };
+            node.children.forEach(visit);
+            if (CustomControl.shouldExpandSelectedParent(descendants.map(descendant => descendant.id), idSet, isCompressed, model.cascade)) {
+                descendants.forEach(descendant => checkedNodes.add(descendant));
+            }
         });
 
-        // Child checkbox event listeners
-        const childCheckboxes = CustomControl.getAllByName(optionsContainer, 'child-checkbox');
-
-        childCheckboxes.forEach(childCheckbox => {
-            childCheckbox.addEventListener('change', function(e) {
-                e.stopPropagation(); // Prevent interference with other events
-                const parentId = e.currentTarget.dataset.parentId;
-        
-                CustomControl.handleChildCheckboxChange(e.currentTarget, parentId);
-            });
-            
-            // Also prevent click from bubbling
-            childCheckbox.addEventListener('click', function(e) {
-                e.stopPropagation();
-            });
+        CustomControl.forEachVirtualNode(model, node => {
+            node.checked = checkedNodes.has(node);
+            node.indeterminate = false;
         });
+        CustomControl.recalculateAllVirtualParents(model, model.searchTerm !== '');
+    },
 
+    /**
+     ** toggleAllVirtualSelections(): Model version of the Select All / Clear All checkbox loop
+     * One walk over the model: a parent is updated before its children and its tri-state is recalculated right after them.
+     * @param {Object} model - Virtual model
+     * @param {boolean} shouldSelect - True to select, false to clear
+     * @param {boolean} hasActiveSearch - Only touch nodes shown by the search
+     */
+    toggleAllVirtualSelections: function (model, shouldSelect, hasActiveSearch) {
+        const cascadesUp = CustomControl.cascadesUp(model.cascade);
+        const visit = function (node) {
+            // Disabled items (and items hidden by the search) keep their state
+            if ((!hasActiveSearch || node.shown) && !node.disabled) {
+                node.checked = shouldSelect;
+                node.indeterminate = false;
+            }
+            if (!node.children || node.children.length === 0) return;
 
+            node.children.forEach(visit);
+            if (cascadesUp) {
+                CustomControl.recalculateVirtualParent(node, hasActiveSearch, model.cascade);
+            }
+        };
+        model.roots.forEach(visit);
     },
 
     /**
-     ** Add event listeners for dropdown functionality.
-     * @param {HTMLElement} ddlWrapper - Dropdown wrapper element
-     * @param {HTMLElement} header - Header element
-     * @param {HTMLElement} optionsContainer - Options container element
+     * Count checked nodes (the model version of counting checked checkboxes).
+     * @param {Object} model - Virtual model
+     * @returns {number} Number of checked nodes
      */
-    addEventListeners: function (ddlWrapper, header, optionsContainer) {
-        // Toggle dropdown on header click
-        header.addEventListener('click', function(e) {
-            e.preventDefault();
-            e.stopPropagation();
-            CustomControl.toggleDropdown(ddlWrapper, optionsContainer);
+    getVirtualSelectionCount: function (model) {
+        let count = 0;
+        CustomControl.forEachVirtualNode(model, node => {
+            if (node.checked) count++;
         });
+        return count;
+    },
 
-        // Close dropdown when clicking outside
-        document.addEventListener('click', function(e) {
-            if (!ddlWrapper.contains(e.target)) {
-                CustomControl.closeDropdown(ddlWrapper, optionsContainer);
-            }
+    /**
+     ** renderVirtualOptions(): Creates the virtual viewport (scroll container, full-height spacer, row layer) and its delegated listeners
+     * @param {Array} data - Hierarchical data
+     * @param {HTMLElement} optionsContainer - Target options container
+     * @param {Object} settings - Instance settings
+     */
+    renderVirtualOptions: function (data, optionsContainer, settings) {
+        const containerId = settings.containerId;
+        const instance = CustomControl.registry[containerId];
+        const { hasMultiSelect, hasTreeView, hasClearAllBtn } = settings.flags;
+
+        CustomControl.addPlaceholderOption(optionsContainer, hasMultiSelect, hasClearAllBtn, settings.placeholder, containerId);
+        CustomControl.nameListAdd(optionsContainer, 'ddl-virtual');
+
+        const viewport = CustomControl.createElement('div', 'ddl-virtual-viewport');
+        const spacer = CustomControl.createElement('div', 'ddl-virtual-spacer');
+        const rowsLayer = CustomControl.createElement('div', 'ddl-virtual-rows');
+        spacer.appendChild(rowsLayer);
+        viewport.appendChild(spacer);
+        optionsContainer.appendChild(viewport);
+
+        const model = CustomControl.buildVirtualModel(data, hasTreeView);
+        model.rowHeight = settings.virtualRowHeight;
+        model.cascade = settings.cascade;
+        model.viewport = viewport;
+        model.spacer = spacer;
+        model.rowsLayer = rowsLayer;
+        instance.virtual = model;
+
+        // Re-render the window while scrolling
+        CustomControl.addManagedListener(containerId, viewport, 'scroll', function () {
+            CustomControl.renderVirtualWindow(containerId);
         });
 
-        // Prevent dropdown from closing when clicking inside options
-        optionsContainer.addEventListener('click', function(e) {
+        // Delegated row listeners (rows are recycled on every render)
+        CustomControl.addManagedListener(containerId, rowsLayer, 'change', function (e) {
+            const checkbox = e.target;
+            if (!CustomControl.nameListContains(checkbox, 'ddl-checkbox')) return;
             e.stopPropagation();
+
+            const node = CustomControl.getVirtualRowNode(model, checkbox);
+            if (!node) return;
+
+            CustomControl.setVirtualNodeChecked(node, checkbox.checked, model.searchTerm !== '', model.cascade);
+            CustomControl.renderVirtualWindow(containerId);
+            CustomControl.updateDropdownHeader(containerId);
+            CustomControl.notifySelectionChange(containerId, 'user');
+        });
+
+        CustomControl.addManagedListener(containerId, rowsLayer, 'click', function (e) {
+            if (CustomControl.nameListContains(e.target, 'ddl-checkbox')) return; // handled by change
+
+            const node = CustomControl.getVirtualRowNode(model, e.target);
+            if (!node) return;
+
+            const isExpandable = node.children && node.children.length > 0;
+            const clickedText = !!e.target.closest('[name~="ddl-label-text"]');
+
+            if (hasMultiSelect) {
+                // When checkboxes exist, only text should expand/collapse
+                if (isExpandable && clickedText) {
+                    CustomControl.toggleVirtualNode(containerId, node);
+                }
+                return;
+            }
+
+            if (isExpandable) {
+                CustomControl.toggleVirtualNode(containerId, node);
+            } else if (!node.disabled) {
+                CustomControl.selectVirtualNode(containerId, node);
+            }
         });
+
+        CustomControl.renderVirtualWindow(containerId);
     },
 
     /**
-     ** Toggle dropdown open/close state.
-     * @param {HTMLElement} ddlWrapper - Dropdown wrapper element
-     * @param {HTMLElement} optionsContainer - Options container element
+     * Get the model node of a rendered row (from any element inside it).
+     * @param {Object} model - Virtual model
+     * @param {HTMLElement} element - Element inside a virtual row
+     * @returns {Object|null} Model node or null
      */
+    getVirtualRowNode: function (model, element) {
+        const row = element.closest('[data-virtual-index]');
+        return row ? model.rows[Number(row.dataset.virtualIndex)] || null : null;
+    },
+
     /**
-     ** Close all other dropdowns except the current one.
-     * @param {HTMLElement} currentWrapper - Current dropdown wrapper to keep open
+     * Expand or collapse a parent node and re-render.
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} node - Parent model node
      */
-    closeAllOtherDropdowns: function (currentWrapper) {
-        const allDropdowns = CustomControl.getAllByName(document, 'custom-ddl');
-        allDropdowns.forEach(dropdown => {
-            if (dropdown !== currentWrapper && CustomControl.nameListContains(dropdown, 'open')) {
-                const optionsContainer = CustomControl.getByName(dropdown, 'ddl-options');
-                if (optionsContainer) {
-                    CustomControl.closeDropdown(dropdown, optionsContainer);
-                }
-            }
-        });
+    toggleVirtualNode: function (containerId, node) {
+        const model = CustomControl.getVirtualModel(containerId);
+        node.expanded = !node.expanded;
+        CustomControl.refreshVirtualRows(model);
+        CustomControl.renderVirtualWindow(containerId);
     },
 
-    toggleDropdown: function (ddlWrapper, optionsContainer) {
-        const isHidden = CustomControl.nameListContains(optionsContainer, 'hidden');
-        
-        if (isHidden) {
-            // Close all other dropdowns before opening this one
-            CustomControl.closeAllOtherDropdowns(ddlWrapper);
-            CustomControl.openDropdown(ddlWrapper, optionsContainer);
-        } else {
-            CustomControl.closeDropdown(ddlWrapper, optionsContainer);
+    /**
+     * Select a node in single-select mode (same flow as handleSingleSelection()).
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} node - Model node to select
+     */
+    selectVirtualNode: function (containerId, node) {
+        const model = CustomControl.getVirtualModel(containerId);
+        model.selectedNode = node;
+
+        CustomControl.renderVirtualWindow(containerId);
+        CustomControl.updateDropdownHeader(containerId);
+        CustomControl.notifySelectionChange(containerId, 'user');
+
+        const dropdownContainer = CustomControl.getDropdownWrapper(containerId);
+        const optionsContainer = CustomControl.getByName(dropdownContainer, 'ddl-options');
+        if (optionsContainer) {
+            CustomControl.closeDropdown(dropdownContainer, optionsContainer, true);
         }
     },
 
     /**
-     ** Scroll to the selected option in the dropdown.
-     * @param {HTMLElement} optionsContainer - Options container element
-     * @param {HTMLElement} ddlWrapper - Dropdown wrapper element
+     ** renderVirtualWindow(): Materializes only the rows inside the viewport (plus overscan) and sizes the spacer for the full list
+     * @param {string} containerId - Container ID for this dropdown instance
      */
-    scrollToSelectedOption: function(optionsContainer, ddlWrapper) {
-        // Get container ID from wrapper
-        const containerId = ddlWrapper.id.replace('_ddl', '');
-        const dropdownContainer = document.getElementById(`${containerId}_ddl`);
-        if (!dropdownContainer) return;
+    renderVirtualWindow: function (containerId) {
+        const model = CustomControl.getVirtualModel(containerId);
+        if (!model) return;
 
-        // Check if this is multi-select or single-select
-        const checkboxes = CustomControl.getAllByName(dropdownContainer, 'ddl-checkbox');
-        const hasCheckboxes = checkboxes.length > 0;
+        const { hasMultiSelect } = CustomControl.registry[containerId].settings.flags;
+        const { rowHeight, viewport, spacer, rowsLayer } = model;
+        const overscan = CustomControl.virtualDefaults.overscan;
+        const viewportHeight = viewport.clientHeight || CustomControl.virtualDefaults.viewportHeight;
 
-        let selectedElement = null;
+        spacer.style.height = `${model.rows.length * rowHeight}px`;
 
-        if (hasCheckboxes) {
-            // Multi-select: find first checked checkbox and its parent element
-            const checkedCheckbox = checkboxes.find(checkbox => checkbox.checked);
-            if (checkedCheckbox) {
-                // Find the parent option element (either ddl-parent-label or ddl-child)
-                selectedElement = checkedCheckbox.closest('[name~="ddl-parent-label"], [name~="ddl-child"]');
-            }
+        const start = Math.max(0, Math.floor(viewport.scrollTop / rowHeight) - overscan);
+        const end = Math.min(model.rows.length, Math.ceil((viewport.scrollTop + viewportHeight) / rowHeight) + overscan);
+
+        rowsLayer.style.transform = `translateY(${start * rowHeight}px)`;
+        rowsLayer.innerHTML = '';
+
+        // maxSelected: rows that would overflow it are rendered disabled
+        model.remainingSelections = hasMultiSelect ? CustomControl.getRemainingSelections(containerId) : Infinity;
+
+        for (let index = start; index < end; index++) {
+            rowsLayer.appendChild(CustomControl.createVirtualRow(containerId, model.rows[index], index, hasMultiSelect));
+        }
+    },
+
+    /**
+     ** createVirtualRow(): Builds one row with the same names as the DOM rendering (ddl-parent-label / ddl-child, ddl-checkbox, ddl-label-text)
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {Object} node - Model node
+     * @param {number} index - Row index in model.rows
+     * @param {boolean} hasMultiSelect - Whether multi-select is enabled
+     * @returns {HTMLElement} Row element
+     */
+    createVirtualRow: function (containerId, node, index, hasMultiSelect) {
+        const model = CustomControl.getVirtualModel(containerId);
+        const isParent = CustomControl.isVirtualParent(node);
+        const row = CustomControl.createElement('div', isParent ? 'ddl-parent-label' : 'ddl-child', {
+            id: `${containerId}-virtual-${index}`,
+            dataset: { id: node.id, level: node.level, virtualIndex: index }
+        });
+        row.style.height = `${model.rowHeight}px`;
+        CustomControl.setIndentLevel(row, node.level);
+
+        row.setAttribute('role', model.hasTreeView ? 'treeitem' : 'option');
+        if (model.hasTreeView) {
+            row.setAttribute('aria-level', node.level + 1);
         } else {
-            // Single-select: find element with ddl-selected
-            const allOptions = CustomControl.getAllByName(dropdownContainer, 'ddl-option');
-            selectedElement = allOptions.find(option => 
-                CustomControl.nameListContains(option, 'ddl-selected')
-            );
+            // Only a window of the list is in the DOM, so tell assistive technologies the full size
+            row.setAttribute('aria-setsize', model.rows.length);
+            row.setAttribute('aria-posinset', index + 1);
         }
 
-        // Scroll to the selected element if found
-        if (selectedElement) {
-            // Use setTimeout to ensure the dropdown is fully opened before scrolling
-            setTimeout(() => {
-                selectedElement.scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'nearest',
-                    inline: 'nearest'
-                });
-            }, 50);
+        if (node.children && node.children.length > 0) {
+            CustomControl.nameListAdd(row, 'has-children');
+            if (node.expanded) CustomControl.nameListAdd(row, 'expanded');
+            row.setAttribute('aria-expanded', String(node.expanded));
+        }
+
+        if (node.disabled) {
+            CustomControl.markRowDisabled(row);
+        }
+
+        if (hasMultiSelect) {
+            const checkbox = CustomControl.createElement('input', `ddl-checkbox ${isParent ? 'parent-checkbox' : 'child-checkbox'}`, {
+                type: 'checkbox'
+            });
+            checkbox.checked = node.checked;
+            checkbox.indeterminate = node.indeterminate;
+            CustomControl.setRowLimited(row, checkbox, !node.checked && CustomControl.countUncheckedVirtualLeaves(node, model.cascade) > model.remainingSelections);
+            CustomControl.hideRowCheckbox(checkbox);
+            row.appendChild(checkbox);
+            CustomControl.updateCheckboxHighlight(row, node.checked || node.indeterminate);
+            row.setAttribute('aria-checked', node.indeterminate ? 'mixed' : String(node.checked));
+            row.setAttribute('aria-selected', String(node.checked));
+        } else if (!(node.children && node.children.length > 0) || !model.hasTreeView) {
+            CustomControl.nameListAdd(row, 'ddl-option');
+            if (model.selectedNode === node) {
+                CustomControl.nameListAdd(row, 'ddl-selected');
+            }
+            row.setAttribute('aria-selected', String(model.selectedNode === node));
+        }
+
+        if (model.activeNode === node) {
+            CustomControl.nameListAdd(row, 'ddl-active');
+        }
+
+        const textSpan = CustomControl.createElement('span', 'ddl-label-text', {
+            innerText: node.name
+        });
+        row.appendChild(textSpan);
+        if (node.searchMatch) {
+            // Highlights are mapped only for rendered rows, not for the whole model
+            const search = CustomControl.createSearchContext(containerId);
+            const match = CustomControl.matchSearchText(node.name, model.searchTerm, search);
+            CustomControl.highlightLabelText(textSpan, node.name, match ? match.highlights : []);
+
+            if (node.searchMatch.field) {
+                const fieldMatch = CustomControl.matchSearchText(node.searchMatch.value, model.searchTerm, search);
+                CustomControl.setMatchedFieldLabel(row, Object.assign({}, node.searchMatch, {
+                    highlights: fieldMatch ? fieldMatch.highlights : []
+                }));
+            }
         }
+
+        return row;
     },
 
     /**
-     ** Open the dropdown.
-     * @param {HTMLElement} ddlWrapper - Dropdown wrapper element
-     * @param {HTMLElement} optionsContainer - Options container element
+     ** scrollToVirtualRow(): Scrolls the viewport so a row is visible, renders it and returns its element
+     * @param {string} containerId - Container ID for this dropdown instance
+     * @param {number} index - Row index in model.rows
+     * @returns {HTMLElement|null} Rendered row element
      */
-    openDropdown: function (ddlWrapper, optionsContainer) {
-        CustomControl.nameListRemove(optionsContainer, 'hidden');
-        CustomControl.nameListAdd(ddlWrapper, 'open');
-        
-        // Update navigation icon visibility when dropdown opens
-        const containerId = ddlWrapper.id.replace('_ddl', '');
-        CustomControl.updateMultiNavIconVisibility(containerId);
-        
-        // Scroll to selected option after opening
-        CustomControl.scrollToSelectedOption(optionsContainer, ddlWrapper);
+    scrollToVirtualRow: function (containerId, index) {
+        const model = CustomControl.getVirtualModel(containerId);
+        if (!model || index < 0 || index >= model.rows.length) return null;
+
+        const viewportHeight = model.viewport.clientHeight || CustomControl.virtualDefaults.viewportHeight;
+        const rowTop = index * model.rowHeight;
+        if (rowTop < model.viewport.scrollTop || rowTop + model.rowHeight > model.viewport.scrollTop + viewportHeight) {
+            model.viewport.scrollTop = rowTop;
+        }
+
+        CustomControl.renderVirtualWindow(containerId);
+        return model.rowsLayer.querySelector(`[data-virtual-index="${index}"]`);
     },
 
     /**
-     ** Close the dropdown.
-     * @param {HTMLElement} ddlWrapper - Dropdown wrapper element
-     * @param {HTMLElement} optionsContainer - Options container element
+     ** navigateToNextVirtualSelection(): Model version of the navigation icon - jumps to the next selected row below the viewport, wrapping to the first
+     * In tree view, targets are parents that are selected or have selected direct children (same as the DOM mode).
+     * @param {string} containerId - Container ID for this dropdown instance
      */
-    closeDropdown: function (ddlWrapper, optionsContainer) {
-        CustomControl.nameListAdd(optionsContainer, 'hidden');
-        CustomControl.nameListRemove(ddlWrapper, 'open');
-        
-        // Hide navigation icon when dropdown closes
-        const containerId = ddlWrapper.id.replace('_ddl', '');
-        CustomControl.updateMultiNavIconVisibility(containerId);
+    navigateToNextVirtualSelection: function (containerId) {
+        const model = CustomControl.getVirtualModel(containerId);
+        if (!model) return;
+
+        const targetIndexes = [];
+        model.rows.forEach((node, index) => {
+            const isTarget = model.isTree
+                ? (node.children && (node.checked || node.children.some(child => child.checked)))
+                : node.checked;
+            if (isTarget) targetIndexes.push(index);
+        });
+        if (targetIndexes.length === 0) return;
+
+        const viewportHeight = model.viewport.clientHeight || CustomControl.virtualDefaults.viewportHeight;
+        const lastVisibleIndex = Math.floor((model.viewport.scrollTop + viewportHeight) / model.rowHeight);
+        const nextIndex = targetIndexes.find(index => index > lastVisibleIndex);
+        const targetIndex = nextIndex !== undefined ? nextIndex : targetIndexes[0];
+
+        model.viewport.scrollTop = targetIndex * model.rowHeight;
+        const targetRow = CustomControl.scrollToVirtualRow(containerId, targetIndex);
+        CustomControl.highlightNavigationTarget(targetRow);
+    },
+
+    /**
+     * Scroll to the first selected row when a virtual dropdown opens.
+     * @param {string} containerId - Container ID for this dropdown instance
+     */
+    scrollToVirtualSelection: function (containerId) {
+        const model = CustomControl.getVirtualModel(containerId);
+        if (!model) return;
+
+        const index = model.rows.findIndex(node => node === model.selectedNode || node.checked || node.indeterminate);
+        if (index !== -1) {
+            CustomControl.scrollToVirtualRow(containerId, index);
+        }
     },
 
     /**
@@ -2224,11 +7846,22 @@ export const CustomControl = {
      * @param {HTMLElement} container - Target container
      */
     renderBase: function (container, settings) {
+        // Remove listeners of a previous render (setData) before its elements are dropped
+        CustomControl.removeManagedListeners(settings.containerId);
+        CustomControl.cancelRemoteSearch(settings.containerId);
+
         // Clear container (but preserve any existing labels in HTML)
         CustomControl.clearContainer(container);
 
         // Create dropdown components
         const ddlWrapper = CustomControl.createDropdownWrapper(settings.containerId);
+
+        // Keep element reference in the registry so lookups don't depend on document IDs
+        const instance = CustomControl.registry[settings.containerId];
+        if (instance) {
+            instance.container = container;
+            instance.ddlWrapper = ddlWrapper;
+        }
         const header = CustomControl.createHeader(settings.placeholder);
         const optionsContainer = CustomControl.createOptionsContainer();
 
@@ -2236,8 +7869,20 @@ export const CustomControl = {
         const { hasMultiSelect, hasSelectAllBtn, hasClearAllBtn, hasSearch } = settings.flags;
         CustomControl.populateOptionsContainer(optionsContainer, hasMultiSelect, hasSelectAllBtn, hasClearAllBtn, hasSearch, settings.containerId);
 
-        // Render JSON options into dropdown
-        CustomControl.renderOptions(settings.data, optionsContainer, hasMultiSelect, settings.flags.hasTreeView, hasClearAllBtn, settings.placeholder, settings.containerId);
+        // Validate data first: data with errors is skipped in strict mode, unrenderable data always
+        const dataCheck = CustomControl.checkRenderData(settings);
+
+        // Render JSON options into dropdown (virtual scroll only materializes the rows in view)
+        if (instance) {
+            instance.virtual = null;
+            instance.items = new Map();
+            CustomControl.indexItems(settings.containerId, settings.data);
+        }
+        if (settings.flags.hasVirtualScroll) {
+            CustomControl.renderVirtualOptions(settings.data, optionsContainer, settings);
+        } else {
+            CustomControl.renderOptions(settings.data, optionsContainer, hasMultiSelect, settings.flags.hasTreeView, hasClearAllBtn, settings.placeholder, settings.containerId);
+        }
 
         // Add multi-select navigation icon if multi-select is enabled
         if (hasMultiSelect) {
@@ -2245,20 +7890,35 @@ export const CustomControl = {
             optionsContainer.appendChild(navIcon);
         }
 
+        // Connect header, popup and live region for assistive technologies
+        CustomControl.applyAriaRoles(header, optionsContainer, settings);
+
         // Assemble dropdown structure
         ddlWrapper.appendChild(header);
         ddlWrapper.appendChild(optionsContainer);
+        ddlWrapper.appendChild(CustomControl.createLiveRegion());
+        if (settings.formName) {
+            ddlWrapper.appendChild(CustomControl.createElement('div', 'ddl-form-values'));
+        }
+        if (settings.validation) {
+            CustomControl.createValidationElements(ddlWrapper, header, settings.containerId);
+        }
         container.appendChild(ddlWrapper);
 
         // Add event listeners for interactivity
-        CustomControl.addEventListeners(ddlWrapper, header, optionsContainer);
+        CustomControl.addEventListeners(ddlWrapper, header, optionsContainer, settings.containerId);
+        CustomControl.addFormResetListener(container, settings);
 
-        // Add checkbox event listeners if multiSelect is enabled
-        if (hasMultiSelect) {
-            CustomControl.addCheckboxEventListeners(optionsContainer);
+        // Add checkbox event listeners if multiSelect is enabled (virtual rows use delegated listeners)
+        if (hasMultiSelect && !settings.flags.hasVirtualScroll) {
+            CustomControl.addCheckboxEventListeners(optionsContainer, settings.containerId);
         }
 
         // Initialize dropdown header with current selections
         CustomControl.updateDropdownHeader(settings.containerId);
+        CustomControl.syncFormInputs(settings.containerId);
+        CustomControl.refreshValidity(settings.containerId);
+
+        CustomControl.reportDataIssues(settings.containerId, dataCheck.report, dataCheck.render);
     }
 };
\ No newline at end of file
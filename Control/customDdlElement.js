@@ -0,0 +1,270 @@
+import { CustomControl } from './customControl.js';
+
+/**
+ ** <custom-ddl>: the dropdown rendered inside Shadow DOM, so page CSS and the dropdown styles don't leak into each other.
+ * Attributes: placeholder, flags ("search multi tree select-all clear-all virtual"), src (dataSource URL), data (inline JSON
+ * or "#id" of a <script type="application/json">), value (initial selection), cache-ttl, name, required, disabled and
+ * stylesheet (URL of the dropdown styles, CustomDdlElement.stylesheet by default).
+ * The element is form-associated: the selected IDs are submitted under its name, required blocks submission, and form
+ * reset / disabled fieldsets apply to it like to native controls. Elements are themed from outside with ::part()
+ * (see CustomControl.partNames).
+ *
+ * Usage:
+ * <custom-ddl name="cities" src="../Data/data.json" flags="search multi tree" placeholder="اختر المدن..." required></custom-ddl>
+ */
+export class CustomDdlElement extends HTMLElement {
+    static formAssociated = true;
+
+    static observedAttributes = ['placeholder', 'flags', 'src', 'data', 'value', 'cache-ttl', 'name', 'required', 'disabled', 'stylesheet'];
+
+    /**
+     * Default stylesheet URL loaded in every shadow root.
+     */
+    static stylesheet = new URL('../Template/css/styles.css', import.meta.url).href;
+
+    /**
+     * Dropdown events re-dispatched on the element (ddl-change becomes a "change" event).
+     */
+    static forwardedEvents = ['ddl-open', 'ddl-close', 'ddl-search', 'ddl-clear', 'ddl-load', 'ddl-dataError'];
+
+    #internals = null;
+    #container = null;
+    #stylesheetLink = null;
+    #containerId = null;
+    #data = undefined; // set through the data property (wins over the data / src attributes)
+    #value = undefined; // set through the value property before the dropdown is rendered
+    #isFormDisabled = false;
+
+    constructor() {
+        super();
+        const shadowRoot = this.attachShadow({ mode: 'open' });
+        this.#internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+
+        const style = document.createElement('style');
+        style.textContent = ':host { display: block; } :host([hidden]) { display: none; }';
+
+        this.#stylesheetLink = document.createElement('link');
+        this.#stylesheetLink.rel = 'stylesheet';
+        this.#stylesheetLink.href = this.getAttribute('stylesheet') || CustomDdlElement.stylesheet;
+
+        this.#container = document.createElement('div');
+        this.#container.setAttribute('name', 'container');
+        this.#container.setAttribute('part', 'container');
+
+        shadowRoot.append(style, this.#stylesheetLink, this.#container);
+
+        this.#container.addEventListener('ddl-change', e => {
+            this.#syncForm();
+            this.dispatchEvent(new CustomEvent('change', { bubbles: true, detail: e.detail }));
+        });
+        // New data (src loaded, reload(), setData()) comes with the value attribute applied silently
+        this.#container.addEventListener('ddl-load', () => this.#syncForm());
+        CustomDdlElement.forwardedEvents.forEach(eventName => {
+            this.#container.addEventListener(eventName, e => {
+                this.dispatchEvent(new CustomEvent(eventName, { bubbles: true, detail: e.detail }));
+            });
+        });
+
+        // A blocked form submit shows the inline error, like validate()
+        this.addEventListener('invalid', () => {
+            if (this.#containerId) CustomControl.validate(this.#containerId);
+        });
+    }
+
+    connectedCallback() {
+        if (!this.#containerId) this.#render();
+    }
+
+    disconnectedCallback() {
+        // Moving the element renders it again; keep its selection until then
+        if (!this.#containerId) return;
+        this.#value = CustomControl.getDDLData(this.#containerId, 'checked').selected;
+        CustomControl.destroy(this.#containerId);
+        this.#containerId = null;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (name === 'stylesheet') {
+            this.#stylesheetLink.href = newValue || CustomDdlElement.stylesheet;
+            return;
+        }
+        if (!this.#containerId || oldValue === newValue) return;
+
+        if (name === 'disabled') {
+            this.#syncDisabled();
+        } else if (name === 'name') {
+            this.#syncForm();
+        } else if (name === 'value') {
+            const params = CustomControl.readDeclaredParams(this, '');
+            CustomControl.setDDLData(this.#containerId, params.value || []);
+        } else if (name === 'data' && this.#data === undefined && !this.hasAttribute('src')) {
+            const params = CustomControl.readDeclaredParams(this, '');
+            if (params.data) CustomControl.setData(this.#containerId, params.data, { preserveSelection: true });
+        } else {
+            // placeholder, flags, src, cache-ttl and required shape the whole dropdown
+            this.#value = CustomControl.getDDLData(this.#containerId, 'checked').selected;
+            this.#render();
+        }
+    }
+
+    /**
+     * Instance handle of the dropdown (see CustomControl.createInstanceHandle()), null while the element is not in the page.
+     */
+    get handle() {
+        return this.#containerId ? CustomControl.getInstance(this.#containerId) : null;
+    }
+
+    /**
+     * The selection in the getDDLData() shape; set it with any setDDLData() input.
+     */
+    get value() {
+        return this.#containerId ? CustomControl.getDDLData(this.#containerId) : null;
+    }
+
+    set value(selections) {
+        if (this.#containerId) {
+            CustomControl.setDDLData(this.#containerId, selections);
+        } else {
+            this.#value = selections;
+        }
+    }
+
+    /**
+     * Data items (the array given to the property, or the one read from the data attribute).
+     */
+    get data() {
+        return this.#data !== undefined ? this.#data : (CustomControl.readDeclaredParams(this, '').data || null);
+    }
+
+    set data(data) {
+        this.#data = data;
+        if (this.#containerId) CustomControl.setData(this.#containerId, data, { preserveSelection: true });
+    }
+
+    /**
+     * Flags object; set it with an object or a flags attribute string.
+     */
+    get flags() {
+        const instance = this.#containerId ? CustomControl.registry[this.#containerId] : null;
+        return instance ? Object.assign({}, instance.settings.flags) : (CustomControl.readDeclaredParams(this, '').flags || {});
+    }
+
+    set flags(flags) {
+        if (typeof flags === 'string') {
+            this.setAttribute('flags', flags);
+            return;
+        }
+        const tokens = Object.keys(CustomControl.autoInitFlags).filter(token => flags && flags[CustomControl.autoInitFlags[token]] === true);
+        this.setAttribute('flags', tokens.join(' '));
+    }
+
+    get placeholder() { return this.getAttribute('placeholder') || ''; }
+    set placeholder(placeholder) { this.setAttribute('placeholder', placeholder); }
+
+    get name() { return this.getAttribute('name') || ''; }
+    set name(name) { this.setAttribute('name', name); }
+
+    get disabled() { return this.hasAttribute('disabled'); }
+    set disabled(isDisabled) { this.toggleAttribute('disabled', !!isDisabled); }
+
+    get required() { return this.hasAttribute('required'); }
+    set required(isRequired) { this.toggleAttribute('required', !!isRequired); }
+
+    get form() { return this.#internals ? this.#internals.form : null; }
+    get validity() { return this.#internals ? this.#internals.validity : null; }
+    get validationMessage() { return this.#internals ? this.#internals.validationMessage : ''; }
+    get willValidate() { return this.#internals ? this.#internals.willValidate : false; }
+
+    checkValidity() {
+        return this.#internals ? this.#internals.checkValidity() : true;
+    }
+
+    reportValidity() {
+        return this.#internals ? this.#internals.reportValidity() : true;
+    }
+
+    formResetCallback() {
+        // Back to the value attribute, like the default value of native controls
+        if (!this.#containerId) return;
+        const params = CustomControl.readDeclaredParams(this, '');
+        CustomControl.runBatch(this.#containerId, 'reset', () => {
+            if (params.value) {
+                CustomControl.setDDLData(this.#containerId, params.value);
+            } else {
+                CustomControl.clearAllSelections(this.#containerId);
+            }
+        });
+        const instance = CustomControl.registry[this.#containerId];
+        instance.validationShown = false;
+        CustomControl.showValidationError(this.#containerId, null);
+    }
+
+    formDisabledCallback(isDisabled) {
+        this.#isFormDisabled = isDisabled;
+        this.#syncDisabled();
+    }
+
+    formStateRestoreCallback(state) {
+        const ids = typeof state === 'string' ? JSON.parse(state) : [];
+        this.value = ids;
+    }
+
+    /**
+     * Render (or render again) the dropdown in the shadow root from the attributes and properties, keeping #value as selection.
+     */
+    #render() {
+        if (this.#containerId) CustomControl.destroy(this.#containerId);
+
+        const params = CustomControl.readDeclaredParams(this, '');
+        delete params.formName; // submitted through ElementInternals
+        if (this.#data !== undefined) {
+            params.data = this.#data;
+            delete params.dataSource;
+        }
+        if (this.#value !== undefined) {
+            params.value = this.#value;
+            this.#value = undefined;
+        }
+        if (this.required) {
+            params.validation = { required: true };
+        }
+
+        this.#containerId = CustomControl.createUniqueContainerId(this.id ? `${this.id}_custom-ddl` : 'custom-ddl');
+        this.#container.id = this.#containerId;
+        CustomControl.initialize(Object.assign(params, { containerId: this.#containerId, container: this.#container }));
+
+        this.#syncDisabled();
+        this.#syncForm();
+    }
+
+    #syncDisabled() {
+        if (!this.#containerId) return;
+        CustomControl.setDisabledState(this.#containerId, this.disabled || this.#isFormDisabled);
+    }
+
+    /**
+     * Submit the selected IDs under the name attribute and report the validation rules to the form.
+     */
+    #syncForm() {
+        if (!this.#internals || !this.#containerId) return;
+
+        const ids = CustomControl.getFormValues(CustomControl.readDDLData(this.#containerId));
+        const formData = new FormData();
+        if (this.name) {
+            ids.forEach(id => formData.append(this.name, id));
+        }
+        this.#internals.setFormValue(formData, JSON.stringify(ids));
+
+        const message = CustomControl.getValidationError(this.#containerId);
+        const instance = CustomControl.registry[this.#containerId];
+        if (message) {
+            this.#internals.setValidity({ customError: true }, message, CustomControl.getByName(instance.ddlWrapper, 'ddl-header'));
+        } else {
+            this.#internals.setValidity({});
+        }
+    }
+}
+
+if (!customElements.get('custom-ddl')) {
+    customElements.define('custom-ddl', CustomDdlElement);
+}